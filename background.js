@@ -1,31 +1,273 @@
 /**
  * Background service worker.
  *
- * Owns the single active captioning session and routes messages between
- * the popup, the offscreen document (audio capture + Whisper + translation),
- * and the content script (subtitle overlay).
+ * Owns the captioning sessions — one per tab, several may run at once — and
+ * routes messages between the popup, the offscreen document (audio capture +
+ * Whisper + translation), the content scripts (subtitle overlays), the
+ * transcript side panel and caption windows.
+ *
+ * A session hears its tab, a microphone, or both (shared/captureSources.js).
+ * The microphone-only session has no tab and no page to overlay, so it runs
+ * as MIC_SESSION_ID and its captions go to a detached caption window
+ * (captions/) and the side panel; its badge is shown on every tab.
+ *
+ * The transcription page (transcribe/) has whole media files transcribed
+ * and translated by the offscreen document too. File jobs are not
+ * sessions: the page keeps the cues, so the background only hands the job
+ * over with the user's settings and relays its progress back.
+ *
+ * Site rules (shared/siteRules.js) can ask for captions to start by
+ * themselves on matching pages. tabCapture only works after the user
+ * invokes the extension on the tab, so a rule can't start a capture on its
+ * own: when a video plays on a matching page the content script shows a
+ * prompt and reports AUTO_START_PENDING, the badge turns into a play sign,
+ * and the next click on the toolbar icon (or the toggle shortcut) starts
+ * captions with the rule's settings right away.
+ *
+ * Chrome shuts the service worker down when it's idle, even while the
+ * offscreen document keeps capturing, so sessions are mirrored to
+ * chrome.storage.session. On wake-up the worker reloads them and asks the
+ * offscreen document which captures are really running (OFFSCREEN_LIST);
+ * messages wait until that's done, and badges are reset to match.
  *
  * Message protocol — every message has { target, type }:
- *   popup     -> background : START, STOP, GET_STATUS
- *   background-> offscreen  : OFFSCREEN_START, OFFSCREEN_STOP
- *   offscreen -> background : STATUS { status, detail }, SUBTITLE { tabId, text, original }
- *   background-> content    : SUBTITLE, CLEAR_SUBTITLES
- *   background-> popup      : STATUS_CHANGED { session }   (broadcast)
+ *   popup     -> background : START { source, micDeviceId, ... }, STOP { tabId },
+ *                             GET_STATUS { tabId }, GET_TRANSCRIPT { tabId },
+ *                             OPEN_CAPTION_WINDOW { tabId }
+ *   background-> offscreen  : OFFSCREEN_START, OFFSCREEN_STOP { tabId },
+ *                             OFFSCREEN_SETTINGS { providers?, glossaries? },
+ *                             OFFSCREEN_LIST -> { sessions: [{ tabId, status,
+ *                                                 detail }] }
+ *                             OFFSCREEN_MEDIA { tabId, event, currentTime,
+ *                                               playbackRate, paused },
+ *                             OFFSCREEN_PRELOAD { model }, OFFSCREEN_CLEAR_CACHE,
+ *                             OFFSCREEN_FILE_START { jobId, url, ... },
+ *                             OFFSCREEN_FILE_CANCEL { jobId }
+ *   offscreen -> background : STATUS { tabId, status, detail },
+ *                             SUBTITLE { tabId, text, original, start, end,
+ *                                        mediaStart, mediaEnd, speaker },
+ *                             SUBTITLE_PARTIAL { tabId, text }   (streaming mode)
+ *                             MODEL_PROGRESS { model, file, progress },
+ *                             MODEL_READY { model, error? },
+ *                             PROVIDER_HEALTH { providers },
+ *                             FILE_STATUS { jobId, status, detail },
+ *                             FILE_CUES { jobId, cues, progress }
+ *   content   -> background : CONTENT_READY, AUTO_START_PENDING,
+ *                             MEDIA_EVENT { event, currentTime, playbackRate,
+ *                                           paused }
+ *   background-> content    : SESSION_STARTED, SUBTITLE, SUBTITLE_PARTIAL,
+ *                             CLEAR_SUBTITLES, TOAST { text },
+ *                             TOGGLE_OVERLAY, REPLAY_SUBTITLE   (shortcuts)
+ *   background-> popup      : STATUS_CHANGED { tabId, session, activeSessions,
+ *                                              micActive },
+ *                             PROVIDER_HEALTH { providers }   (broadcast)
+ *   background-> captions   : SUBTITLE, SUBTITLE_PARTIAL, CLEAR_SUBTITLES,
+ *                             each with { tabId }               (broadcast)
+ *   captions  -> background : GET_TRANSCRIPT { tabId }
+ *   side panel-> background : GET_TRANSCRIPT { tabId } -> { transcript, unsaved }
+ *   background-> side panel : TRANSCRIPT_CUE { tabId, cue },
+ *                             TRANSCRIPT_RESET { tabId },
+ *                             TRANSCRIPT_UNSAVED { tabId }        (broadcast)
+ *   options   -> background : PRELOAD_MODEL { model }, CLEAR_TRANSLATION_CACHE
+ *   background-> options    : MODEL_PROGRESS, MODEL_READY   (relayed from offscreen)
+ *   transcribe-> background : TRANSCRIBE_FILE { jobId, url, targetLanguage,
+ *                                               sourceLanguage, model },
+ *                             CANCEL_FILE { jobId }
+ *   background-> transcribe : FILE_STATUS, FILE_CUES   (relayed from offscreen)
  */
 
+import { findSiteRule } from './shared/siteRules.js';
+import { findModel } from './shared/modelRegistry.js';
+import {
+  MIC_SESSION_ID,
+  normalizeSource,
+  sessionIdFor,
+  usesTab,
+  usesMic
+} from './shared/captureSources.js';
+
 const OFFSCREEN_URL = 'offscreen/offscreen.html';
+const CAPTIONS_URL = 'captions/captions.html';
 
-// Active session or null. { tabId, targetLanguage, sourceLanguage, model, status, detail }
+// Active sessions by tabId (MIC_SESSION_ID for the microphone):
+// { tabId, source, targetLanguage, sourceLanguage, model, streaming, status,
+//   detail }
 // status: starting | loading | listening | error
-let session = null;
+// Mirrored to chrome.storage.session; `sessionsLoaded` rebuilds it on wake-up.
+const sessions = new Map();
+const SESSIONS_KEY = 'sessions';
+
+function saveSessions() {
+  chrome.storage.session.set({ [SESSIONS_KEY]: Object.fromEntries(sessions) }).catch(() => {});
+}
+
+// Latest translation provider health from the offscreen document, for the
+// popup: [{ id, label, status: ok | failing | paused, failures, error,
+// retryAt }]. Only kept in chrome.storage.session.
+const HEALTH_KEY = 'providerHealth';
+
+// Cues per tab of the current (or most recent) session, kept after stopping
+// so the popup can still export them: { start, end, text, original },
+// seconds from the session start. Reset when the tab starts a new session.
+// Mirrored to chrome.storage.session so the side panel's history survives
+// the worker being shut down; `transcriptsLoaded` restores it on wake-up.
+// Stored in chunks of TRANSCRIPT_CHUNK cues ('transcript:<tabId>:<n>'), so
+// a new cue rewrites only the last chunk rather than the whole transcript.
+const transcripts = new Map();
+const TRANSCRIPT_PREFIX = 'transcript:';
+const TRANSCRIPT_CHUNK = 50;
+// Tabs whose transcript could not be stored (session storage is full).
+const unsavedTranscripts = new Set();
+const transcriptsLoaded = chrome.storage.session.get(null).then((stored) => {
+  const chunks = [];
+  for (const [key, cues] of Object.entries(stored)) {
+    if (!key.startsWith(TRANSCRIPT_PREFIX)) continue;
+    const [tabId, chunk] = key.slice(TRANSCRIPT_PREFIX.length).split(':').map(Number);
+    chunks.push({ tabId, chunk, cues });
+  }
+  chunks.sort((a, b) => a.chunk - b.chunk);
+  for (const { tabId, cues } of chunks) {
+    transcripts.set(tabId, [...(transcripts.get(tabId) || []), ...cues]);
+  }
+});
+
+function transcriptKey(tabId, chunk) {
+  return `${TRANSCRIPT_PREFIX}${tabId}:${chunk}`;
+}
+
+/** Store the chunk of the tab's transcript that holds cue `index`. */
+function saveTranscriptChunk(tabId, index) {
+  const chunk = Math.floor(index / TRANSCRIPT_CHUNK);
+  const from = chunk * TRANSCRIPT_CHUNK;
+  const cues = transcripts.get(tabId).slice(from, from + TRANSCRIPT_CHUNK);
+  chrome.storage.session
+    .set({ [transcriptKey(tabId, chunk)]: cues })
+    .catch((error) => transcriptNotSaved(tabId, error));
+}
+
+/** Remove the stored chunks of a `length`-cue transcript, from chunk `from` on. */
+function removeTranscriptChunks(tabId, length, from = 0) {
+  const keys = [];
+  for (let chunk = from; chunk * TRANSCRIPT_CHUNK < length; chunk++) {
+    keys.push(transcriptKey(tabId, chunk));
+  }
+  if (keys.length) chrome.storage.session.remove(keys).catch(() => {});
+}
 
-function broadcastStatus() {
+// The transcript still grows in memory, but a worker restart would lose
+// what wasn't stored: say so once, in the console and the side panel.
+function transcriptNotSaved(tabId, error) {
+  if (unsavedTranscripts.has(tabId)) return;
+  unsavedTranscripts.add(tabId);
+  console.warn(`Could not store the transcript of tab ${tabId}:`, error);
+  notifySidePanel({ type: 'TRANSCRIPT_UNSAVED', tabId });
+}
+
+function notifySidePanel(message) {
+  chrome.runtime.sendMessage({ target: 'sidepanel', ...message }).catch(() => {});
+}
+
+async function resetTranscript(tabId) {
+  await transcriptsLoaded;
+  const previous = transcripts.get(tabId)?.length || 0;
+  transcripts.set(tabId, []);
+  unsavedTranscripts.delete(tabId);
+  // Chunk 0 stays, empty, so the tab still has a transcript after a restart.
+  removeTranscriptChunks(tabId, previous, 1);
+  saveTranscriptChunk(tabId, 0);
+  notifySidePanel({ type: 'TRANSCRIPT_RESET', tabId });
+}
+
+async function addCue(tabId, cue) {
+  await transcriptsLoaded;
+  const cues = transcripts.get(tabId);
+  if (!cues) return;
+  cues.push(cue);
+  saveTranscriptChunk(tabId, cues.length - 1);
+  notifySidePanel({ type: 'TRANSCRIPT_CUE', tabId, cue });
+}
+
+function broadcastStatus(tabId) {
   // Popup may be closed; that's fine.
   chrome.runtime
-    .sendMessage({ target: 'popup', type: 'STATUS_CHANGED', session })
+    .sendMessage({
+      target: 'popup',
+      type: 'STATUS_CHANGED',
+      tabId,
+      session: sessions.get(tabId) || null,
+      activeSessions: sessions.size,
+      micActive: sessions.has(MIC_SESSION_ID)
+    })
     .catch(() => {});
 }
 
+const BADGES = {
+  live: { text: 'CC', color: '#1a73e8' },
+  pending: { text: '▶', color: '#f9ab00' }, // a site rule waits for a click
+  mic: { text: 'MIC', color: '#d93025' } // on every tab without a badge of its own
+};
+
+/** `kind` is a key of BADGES, or null to clear. */
+function setBadge(tabId, kind) {
+  // The microphone session has no tab: its badge is the default for all.
+  const target = tabId === MIC_SESSION_ID ? {} : { tabId };
+  const badge = BADGES[tabId === MIC_SESSION_ID && kind ? 'mic' : kind];
+  // The tab may already be gone.
+  chrome.action.setBadgeText({ ...target, text: badge ? badge.text : '' }).catch(() => {});
+  if (badge) {
+    chrome.action.setBadgeBackgroundColor({ ...target, color: badge.color }).catch(() => {});
+  }
+}
+
+/**
+ * Show `message` (SUBTITLE, SUBTITLE_PARTIAL, CLEAR_SUBTITLES) wherever
+ * captions of `tabId` are on screen: the page overlay and caption windows.
+ */
+function showCaptions(tabId, message) {
+  if (tabId !== MIC_SESSION_ID) {
+    chrome.tabs.sendMessage(tabId, { target: 'content', ...message }).catch(() => {});
+  }
+  chrome.runtime.sendMessage({ target: 'captions', tabId, ...message }).catch(() => {});
+}
+
+/** Open (or bring forward) the caption window for `tabId`'s captions. */
+async function openCaptionWindow(tabId) {
+  const url = chrome.runtime.getURL(`${CAPTIONS_URL}?tabId=${tabId}`);
+  const [open] = await chrome.runtime.getContexts({ contextTypes: ['TAB'], documentUrls: [url] });
+  if (open) {
+    await chrome.windows.update(open.windowId, { focused: true });
+    return;
+  }
+  await chrome.windows.create({ url, type: 'popup', width: 720, height: 240 });
+}
+
+async function siteRuleFor(url) {
+  const { siteRules } = await chrome.storage.sync.get({ siteRules: [] });
+  return findSiteRule(siteRules, url);
+}
+
+// Tabs whose site rule wants captions and is waiting for the user to invoke
+// the extension. In storage.session: the worker may sleep while it waits.
+async function pendingTabs() {
+  const { pendingAutoStart = [] } = await chrome.storage.session.get('pendingAutoStart');
+  return pendingAutoStart;
+}
+
+async function setPending(tabId, pending) {
+  const current = await pendingTabs();
+  if (current.includes(tabId) === pending) return;
+  const tabs = current.filter((id) => id !== tabId);
+  if (pending) tabs.push(tabId);
+  await chrome.storage.session.set({ pendingAutoStart: tabs });
+  if (!sessions.has(tabId)) setBadge(tabId, pending ? 'pending' : null);
+}
+
+/** The keys bound to toggle-captions, for the in-page prompt. */
+async function toggleShortcutKeys() {
+  const commands = await chrome.commands.getAll();
+  return commands.find((c) => c.name === 'toggle-captions')?.shortcut || '';
+}
+
 async function ensureOffscreenDocument() {
   const contexts = await chrome.runtime.getContexts({
     contextTypes: ['OFFSCREEN_DOCUMENT']
@@ -51,99 +293,479 @@ async function sendToOffscreen(message) {
   throw new Error('Could not reach audio processor');
 }
 
-async function startSession({ targetLanguage, sourceLanguage, model }) {
-  if (session) await stopSession();
+/** What the offscreen document is capturing, or null if it can't be asked. */
+async function liveOffscreenSessions() {
+  const contexts = await chrome.runtime.getContexts({ contextTypes: ['OFFSCREEN_DOCUMENT'] });
+  if (contexts.length === 0) return [];
+  try {
+    const response = await sendToOffscreen({ type: 'OFFSCREEN_LIST' });
+    return response?.sessions ?? null;
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Rebuild `sessions` after the worker (re)starts: the stored sessions that
+ * the offscreen document still runs, with its latest status. If it can't
+ * be asked, the stored state is the best guess.
+ */
+async function restoreSessions() {
+  const { [SESSIONS_KEY]: stored = {} } = await chrome.storage.session.get(SESSIONS_KEY);
+  const live = (await liveOffscreenSessions()) ?? Object.values(stored);
+  for (const { tabId, status, detail } of live) {
+    sessions.set(tabId, { ...(stored[tabId] || { tabId }), status, detail: detail ?? null });
+  }
+  saveSessions();
+
+  const pending = await pendingTabs();
+  const known = new Set([...Object.keys(stored).map(Number), ...sessions.keys(), ...pending]);
+  for (const tabId of known) {
+    setBadge(tabId, sessions.has(tabId) ? 'live' : pending.includes(tabId) ? 'pending' : null);
+    if (!sessions.has(tabId) && tabId in stored) broadcastStatus(tabId);
+  }
+}
+
+const sessionsLoaded = restoreSessions().catch((error) => {
+  console.warn('Could not restore sessions:', error);
+});
 
+async function activeTab() {
   const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
   if (!tab || !tab.id) throw new Error('No active tab found.');
-  if (!tab.url || /^(chrome|chrome-extension|edge|about|devtools):/.test(tab.url)) {
-    throw new Error('This page cannot be captured. Open a normal web page with a video.');
+  return tab;
+}
+
+/** Start captions; a tab capture takes tab `tabId`, by default the active one. */
+async function startSession({
+  tabId: requestedTabId = null,
+  source,
+  micDeviceId = '',
+  targetLanguage,
+  sourceLanguage,
+  model,
+  streaming = false,
+  vocabulary = ''
+}) {
+  source = normalizeSource(source);
+  // The microphone alone works from any page, even chrome:// ones.
+  let tabId = MIC_SESSION_ID;
+  let streamId = null;
+  if (usesTab(source)) {
+    const tab =
+      requestedTabId === null ? await activeTab() : await chrome.tabs.get(requestedTabId);
+    if (!tab.url || /^(chrome|chrome-extension|edge|about|devtools):/.test(tab.url)) {
+      throw new Error('This page cannot be captured. Open a normal web page with a video.');
+    }
+    tabId = tab.id;
+  }
+  if (sessions.has(tabId)) await stopSession(tabId);
+  if (usesTab(source)) {
+    streamId = await chrome.tabCapture.getMediaStreamId({ targetTabId: tabId });
   }
+  // The offscreen document can't read storage itself; hand it the chain.
+  const { translationProviders, glossaries } = await chrome.storage.local.get([
+    'translationProviders',
+    'glossaries'
+  ]);
+  const {
+    customModels,
+    useVad,
+    chunkOverlap,
+    rollingContext,
+    mergeSentences,
+    translationContext,
+    diarize
+  } = await chrome.storage.sync.get({
+    customModels: [],
+    useVad: true,
+    chunkOverlap: 0.5,
+    rollingContext: false,
+    mergeSentences: true,
+    translationContext: true,
+    diarize: false
+  });
 
-  const streamId = await chrome.tabCapture.getMediaStreamId({ targetTabId: tab.id });
+  sessions.set(tabId, {
+    tabId,
+    source,
+    targetLanguage,
+    sourceLanguage,
+    model,
+    streaming,
+    status: 'starting',
+    detail: null
+  });
+  saveSessions();
+  await resetTranscript(tabId);
+  broadcastStatus(tabId);
 
-  session = { tabId: tab.id, targetLanguage, sourceLanguage, model, status: 'starting', detail: null };
-  broadcastStatus();
+  try {
+    await ensureOffscreenDocument();
+    await sendToOffscreen({
+      type: 'OFFSCREEN_START',
+      source,
+      streamId,
+      micDeviceId: usesMic(source) ? micDeviceId : '',
+      tabId,
+      targetLanguage,
+      sourceLanguage,
+      model: findModel(customModels, model),
+      streaming,
+      vocabulary,
+      rollingContext,
+      mergeSentences,
+      translationContext,
+      diarize,
+      vad: useVad,
+      chunkOverlap,
+      providers: translationProviders,
+      glossaries
+    });
+  } catch (error) {
+    sessions.delete(tabId);
+    saveSessions();
+    broadcastStatus(tabId);
+    throw error;
+  }
 
+  setBadge(tabId, 'live');
+  if (tabId === MIC_SESSION_ID) {
+    openCaptionWindow(tabId).catch((error) => console.warn('No caption window:', error));
+    return;
+  }
+  setPending(tabId, false);
+  // Start following the page's video so captions track pause/seek/speed.
+  chrome.tabs.sendMessage(tabId, { target: 'content', type: 'SESSION_STARTED' }).catch(() => {});
+}
+
+/**
+ * Have the offscreen document transcribe the file at `url` (a blob: URL of
+ * the transcription page) with the user's translation and VAD settings.
+ */
+async function transcribeFile({ jobId, url, targetLanguage, sourceLanguage, model }) {
+  const { translationProviders, glossaries } = await chrome.storage.local.get([
+    'translationProviders',
+    'glossaries'
+  ]);
+  const { customModels, useVad, translationContext } = await chrome.storage.sync.get({
+    customModels: [],
+    useVad: true,
+    translationContext: true
+  });
   await ensureOffscreenDocument();
   await sendToOffscreen({
-    type: 'OFFSCREEN_START',
-    streamId,
-    tabId: tab.id,
+    type: 'OFFSCREEN_FILE_START',
+    jobId,
+    url,
     targetLanguage,
     sourceLanguage,
-    model
+    model: findModel(customModels, model),
+    translationContext,
+    vad: useVad,
+    providers: translationProviders,
+    glossaries
   });
+}
 
-  chrome.action.setBadgeText({ text: 'CC' });
-  chrome.action.setBadgeBackgroundColor({ color: '#1a73e8' });
+/** Have the offscreen document download `key` from the model registry. */
+async function preloadModel(key) {
+  const { customModels } = await chrome.storage.sync.get({ customModels: [] });
+  await ensureOffscreenDocument();
+  await sendToOffscreen({ type: 'OFFSCREEN_PRELOAD', model: findModel(customModels, key) });
 }
 
-async function stopSession() {
-  const stopped = session;
-  session = null;
-  chrome.action.setBadgeText({ text: '' });
+async function stopSession(tabId) {
+  const stopped = sessions.get(tabId);
+  sessions.delete(tabId);
+  saveSessions();
+  setBadge(tabId, null);
 
   try {
-    await chrome.runtime.sendMessage({ target: 'offscreen', type: 'OFFSCREEN_STOP' });
+    await chrome.runtime.sendMessage({ target: 'offscreen', type: 'OFFSCREEN_STOP', tabId });
   } catch (e) {
     // No offscreen document — nothing to stop.
   }
-  if (stopped) {
-    chrome.tabs
-      .sendMessage(stopped.tabId, { target: 'content', type: 'CLEAR_SUBTITLES' })
-      .catch(() => {});
-  }
-  broadcastStatus();
+  if (stopped) showCaptions(tabId, { type: 'CLEAR_SUBTITLES' });
+  broadcastStatus(tabId);
 }
 
-chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
-  if (!message || message.target !== 'background') return;
-
+/**
+ * Handle one message. Returns true when `sendResponse` will be called
+ * later, like an onMessage listener.
+ */
+function handleMessage(message, sender, sendResponse) {
   switch (message.type) {
     case 'START':
       startSession(message)
         .then(() => sendResponse({ ok: true }))
-        .catch((error) => {
-          session = null;
-          chrome.action.setBadgeText({ text: '' });
-          broadcastStatus();
-          sendResponse({ ok: false, error: error.message });
-        });
+        .catch((error) => sendResponse({ ok: false, error: error.message }));
       return true; // keep the channel open for the async response
 
     case 'STOP':
-      stopSession().then(() => sendResponse({ ok: true }));
+      stopSession(message.tabId).then(() => sendResponse({ ok: true }));
       return true;
 
     case 'GET_STATUS':
-      sendResponse({ session });
-      return false;
+      Promise.all([pendingTabs(), chrome.storage.session.get({ [HEALTH_KEY]: [] })]).then(
+        ([pending, { [HEALTH_KEY]: providerHealth }]) =>
+          sendResponse({
+            session: sessions.get(message.tabId) || null,
+            activeSessions: sessions.size,
+            micActive: sessions.has(MIC_SESSION_ID),
+            pendingAutoStart: pending.includes(message.tabId),
+            providerHealth
+          })
+      );
+      return true;
 
-    case 'STATUS':
+    case 'GET_TRANSCRIPT':
+      transcriptsLoaded.then(() =>
+        sendResponse({
+          transcript: transcripts.get(message.tabId) || [],
+          unsaved: unsavedTranscripts.has(message.tabId)
+        })
+      );
+      return true;
+
+    case 'STATUS': {
+      const session = sessions.get(message.tabId);
       if (session) {
         session.status = message.status;
         session.detail = message.detail ?? null;
-        broadcastStatus();
+        saveSessions();
+        broadcastStatus(message.tabId);
       }
       return false;
+    }
 
     case 'SUBTITLE':
-      if (session && message.tabId === session.tabId) {
-        chrome.tabs
-          .sendMessage(session.tabId, {
-            target: 'content',
-            type: 'SUBTITLE',
-            text: message.text,
-            original: message.original
-          })
-          .catch(() => {});
+      if (sessions.has(message.tabId)) {
+        addCue(message.tabId, {
+          start: message.start,
+          end: message.end,
+          text: message.text,
+          original: message.original,
+          speaker: message.speaker ?? null
+        });
+        showCaptions(message.tabId, {
+          type: 'SUBTITLE',
+          text: message.text,
+          original: message.original,
+          mediaStart: message.mediaStart,
+          mediaEnd: message.mediaEnd,
+          speaker: message.speaker ?? null
+        });
+      }
+      return false;
+
+    case 'PROVIDER_HEALTH':
+      chrome.storage.session.set({ [HEALTH_KEY]: message.providers }).catch(() => {});
+      chrome.runtime
+        .sendMessage({ target: 'popup', type: 'PROVIDER_HEALTH', providers: message.providers })
+        .catch(() => {});
+      return false;
+
+    case 'SUBTITLE_PARTIAL':
+      if (sessions.has(message.tabId)) {
+        showCaptions(message.tabId, { type: 'SUBTITLE_PARTIAL', text: message.text });
+      }
+      return false;
+
+    case 'OPEN_CAPTION_WINDOW':
+      openCaptionWindow(message.tabId)
+        .then(() => sendResponse({ ok: true }))
+        .catch((error) => sendResponse({ ok: false, error: error.message }));
+      return true;
+
+    case 'PRELOAD_MODEL':
+      preloadModel(message.model)
+        .then(() => sendResponse({ ok: true }))
+        .catch((error) => sendResponse({ ok: false, error: error.message }));
+      return true;
+
+    // The options page emptied the cache on disk; the offscreen document
+    // also remembers recent translations in memory.
+    case 'CLEAR_TRANSLATION_CACHE':
+      chrome.runtime
+        .sendMessage({ target: 'offscreen', type: 'OFFSCREEN_CLEAR_CACHE' })
+        .catch(() => {}) // no offscreen document, nothing in memory
+        .finally(() => sendResponse({ ok: true }));
+      return true;
+
+    case 'TRANSCRIBE_FILE':
+      transcribeFile(message)
+        .then(() => sendResponse({ ok: true }))
+        .catch((error) => sendResponse({ ok: false, error: error.message }));
+      return true;
+
+    case 'CANCEL_FILE':
+      chrome.runtime
+        .sendMessage({ target: 'offscreen', type: 'OFFSCREEN_FILE_CANCEL', jobId: message.jobId })
+        .catch(() => {}) // no offscreen document, nothing to cancel
+        .finally(() => sendResponse({ ok: true }));
+      return true;
+
+    // File job progress, for the transcription page.
+    case 'FILE_STATUS':
+    case 'FILE_CUES':
+      chrome.runtime.sendMessage({ ...message, target: 'transcribe' }).catch(() => {});
+      return false;
+
+    // Download progress, for the model manager on the options page.
+    case 'MODEL_PROGRESS':
+    case 'MODEL_READY':
+      chrome.runtime.sendMessage({ ...message, target: 'options' }).catch(() => {});
+      return false;
+
+    // From content scripts: the tab is the sender.
+    case 'CONTENT_READY': {
+      // A new page: any prompt from the previous one is gone.
+      const active = sessions.has(sender.tab?.id);
+      if (!active) setPending(sender.tab.id, false);
+      siteRuleFor(sender.url).then((rule) =>
+        sendResponse({ active, autoStart: !active && Boolean(rule?.autoStart), rule })
+      );
+      return true;
+    }
+
+    case 'AUTO_START_PENDING':
+      if (sessions.has(sender.tab?.id)) return false;
+      setPending(sender.tab.id, true)
+        .then(toggleShortcutKeys)
+        .then((shortcut) => sendResponse({ shortcut }));
+      return true;
+
+    case 'MEDIA_EVENT':
+      if (sessions.has(sender.tab?.id)) {
+        sendToOffscreen({
+          type: 'OFFSCREEN_MEDIA',
+          tabId: sender.tab.id,
+          event: message.event,
+          currentTime: message.currentTime,
+          playbackRate: message.playbackRate,
+          paused: message.paused
+        }).catch(() => {});
       }
       return false;
   }
+  return false;
+}
+
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+  if (!message || message.target !== 'background') return;
+  // The message may be what woke the worker: route it once sessions are back.
+  sessionsLoaded.then(() => {
+    if (!handleMessage(message, sender, sendResponse)) sendResponse();
+  });
+  return true;
+});
+
+const DISPLAY_MODES = ['translated', 'original', 'both'];
+const DISPLAY_MODE_NAMES = { translated: 'Translation', original: 'Original', both: 'Both' };
+
+function toast(tabId, text) {
+  chrome.tabs.sendMessage(tabId, { target: 'content', type: 'TOAST', text }).catch(() => {});
+}
+
+/**
+ * Start captions on `tabId` with the popup's last-used settings, capture
+ * source included, or stop them.
+ */
+async function toggleFromShortcut(tabId) {
+  const lastUsed = await chrome.storage.sync.get({
+    captureSource: 'tab',
+    micDeviceId: '',
+    targetLanguage: 'en',
+    sourceLanguage: 'auto',
+    model: 'base',
+    streaming: false,
+    vocabulary: ''
+  });
+  const running = [tabId, sessionIdFor(lastUsed.captureSource, tabId)].find((id) =>
+    sessions.has(id)
+  );
+  if (running !== undefined) {
+    await stopSession(running);
+    toast(tabId, 'Captions off');
+    return;
+  }
+  const tab = await chrome.tabs.get(tabId);
+  const rule = await siteRuleFor(tab.url);
+  const settings = rule
+    ? {
+        ...lastUsed,
+        targetLanguage: rule.targetLanguage,
+        sourceLanguage: rule.sourceLanguage,
+        model: rule.model,
+        vocabulary: rule.vocabulary ?? lastUsed.vocabulary
+      }
+    : lastUsed;
+  try {
+    await startSession({ ...settings, tabId, source: settings.captureSource });
+    toast(tabId, 'Captions on');
+  } catch (error) {
+    toast(tabId, error.message);
+  }
+}
+
+chrome.commands.onCommand.addListener(async (command, tab) => {
+  await sessionsLoaded;
+  const tabId = tab?.id ?? (await activeTab()).id;
+  switch (command) {
+    case 'toggle-captions':
+      await toggleFromShortcut(tabId);
+      break;
+
+    case 'cycle-display-mode': {
+      // Content scripts apply the setting through storage.onChanged.
+      const { displayMode } = await chrome.storage.sync.get({ displayMode: 'translated' });
+      const next = DISPLAY_MODES[(DISPLAY_MODES.indexOf(displayMode) + 1) % DISPLAY_MODES.length];
+      await chrome.storage.sync.set({ displayMode: next });
+      toast(tabId, `Showing: ${DISPLAY_MODE_NAMES[next]}`);
+      break;
+    }
+
+    case 'toggle-overlay':
+    case 'replay-subtitle':
+      chrome.tabs
+        .sendMessage(tabId, {
+          target: 'content',
+          type: command === 'toggle-overlay' ? 'TOGGLE_OVERLAY' : 'REPLAY_SUBTITLE'
+        })
+        .catch(() => {});
+      break;
+  }
 });
 
-// Stop when the captured tab closes.
-chrome.tabs.onRemoved.addListener((tabId) => {
-  if (session && session.tabId === tabId) stopSession();
+// Apply translation provider and glossary edits from the options page to
+// running sessions.
+chrome.storage.onChanged.addListener(async (changes, area) => {
+  if (area !== 'local') return;
+  await sessionsLoaded;
+  if (sessions.size === 0) return;
+  if (changes.translationProviders) {
+    sendToOffscreen({
+      type: 'OFFSCREEN_SETTINGS',
+      providers: changes.translationProviders.newValue
+    }).catch(() => {});
+  }
+  if (changes.glossaries) {
+    sendToOffscreen({
+      type: 'OFFSCREEN_SETTINGS',
+      glossaries: changes.glossaries.newValue
+    }).catch(() => {});
+  }
+});
+
+// Stop when a captured tab closes.
+chrome.tabs.onRemoved.addListener(async (tabId) => {
+  await sessionsLoaded;
+  if (sessions.has(tabId)) stopSession(tabId);
+  setPending(tabId, false);
+  transcriptsLoaded.then(() => {
+    removeTranscriptChunks(tabId, transcripts.get(tabId)?.length || 0);
+    transcripts.delete(tabId);
+    unsavedTranscripts.delete(tabId);
+  });
 });
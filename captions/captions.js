@@ -0,0 +1,115 @@
+/**
+ * Caption window: a detached view of one session's latest captions, for the
+ * microphone session (no page to overlay) or any tab (from the popup).
+ * `?tabId=` picks the session; captions arrive as broadcasts from the
+ * background, the same SUBTITLE / SUBTITLE_PARTIAL / CLEAR_SUBTITLES the
+ * page overlay gets, and follow the overlay's `displayMode`.
+ *
+ * Opened with `?grant`, it asks for microphone access instead: the
+ * offscreen document can't show a permission prompt, but a grant to any
+ * extension page covers the whole extension.
+ */
+import { speakerLabel } from '../shared/subtitleFormats.js';
+import { MIC_SESSION_ID, micConstraints } from '../shared/captureSources.js';
+
+const MAX_LINES = 3;
+
+const linesEl = document.getElementById('lines');
+const partialEl = document.getElementById('partial');
+const emptyEl = document.getElementById('empty');
+const grantEl = document.getElementById('grant');
+const allowEl = document.getElementById('allow');
+const grantHintEl = document.getElementById('grantHint');
+
+const params = new URLSearchParams(location.search);
+const tabId = Number(params.get('tabId'));
+
+let displayMode = 'translated'; // translated | original | both
+let lines = []; // { text, original, speaker }, oldest first
+
+function lineItem({ text, original, speaker }) {
+  const item = document.createElement('li');
+  const label = speakerLabel({ speaker });
+  if (label) {
+    const speakerEl = document.createElement('span');
+    speakerEl.className = 'speaker';
+    speakerEl.textContent = label;
+    item.append(speakerEl);
+  }
+  item.append(displayMode === 'original' ? original || text : text);
+  if (displayMode === 'both' && original && original !== text) {
+    const originalEl = document.createElement('span');
+    originalEl.className = 'original';
+    originalEl.textContent = original;
+    item.append(originalEl);
+  }
+  return item;
+}
+
+function render() {
+  linesEl.replaceChildren(...lines.map(lineItem));
+}
+
+function addLine(line) {
+  lines = [...lines, line].slice(-MAX_LINES);
+  partialEl.textContent = '';
+  emptyEl.textContent = '';
+  render();
+}
+
+function clear(hint) {
+  lines = [];
+  partialEl.textContent = '';
+  emptyEl.textContent = hint;
+  render();
+}
+
+async function allowMicrophone() {
+  allowEl.disabled = true;
+  try {
+    const stream = await navigator.mediaDevices.getUserMedia({ audio: micConstraints() });
+    stream.getTracks().forEach((track) => track.stop());
+    allowEl.hidden = true;
+    grantHintEl.textContent = 'Microphone allowed. Start captions again from the toolbar button.';
+  } catch (error) {
+    grantHintEl.textContent =
+      error.name === 'NotAllowedError'
+        ? 'Access was blocked. Allow the microphone in the site settings of this page.'
+        : `Could not open a microphone (${error.message}).`;
+  } finally {
+    allowEl.disabled = false;
+  }
+}
+
+chrome.runtime.onMessage.addListener((message) => {
+  if (message?.target !== 'captions' || message.tabId !== tabId) return;
+  if (message.type === 'SUBTITLE') addLine(message);
+  else if (message.type === 'SUBTITLE_PARTIAL') partialEl.textContent = message.text || '';
+  else if (message.type === 'CLEAR_SUBTITLES') clear('Captions stopped.');
+});
+
+chrome.storage.onChanged.addListener((changes, area) => {
+  if (area === 'sync' && changes.displayMode) {
+    displayMode = changes.displayMode.newValue || 'translated';
+    render();
+  }
+});
+
+(async function init() {
+  if (params.has('grant')) {
+    document.title = 'Allow microphone';
+    grantEl.hidden = false;
+    allowEl.addEventListener('click', allowMicrophone);
+    return;
+  }
+  document.title = tabId === MIC_SESSION_ID ? 'Captions — Microphone' : 'Captions';
+  ({ displayMode } = await chrome.storage.sync.get({ displayMode: 'translated' }));
+  const response = await chrome.runtime.sendMessage({
+    target: 'background',
+    type: 'GET_TRANSCRIPT',
+    tabId
+  });
+  const recent = (response?.transcript || []).slice(-MAX_LINES);
+  if (recent.length > 0) recent.forEach(addLine);
+  else clear('Waiting for speech…');
+})();
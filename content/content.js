@@ -5,11 +5,131 @@
  * text on the largest visible video. If the page has no visible video
  * (audio-only, or the video lives in a cross-origin iframe), it falls back
  * to a caption bar at the bottom of the viewport.
+ *
+ * The `displayMode` setting (chrome.storage.sync) picks what is shown:
+ * the translation, the original transcript, or both stacked. Changing it
+ * re-renders the current subtitle immediately. The `appearance` setting
+ * (edited on the options page) styles the box and applies live too.
+ *
+ * With speaker labels on, each subtitle carries the number of its voice.
+ * Depending on `appearance.speakerStyle`, speakers after the first get
+ * their own text colour, or a subtitle starts with a dash when the voice
+ * changes, the way broadcast captions mark turns.
+ *
+ * In low-latency mode SUBTITLE_PARTIAL carries provisional, untranslated
+ * text that may still change; it is shown dimmed below the last subtitle
+ * until it is committed.
+ *
+ * Holding Alt makes the box draggable (and resizable from its corner) so it
+ * can be moved off burned-in subtitles; Alt+double-click resets it. The
+ * placement is stored per origin, relative to the video's rect, so it
+ * follows the video through resizes and fullscreen.
+ *
+ * While captions run, the picked video's play/pause/seek/rate changes are
+ * reported to the background (MEDIA_EVENT) so the offscreen document can
+ * stop listening while paused and stamp each subtitle with the media time
+ * it belongs to. A subtitle whose speech lies ahead of playback (the user
+ * seeked back) is held until playback reaches it; one from before where
+ * playback last seeked to (the user skipped past it) is dropped. Others
+ * that arrive late, however late, are shown straight away.
+ *
+ * Keyboard shortcuts (chrome.commands, handled in the background) can hide
+ * the overlay without stopping recognition and replay the last subtitle;
+ * each shortcut is confirmed with a short toast near the top of the video.
+ *
+ * On pages with an auto-start site rule, the first video to play brings up
+ * a small prompt: a capture can only begin once the user invokes the
+ * extension, so the prompt points at the toolbar icon (or the shortcut),
+ * which then starts captions with the rule's settings in one click.
  */
 (() => {
   let overlay = null;
+  let translatedLine = null;
+  let originalLine = null;
+  let partialLine = null;
+  let resizeHandle = null;
   let hideTimer = null;
   let positionTimer = null;
+  let displayMode = 'translated'; // translated | original | both
+  let current = null; // { text, original, speaker, turn } on screen
+  let partial = ''; // provisional text in low-latency mode
+  let last = null; // the most recent subtitle, for replay
+  let lastSpeaker = null; // speaker of the most recent subtitle
+  let hidden = false; // hidden by shortcut; subtitles still update
+  let toastEl = null;
+  let toastTimer = null;
+  let autoStartRule = null; // site rule waiting for a video to play
+  let promptEl = null;
+
+  // The original sits under the translation in a smaller, quieter style.
+  const LINE_STYLES = {
+    translated: { display: 'block' },
+    original: {
+      display: 'block',
+      fontSize: '0.8em',
+      fontWeight: '400',
+      fontStyle: 'italic',
+      opacity: '0.85',
+      marginTop: '2px'
+    },
+    partial: {
+      display: 'none',
+      fontStyle: 'italic',
+      opacity: '0.55'
+    }
+  };
+
+  // Keep in sync with DEFAULT_APPEARANCE in options/appearance.js.
+  const DEFAULT_APPEARANCE = {
+    fontFamily: 'system',
+    fontScale: 1, // multiplies the size derived from the video width
+    textColor: '#ffffff',
+    backgroundColor: '#000000',
+    backgroundOpacity: 0.75,
+    edgeStyle: 'shadow', // none | shadow | outline | raised
+    verticalPosition: 5, // % of the video height above its bottom edge
+    maxWidth: 85, // % of the video width
+    speakerStyle: 'color' // color | dash | off
+  };
+
+  const FONT_FAMILIES = {
+    system: 'system-ui, -apple-system, "Segoe UI", Roboto, Arial, sans-serif',
+    serif: 'Georgia, "Times New Roman", serif',
+    mono: 'ui-monospace, "SF Mono", Menlo, Consolas, monospace',
+    rounded: '"Arial Rounded MT Bold", "Nunito", system-ui, sans-serif',
+    casual: '"Comic Sans MS", "Comic Neue", cursive'
+  };
+
+  const EDGE_STYLES = {
+    none: 'none',
+    shadow: '0 1px 2px rgba(0, 0, 0, 0.9)',
+    outline: '-1px -1px 0 #000, 1px -1px 0 #000, -1px 1px 0 #000, 1px 1px 0 #000',
+    raised: '1px 1px 0 #000, 2px 2px 0 rgba(0, 0, 0, 0.6)'
+  };
+
+  // Speaker 1 keeps the text colour; the rest take these in turn.
+  const SPEAKER_COLORS = ['#ffeb3b', '#4dd0e1', '#81c784', '#f48fb1', '#ffb74d', '#90caf9'];
+
+  let appearance = { ...DEFAULT_APPEARANCE };
+
+  // User placement for this origin, or null for the default spot:
+  // { x, y, width } — box centre, box bottom and box width as fractions of
+  // the anchor rect (the video, or the viewport when there is none).
+  const PLACEMENTS_KEY = 'overlayPlacements';
+  let placement = null;
+  let editable = false; // Alt is held
+  let drag = null; // { mode, startX, startY, anchor, from }
+
+  // Playback sync, while a session runs on this tab.
+  const MEDIA_EVENTS = ['play', 'pause', 'seeking', 'seeked', 'ratechange', 'timeupdate'];
+  const TIMEUPDATE_REPORT_MS = 2000;
+  const EARLY_TOLERANCE = 0.25; // s — show subtitles this close to their time
+  const MAX_HOLD = 30; // s ahead of playback before a subtitle is dropped
+  let watchTimer = null;
+  let watched = null; // the video being followed
+  let lastTimeReport = 0;
+  let held = []; // [{ text, original, mediaStart, speaker }] waiting for playback
+  let seekedTo = null; // media time playback last seeked to
 
   function pickVideo() {
     let best = null;
@@ -38,13 +158,9 @@
         position: 'fixed',
         zIndex: '2147483647',
         pointerEvents: 'none',
-        background: 'rgba(0, 0, 0, 0.75)',
-        color: '#ffffff',
-        fontFamily: 'system-ui, -apple-system, "Segoe UI", Roboto, Arial, sans-serif',
         fontWeight: '500',
         lineHeight: '1.35',
         textAlign: 'center',
-        textShadow: '0 1px 2px rgba(0, 0, 0, 0.9)',
         padding: '6px 14px',
         borderRadius: '6px',
         whiteSpace: 'pre-wrap',
@@ -52,57 +168,486 @@
         boxSizing: 'border-box',
         display: 'none'
       });
+      translatedLine = document.createElement('div');
+      originalLine = document.createElement('div');
+      partialLine = document.createElement('div');
+      Object.assign(translatedLine.style, LINE_STYLES.translated);
+      Object.assign(originalLine.style, LINE_STYLES.original);
+      Object.assign(partialLine.style, LINE_STYLES.partial);
+      resizeHandle = document.createElement('div');
+      Object.assign(resizeHandle.style, {
+        position: 'absolute',
+        right: '-6px',
+        bottom: '-6px',
+        width: '12px',
+        height: '12px',
+        borderRadius: '2px',
+        background: '#ffffff',
+        boxShadow: '0 0 2px rgba(0, 0, 0, 0.8)',
+        cursor: 'nwse-resize',
+        display: 'none'
+      });
+      overlay.append(translatedLine, originalLine, partialLine, resizeHandle);
+      overlay.addEventListener('pointerdown', startDrag);
+      overlay.addEventListener('dblclick', resetPlacement);
+      applyAppearance();
+      setEditable(editable);
     }
     if (overlay.parentElement !== host) host.appendChild(overlay);
     return overlay;
   }
 
+  /** "#1a73e8", 0.5 -> "rgba(26, 115, 232, 0.5)" */
+  function rgba(hex, alpha) {
+    const n = parseInt(String(hex).replace('#', ''), 16) || 0;
+    return `rgba(${(n >> 16) & 255}, ${(n >> 8) & 255}, ${n & 255}, ${alpha})`;
+  }
+
+  /** Colours, font and edge; sizes and placement are handled by position(). */
+  function applyAppearance() {
+    if (!overlay) return;
+    Object.assign(overlay.style, {
+      color: appearance.textColor,
+      background: rgba(appearance.backgroundColor, appearance.backgroundOpacity),
+      fontFamily: FONT_FAMILIES[appearance.fontFamily] || FONT_FAMILIES.system,
+      textShadow: EDGE_STYLES[appearance.edgeStyle] || EDGE_STYLES.shadow
+    });
+  }
+
+  function anchorRect(video) {
+    if (video) return video.getBoundingClientRect();
+    return { left: 0, top: 0, width: innerWidth, height: innerHeight, bottom: innerHeight };
+  }
+
   function position() {
     if (!overlay || overlay.style.display === 'none') return;
-    const video = pickVideo();
+    const video = drag ? drag.video : pickVideo();
+    const { fontScale, verticalPosition, maxWidth } = appearance;
+    if (placement) {
+      const rect = anchorRect(video);
+      overlay.style.left = `${rect.left + rect.width * placement.x}px`;
+      overlay.style.top = `${rect.top + rect.height * placement.y}px`;
+      overlay.style.transform = 'translate(-50%, -100%)';
+      overlay.style.width = `${rect.width * placement.width}px`;
+      overlay.style.maxWidth = 'none';
+      overlay.style.fontSize = video
+        ? `${Math.max(14, Math.min(rect.width * 0.022, 26)) * fontScale}px`
+        : `${18 * fontScale}px`;
+      return;
+    }
+    overlay.style.width = '';
     if (video) {
       const rect = video.getBoundingClientRect();
       overlay.style.left = `${rect.left + rect.width / 2}px`;
-      overlay.style.top = `${rect.bottom - Math.min(40, rect.height * 0.06)}px`;
+      overlay.style.top = `${rect.bottom - (rect.height * verticalPosition) / 100}px`;
       overlay.style.transform = 'translate(-50%, -100%)';
-      overlay.style.maxWidth = `${Math.min(rect.width * 0.85, innerWidth * 0.9)}px`;
-      overlay.style.fontSize = `${Math.max(14, Math.min(rect.width * 0.022, 26))}px`;
+      overlay.style.maxWidth = `${Math.min((rect.width * maxWidth) / 100, innerWidth * 0.95)}px`;
+      overlay.style.fontSize = `${Math.max(14, Math.min(rect.width * 0.022, 26)) * fontScale}px`;
     } else {
       // No visible video — caption bar at the bottom of the viewport.
       overlay.style.left = '50%';
-      overlay.style.top = `${innerHeight - 40}px`;
+      overlay.style.top = `${innerHeight - Math.max(40, (innerHeight * verticalPosition) / 100)}px`;
       overlay.style.transform = 'translate(-50%, -100%)';
-      overlay.style.maxWidth = '80vw';
-      overlay.style.fontSize = '18px';
+      overlay.style.maxWidth = `${Math.min(maxWidth, 95)}vw`;
+      overlay.style.fontSize = `${18 * fontScale}px`;
     }
   }
 
-  function showSubtitle(text) {
-    if (!text) return;
+  function setEditable(on) {
+    editable = on;
+    if (!overlay) return;
+    const active = on || Boolean(drag);
+    overlay.style.pointerEvents = active ? 'auto' : 'none';
+    overlay.style.cursor = active ? 'move' : '';
+    overlay.style.outline = active ? '2px dashed rgba(255, 255, 255, 0.8)' : 'none';
+    resizeHandle.style.display = active ? 'block' : 'none';
+  }
+
+  function startDrag(event) {
+    if (!editable || event.button !== 0) return;
+    event.preventDefault();
+    event.stopPropagation();
+    const video = pickVideo();
+    const anchor = anchorRect(video);
+    const box = overlay.getBoundingClientRect();
+    drag = {
+      mode: event.target === resizeHandle ? 'resize' : 'move',
+      startX: event.clientX,
+      startY: event.clientY,
+      video,
+      anchor,
+      // Start from where the box is now, even if it was in the default spot.
+      from: placement || {
+        x: (box.left + box.width / 2 - anchor.left) / anchor.width,
+        y: (box.bottom - anchor.top) / anchor.height,
+        width: box.width / anchor.width
+      }
+    };
+    clearTimeout(hideTimer); // don't vanish mid-drag
+    overlay.setPointerCapture(event.pointerId);
+    overlay.addEventListener('pointermove', onDrag);
+    overlay.addEventListener('pointerup', endDrag);
+    overlay.addEventListener('pointercancel', endDrag);
+  }
+
+  function onDrag(event) {
+    const { mode, startX, startY, anchor, from } = drag;
+    const dx = (event.clientX - startX) / anchor.width;
+    const dy = (event.clientY - startY) / anchor.height;
+    const clamp = (v, min, max) => Math.max(min, Math.min(v, max));
+    placement =
+      mode === 'resize'
+        ? // The box is centred, so each side grows by the pointer's movement.
+          { ...from, width: clamp(from.width + 2 * dx, 0.15, 1) }
+        : { ...from, x: clamp(from.x + dx, 0, 1), y: clamp(from.y + dy, 0.05, 1) };
+    position();
+  }
+
+  function endDrag(event) {
+    overlay.releasePointerCapture(event.pointerId);
+    overlay.removeEventListener('pointermove', onDrag);
+    overlay.removeEventListener('pointerup', endDrag);
+    overlay.removeEventListener('pointercancel', endDrag);
+    drag = null;
+    setEditable(editable);
+    savePlacement();
+    if (current || partial) hideTimer = setTimeout(hide, 5000);
+  }
+
+  async function savePlacement() {
+    const { [PLACEMENTS_KEY]: all = {} } = await chrome.storage.local.get(PLACEMENTS_KEY);
+    if (placement) all[location.origin] = placement;
+    else delete all[location.origin];
+    await chrome.storage.local.set({ [PLACEMENTS_KEY]: all });
+  }
+
+  function resetPlacement(event) {
+    if (!editable) return;
+    event.preventDefault();
+    placement = null;
+    position();
+    savePlacement();
+  }
+
+  /** The [main, secondary] lines for the current display mode. */
+  function linesFor({ text, original }) {
+    if (displayMode === 'original') return [original || text, ''];
+    if (displayMode === 'both' && original && original !== text) return [text, original];
+    return [text, ''];
+  }
+
+  /** Text colour for `speaker`; '' keeps the appearance colour. */
+  function speakerColor(speaker) {
+    if (appearance.speakerStyle !== 'color' || !(speaker > 1)) return '';
+    return SPEAKER_COLORS[(speaker - 2) % SPEAKER_COLORS.length];
+  }
+
+  function render() {
+    const [main, secondary] = current ? linesFor(current) : ['', ''];
+    const dash = current?.turn && appearance.speakerStyle === 'dash' ? '– ' : '';
+    const color = speakerColor(current?.speaker);
+    translatedLine.textContent = main && dash + main;
+    translatedLine.style.display = main ? 'block' : 'none';
+    translatedLine.style.color = color;
+    originalLine.style.color = color;
+    originalLine.textContent = secondary;
+    originalLine.style.display = secondary ? 'block' : 'none';
+    partialLine.textContent = partial;
+    partialLine.style.display = partial ? 'block' : 'none';
+  }
+
+  function show() {
     ensureOverlay();
-    overlay.textContent = text;
+    render();
     overlay.style.display = 'block';
+    overlay.style.visibility = hidden ? 'hidden' : 'visible';
     position();
 
     if (!positionTimer) positionTimer = setInterval(position, 250);
 
     clearTimeout(hideTimer);
-    const duration = Math.max(5000, Math.min(4000 + text.length * 60, 12000));
+    const shown = current ? linesFor(current).join(' ') : '';
+    const duration = current ? Math.max(5000, Math.min(4000 + shown.length * 60, 12000)) : 4000;
     hideTimer = setTimeout(hide, duration);
   }
 
+  function showSubtitle(text, original, speaker = null) {
+    if (!text) return;
+    // A turn is a change of voice; the very first speaker doesn't get one.
+    const turn = speaker != null && lastSpeaker != null && speaker !== lastSpeaker;
+    current = { text, original, speaker, turn };
+    last = current;
+    lastSpeaker = speaker;
+    show();
+  }
+
+  function showPartial(text) {
+    partial = text || '';
+    if (partial || current) show();
+    else hide();
+  }
+
   function hide() {
     if (overlay) overlay.style.display = 'none';
+    current = null;
+    partial = '';
     clearInterval(positionTimer);
     positionTimer = null;
   }
 
   function clear() {
     hide();
+    lastSpeaker = null; // the next session numbers its speakers afresh
     if (overlay && overlay.parentElement) overlay.remove();
     overlay = null;
   }
 
+  function showToast(text) {
+    const host = document.fullscreenElement || document.body || document.documentElement;
+    if (!toastEl) {
+      toastEl = document.createElement('div');
+      toastEl.id = '__video_translator_toast';
+      Object.assign(toastEl.style, {
+        position: 'fixed',
+        zIndex: '2147483647',
+        pointerEvents: 'none',
+        transform: 'translateX(-50%)',
+        padding: '6px 12px',
+        borderRadius: '6px',
+        background: 'rgba(32, 33, 36, 0.9)',
+        color: '#ffffff',
+        font: '500 14px system-ui, -apple-system, "Segoe UI", Roboto, Arial, sans-serif',
+        transition: 'opacity 0.3s'
+      });
+    }
+    if (toastEl.parentElement !== host) host.appendChild(toastEl);
+    const rect = anchorRect(pickVideo());
+    toastEl.style.left = `${rect.left + rect.width / 2}px`;
+    toastEl.style.top = `${Math.max(rect.top, 0) + 16}px`;
+    toastEl.textContent = text;
+    toastEl.style.opacity = '1';
+    clearTimeout(toastTimer);
+    toastTimer = setTimeout(() => {
+      toastEl.style.opacity = '0';
+    }, 1500);
+  }
+
+  function toggleHidden() {
+    hidden = !hidden;
+    if (overlay) overlay.style.visibility = hidden ? 'hidden' : 'visible';
+    showToast(hidden ? 'Captions hidden' : 'Captions shown');
+  }
+
+  function replay() {
+    if (!last) {
+      showToast('No subtitle to replay yet');
+      return;
+    }
+    current = last;
+    show();
+    showToast('Replaying last subtitle');
+  }
+
+  function setDisplayMode(mode) {
+    displayMode = mode || 'translated';
+    if ((current || partial) && overlay) {
+      render();
+      position();
+    }
+  }
+
+  function setAppearance(value) {
+    appearance = { ...DEFAULT_APPEARANCE, ...value };
+    applyAppearance();
+    if (current && overlay) render();
+    position();
+  }
+
+  function reportMedia(event) {
+    if (!watched) return;
+    lastTimeReport = Date.now();
+    chrome.runtime
+      .sendMessage({
+        target: 'background',
+        type: 'MEDIA_EVENT',
+        event,
+        currentTime: watched.currentTime,
+        playbackRate: watched.playbackRate,
+        paused: watched.paused
+      })
+      .catch(() => {});
+  }
+
+  function onMediaEvent(event) {
+    if (event.type === 'seeking') {
+      held = [];
+      seekedTo = watched.currentTime;
+    }
+    if (event.type === 'timeupdate') {
+      releaseHeld();
+      if (Date.now() - lastTimeReport < TIMEUPDATE_REPORT_MS) return;
+    }
+    reportMedia(event.type);
+  }
+
+  /** Follow the main video; re-picked every second as players swap elements. */
+  function watchVideo() {
+    const video = pickVideo() || (watched?.isConnected ? watched : null);
+    if (video === watched) return;
+    for (const type of MEDIA_EVENTS) {
+      watched?.removeEventListener(type, onMediaEvent);
+      video?.addEventListener(type, onMediaEvent);
+    }
+    watched = video;
+    held = [];
+    seekedTo = null;
+    reportMedia('attach');
+  }
+
+  function startWatching() {
+    if (watchTimer) return;
+    watchVideo();
+    watchTimer = setInterval(watchVideo, 1000);
+  }
+
+  function stopWatching() {
+    clearInterval(watchTimer);
+    watchTimer = null;
+    for (const type of MEDIA_EVENTS) watched?.removeEventListener(type, onMediaEvent);
+    watched = null;
+    held = [];
+    seekedTo = null;
+  }
+
+  /** Show a subtitle now, hold it for later, or drop it, by its media time. */
+  function placeSubtitle({ text, original, mediaStart, mediaEnd, speaker = null }) {
+    if (!watched || typeof mediaStart !== 'number') {
+      showSubtitle(text, original, speaker);
+      return;
+    }
+    const now = watched.currentTime;
+    // Spoken before the last seek: playback jumped past it.
+    if (seekedTo !== null && mediaEnd <= seekedTo) return;
+    if (mediaStart > now + MAX_HOLD) return;
+    if (mediaStart > now + EARLY_TOLERANCE) {
+      held.push({ text, original, mediaStart, speaker });
+      held.sort((a, b) => a.mediaStart - b.mediaStart);
+      return;
+    }
+    showSubtitle(text, original, speaker);
+  }
+
+  function releaseHeld() {
+    const now = watched.currentTime;
+    let due = null;
+    while (held.length > 0 && held[0].mediaStart <= now + EARLY_TOLERANCE) due = held.shift();
+    if (due) showSubtitle(due.text, due.original, due.speaker);
+  }
+
+  function languageName(code) {
+    if (!code || code === 'auto') return 'any language';
+    try {
+      return new Intl.DisplayNames([navigator.language || 'en'], { type: 'language' }).of(code);
+    } catch (e) {
+      return code;
+    }
+  }
+
+  function showStartPrompt(rule, shortcut) {
+    const host = document.fullscreenElement || document.body || document.documentElement;
+    promptEl = document.createElement('div');
+    promptEl.id = '__video_translator_prompt';
+    Object.assign(promptEl.style, {
+      position: 'fixed',
+      zIndex: '2147483647',
+      top: '16px',
+      right: '16px',
+      maxWidth: '320px',
+      display: 'flex',
+      alignItems: 'flex-start',
+      gap: '10px',
+      padding: '10px 12px',
+      borderRadius: '8px',
+      background: 'rgba(32, 33, 36, 0.95)',
+      color: '#e8eaed',
+      boxShadow: '0 2px 8px rgba(0, 0, 0, 0.4)',
+      font: '13px/1.4 system-ui, -apple-system, "Segoe UI", Roboto, Arial, sans-serif'
+    });
+    const text = document.createElement('div');
+    const how = shortcut ? `the Video Translator icon or press ${shortcut}` : 'the Video Translator icon';
+    text.textContent =
+      `Captions for this site: ${languageName(rule.sourceLanguage)} → ` +
+      `${languageName(rule.targetLanguage)}. Click ${how} to start.`;
+    const close = document.createElement('button');
+    close.textContent = '✕';
+    close.title = 'Dismiss';
+    Object.assign(close.style, {
+      border: 'none',
+      background: 'none',
+      color: '#9aa0a6',
+      cursor: 'pointer',
+      font: 'inherit',
+      padding: '0'
+    });
+    close.addEventListener('click', removeStartPrompt);
+    promptEl.append(text, close);
+    host.appendChild(promptEl);
+  }
+
+  function removeStartPrompt() {
+    promptEl?.remove();
+    promptEl = null;
+  }
+
+  /** First video play on an auto-start page: ask the background to arm. */
+  function onFirstPlay(event) {
+    if (!autoStartRule || !(event.target instanceof HTMLVideoElement)) return;
+    const rule = autoStartRule;
+    autoStartRule = null;
+    document.removeEventListener('play', onFirstPlay, true);
+    chrome.runtime
+      .sendMessage({ target: 'background', type: 'AUTO_START_PENDING' })
+      .then((response) => {
+        if (response && !watchTimer) showStartPrompt(rule, response.shortcut);
+      })
+      .catch(() => {});
+  }
+
+  chrome.storage.local.get(PLACEMENTS_KEY).then(({ [PLACEMENTS_KEY]: all }) => {
+    placement = all?.[location.origin] || null;
+    position();
+  });
+
+  // Alt toggles drag mode. Listen in the capture phase so players that stop
+  // key events can't swallow it; blur covers Alt released in another window.
+  addEventListener(
+    'keydown',
+    (event) => {
+      if (event.key === 'Alt' && !editable) setEditable(true);
+    },
+    true
+  );
+  addEventListener(
+    'keyup',
+    (event) => {
+      if (event.key === 'Alt') setEditable(false);
+    },
+    true
+  );
+  addEventListener('blur', () => setEditable(false));
+
+  chrome.storage.sync
+    .get({ displayMode: 'translated', appearance: null })
+    .then(({ displayMode, appearance }) => {
+      setDisplayMode(displayMode);
+      setAppearance(appearance);
+    });
+  chrome.storage.onChanged.addListener((changes, area) => {
+    if (area !== 'sync') return;
+    if (changes.displayMode) setDisplayMode(changes.displayMode.newValue);
+    if (changes.appearance) setAppearance(changes.appearance.newValue);
+  });
+
   document.addEventListener('fullscreenchange', () => {
     if (overlay && overlay.style.display !== 'none') {
       ensureOverlay();
@@ -112,7 +657,33 @@
 
   chrome.runtime.onMessage.addListener((message) => {
     if (!message || message.target !== 'content') return;
-    if (message.type === 'SUBTITLE') showSubtitle(message.text);
-    else if (message.type === 'CLEAR_SUBTITLES') clear();
+    if (message.type === 'SUBTITLE') placeSubtitle(message);
+    else if (message.type === 'SUBTITLE_PARTIAL') showPartial(message.text);
+    else if (message.type === 'SESSION_STARTED') {
+      removeStartPrompt();
+      startWatching();
+    } else if (message.type === 'TOAST') showToast(message.text);
+    else if (message.type === 'TOGGLE_OVERLAY') toggleHidden();
+    else if (message.type === 'REPLAY_SUBTITLE') replay();
+    else if (message.type === 'CLEAR_SUBTITLES') {
+      stopWatching();
+      clear();
+    }
   });
+
+  // A session may already be running (the page navigated mid-session), or a
+  // site rule may want one as soon as a video plays.
+  chrome.runtime
+    .sendMessage({ target: 'background', type: 'CONTENT_READY' })
+    .then((response) => {
+      if (response?.active) startWatching();
+      else if (response?.autoStart) {
+        autoStartRule = response.rule;
+        // play doesn't bubble; catch it on the way down.
+        document.addEventListener('play', onFirstPlay, true);
+        const playing = [...document.querySelectorAll('video')].find((v) => !v.paused);
+        if (playing) onFirstPlay({ target: playing });
+      }
+    })
+    .catch(() => {});
 })();
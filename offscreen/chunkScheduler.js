@@ -0,0 +1,214 @@
+/**
+ * The rolling audio buffer of one capture session, and when to cut it into
+ * chunks for Whisper.
+ *
+ * Audio arrives in small batches from the worklet and is appended as-is;
+ * chunks are cut off the front. Positions are counted in samples since the
+ * session started (`captured`), so cuts requested by the VAD or a
+ * pause/seek stay valid while more audio arrives.
+ *
+ * Without VAD a chunk is ready once it is at least minChunkSeconds long
+ * and ends in a pause (a quiet tail, see tailIsQuiet), or once it reaches
+ * maxChunkSeconds. With VAD, and on pause or seek, the chunk ends at the
+ * requested cut (`cutAt`) instead.
+ *
+ * Pure: no Web Audio, no chrome.*. offscreen.js owns the buffer per
+ * session and decides when to ask for the next chunk.
+ */
+
+export const CHUNK_DEFAULTS = {
+  minChunkSeconds: 3, // shortest chunk worth transcribing
+  maxChunkSeconds: 8, // force a cut during continuous speech
+  bufferCapSeconds: 28, // Whisper's window is 30s; never exceed it
+  silenceRms: 0.0015, // skip chunks quieter than this
+  pauseWindowSeconds: 0.35, // a quiet tail this long marks a pause
+  streamStepSeconds: 1, // streaming: re-decode after this much new audio
+  minFlushSeconds: 0.5, // pause/seek: shorter leftovers are discarded
+  maxOverlapSeconds: 1 // audio shared by consecutive chunks, at most
+};
+
+/**
+ * A buffer for audio at `sampleRate`. `overlap` (s) is kept from the end of
+ * each chunk to start the next one with; `streaming` enables partial decodes.
+ */
+export function createChunkBuffer(sampleRate, options = {}) {
+  const { overlap = 0, streaming = false, ...rest } = options;
+  const limits = { ...CHUNK_DEFAULTS, ...rest };
+  return {
+    ...limits,
+    sampleRate,
+    streaming,
+    overlap: Math.min(Math.max(Number(overlap) || 0, 0), limits.maxOverlapSeconds),
+    pieces: [],
+    buffered: 0,
+    captured: 0, // samples received since start; chunk timings count from here
+    // Absolute sample to cut at next (VAD segment end, pause, seek), or null.
+    cutAt: null,
+    // Set by a pause or seek: the next cut keeps no overlap.
+    seam: false,
+    // Streaming: buffer length at the last decode.
+    decodedAt: 0,
+    // Where the last chunk ended (s); the overlap was timed with it.
+    chunkEnd: 0
+  };
+}
+
+/** Append a batch of samples, dropping the oldest audio beyond the cap. */
+export function appendSamples(buf, samples) {
+  buf.pieces.push(samples);
+  buf.buffered += samples.length;
+  buf.captured += samples.length;
+
+  // If transcription can't keep up, drop the oldest audio.
+  const cap = buf.bufferCapSeconds * buf.sampleRate;
+  while (buf.buffered > cap && buf.pieces.length > 1) {
+    buf.buffered -= buf.pieces.shift().length;
+  }
+}
+
+/** Remove and return the oldest `count` buffered samples. */
+export function takeSamples(buf, count) {
+  const out = new Float32Array(count);
+  let offset = 0;
+  while (offset < count) {
+    const piece = buf.pieces[0];
+    const take = Math.min(piece.length, count - offset);
+    out.set(piece.subarray(0, take), offset);
+    offset += take;
+    if (take === piece.length) buf.pieces.shift();
+    else buf.pieces[0] = piece.subarray(take);
+  }
+  buf.buffered -= count;
+  return out;
+}
+
+/** Copy the oldest `count` buffered samples, leaving them in place. */
+export function peekSamples(buf, count) {
+  const out = new Float32Array(count);
+  let offset = 0;
+  for (const piece of buf.pieces) {
+    if (offset >= count) break;
+    const take = Math.min(piece.length, count - offset);
+    out.set(piece.subarray(0, take), offset);
+    offset += take;
+  }
+  return out;
+}
+
+/** Absolute index (in samples since start) of the oldest buffered sample. */
+export function bufferStart(buf) {
+  return buf.captured - buf.buffered;
+}
+
+/** Cut at absolute sample `sample` next (or later, if a cut is pending). */
+export function requestCut(buf, sample) {
+  buf.cutAt = Math.max(buf.cutAt ?? 0, sample);
+}
+
+/** Drop buffered audio before absolute sample `sample` (judged silent). */
+export function dropBefore(buf, sample) {
+  const drop = Math.min(sample - bufferStart(buf), buf.buffered);
+  if (drop <= 0) return;
+  takeSamples(buf, drop);
+  buf.decodedAt = Math.max(0, buf.decodedAt - drop);
+}
+
+/**
+ * True when the most recent pauseWindowSeconds of audio is quiet — a
+ * natural pause. Cutting chunks there instead of mid-word noticeably
+ * improves Whisper's accuracy.
+ */
+export function tailIsQuiet(buf) {
+  const needed = Math.round(buf.pauseWindowSeconds * buf.sampleRate);
+  let collected = 0;
+  let sum = 0;
+  for (let i = buf.pieces.length - 1; i >= 0 && collected < needed; i--) {
+    const piece = buf.pieces[i];
+    const take = Math.min(piece.length, needed - collected);
+    for (let j = piece.length - take; j < piece.length; j++) sum += piece[j] * piece[j];
+    collected += take;
+  }
+  return collected > 0 && Math.sqrt(sum / collected) < buf.silenceRms * 1.5;
+}
+
+/**
+ * True when the buffer should be cut and transcribed as a whole. With
+ * `vad`, only a requested cut counts.
+ */
+export function chunkReady(buf, vad = false) {
+  // A VAD segment ended, or playback paused/seeked.
+  if (buf.cutAt !== null) return true;
+  if (vad) return false;
+  if (buf.buffered < buf.minChunkSeconds * buf.sampleRate) return false;
+  // Prefer cutting at a pause; force a cut if speech runs long.
+  return buf.buffered >= buf.maxChunkSeconds * buf.sampleRate || tailIsQuiet(buf);
+}
+
+/** Streaming mode: enough new audio since the last decode for another pass. */
+export function partialReady(buf) {
+  return buf.streaming && buf.buffered - buf.decodedAt >= buf.streamStepSeconds * buf.sampleRate;
+}
+
+/**
+ * Take the next piece of audio to decode:
+ * { final, samples, timing: { start, end } (s since start), seam }.
+ *
+ * A final chunk is cut off the buffer (up to the requested cut, if any;
+ * later audio stays), keeping the overlap to start the next one with. A
+ * partial decode (streaming, not at a cut) copies the whole buffer and
+ * leaves it in place.
+ */
+export function nextChunk(buf, vad = false) {
+  const final = chunkReady(buf, vad);
+  const start = bufferStart(buf);
+  const count =
+    final && buf.cutAt !== null
+      ? Math.max(0, Math.min(buf.cutAt - start, buf.buffered))
+      : buf.buffered;
+  // The overlap at the start was timed with the previous chunk.
+  const timing = {
+    start: Math.max(start / buf.sampleRate, buf.chunkEnd),
+    end: (start + count) / buf.sampleRate
+  };
+  const seam = final && buf.seam;
+  const samples = peekSamples(buf, count);
+  if (final) {
+    // Keep the end of the chunk to start the next one with, unless the
+    // next audio comes from after a pause or seek.
+    const keep = seam ? 0 : Math.min(Math.round(buf.overlap * buf.sampleRate), count >> 1);
+    takeSamples(buf, count - keep);
+    buf.cutAt = null;
+    buf.decodedAt = keep;
+    buf.seam = false;
+    buf.chunkEnd = timing.end;
+  } else {
+    buf.decodedAt = buf.buffered;
+  }
+  return { final, samples, timing, seam };
+}
+
+/**
+ * The video paused or seeked: cut everything buffered so far into its own
+ * chunk, or drop it if it's too short to be worth transcribing. Returns
+ * 'cut', 'dropped' or 'empty'.
+ */
+export function flushChunk(buf) {
+  buf.seam = true;
+  if (buf.buffered >= buf.minFlushSeconds * buf.sampleRate) {
+    buf.cutAt = buf.captured;
+    return 'cut';
+  }
+  if (buf.buffered > 0) {
+    takeSamples(buf, buf.buffered);
+    buf.decodedAt = 0;
+    buf.seam = false;
+    return 'dropped';
+  }
+  return 'empty';
+}
+
+export function rms(samples) {
+  let sum = 0;
+  for (let i = 0; i < samples.length; i++) sum += samples[i] * samples[i];
+  return Math.sqrt(sum / samples.length);
+}
@@ -0,0 +1,40 @@
+/**
+ * Subtitle cues for a transcribed media file, from Whisper's timestamps.
+ *
+ * Files are transcribed chunk by chunk like live audio, but with
+ * `return_timestamps` on: transformers.js then also returns the segments
+ * Whisper found in the chunk, { text, chunks: [{ text, timestamp: [start,
+ * end] }] }, timed in seconds from the start of the chunk's audio. The last
+ * segment's end is null when speech runs on past the end of the chunk.
+ * Each segment becomes one cue, so cue times follow the speech instead of
+ * the chunk boundaries.
+ *
+ * Pure: offscreen.js runs Whisper and translates the cues.
+ */
+import { cleanTranscript, isHallucination } from './textFilters.js';
+
+export const MIN_CUE_SECONDS = 0.5; // long enough to read a word
+
+/**
+ * Cues { start, end, original } in seconds from the start of the file, for
+ * Whisper `output` on the chunk spanning `timing` ({ start, end }). Times
+ * stay within the chunk and never before `after`, where the previous cue
+ * ended. Without segments, the whole text is one cue over the chunk.
+ */
+export function segmentCues(output, timing, after = 0) {
+  const segments = output?.chunks?.length
+    ? output.chunks
+    : [{ text: output?.text, timestamp: [0, null] }];
+  const cues = [];
+  let from = Math.max(after, timing.start);
+  for (const { text, timestamp: [start, end] = [] } of segments) {
+    const original = cleanTranscript(text);
+    if (!original || isHallucination(original)) continue;
+    const cueStart = Math.min(Math.max(timing.start + (start ?? 0), from), timing.end);
+    const spoken = end == null ? timing.end : timing.start + end;
+    const cueEnd = Math.min(Math.max(spoken, cueStart + MIN_CUE_SECONDS), timing.end);
+    cues.push({ start: cueStart, end: cueEnd, original });
+    from = cueEnd;
+  }
+  return cues;
+}
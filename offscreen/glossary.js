@@ -0,0 +1,184 @@
+/**
+ * User glossaries, applied around translation.
+ *
+ * A glossary is { id, source, target, entries } for one language pair
+ * ('*' stands for any language) and lives in chrome.storage.local as
+ * `glossaries`. Entries are { type, from, to }:
+ *  - keep:    `from` is never translated (names, product names)
+ *  - map:     `from` is always translated as `to`
+ *  - replace: after translation, the regular expression `from` is replaced
+ *             with `to` (write /pattern/flags for flags other than "gu")
+ *
+ * keep and map terms are swapped for numbered placeholders before the text
+ * goes to the translator, which passes them through untouched, and are put
+ * back afterwards. Terms match case-insensitively and, in spaced scripts,
+ * only as whole words.
+ *
+ * Pure functions, no chrome.* — tested in Node.
+ */
+
+export const ENTRY_TYPES = ['keep', 'map', 'replace'];
+
+// Script_Extensions, so the prolonged sound mark ー counts as kana.
+const UNSPACED = /[\p{scx=Han}\p{scx=Hiragana}\p{scx=Katakana}\p{scx=Thai}]/u;
+const WORD_CHAR = /[\p{L}\p{N}]/u;
+// Translators sometimes add spaces inside the brackets; accept that.
+const PLACEHOLDER_RE = /⟦\s*(\d+)\s*⟧/g;
+
+function placeholder(index) {
+  return `⟦${index}⟧`;
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/** "zh" (or "*") in a glossary covers "zh-CN"; "auto" only matches "*". */
+function languageMatches(glossaryLanguage, language) {
+  if (!glossaryLanguage || glossaryLanguage === '*') return true;
+  if (!language || language === 'auto') return false;
+  const want = glossaryLanguage.toLowerCase();
+  const have = language.toLowerCase();
+  return want === have || want === have.split('-')[0];
+}
+
+/** All entries of the glossaries that apply to a language pair. */
+export function glossaryEntriesFor(glossaries, sourceLanguage, targetLanguage) {
+  return (glossaries || [])
+    .filter(
+      (g) => languageMatches(g.source, sourceLanguage) && languageMatches(g.target, targetLanguage)
+    )
+    .flatMap((g) => g.entries || [])
+    .filter((entry) => ENTRY_TYPES.includes(entry.type) && entry.from);
+}
+
+function termPattern(term) {
+  const first = term[0];
+  const last = term[term.length - 1];
+  const before = WORD_CHAR.test(first) && !UNSPACED.test(first) ? '(?<![\\p{L}\\p{N}])' : '';
+  const after = WORD_CHAR.test(last) && !UNSPACED.test(last) ? '(?![\\p{L}\\p{N}])' : '';
+  return `${before}${escapeRegExp(term)}${after}`;
+}
+
+/**
+ * Swap keep/map terms for placeholders. Returns the masked text and the
+ * slots to restore: slot i replaces placeholder i.
+ */
+export function maskTerms(text, entries) {
+  const terms = entries
+    .filter((e) => e.type === 'keep' || e.type === 'map')
+    // Longer terms first, so "New York Times" wins over "New York".
+    .sort((a, b) => b.from.length - a.from.length);
+  const slots = [];
+  if (terms.length === 0) return { text, slots };
+  // One pass with a group per term, so no term matches inside another's
+  // placeholder.
+  const regex = new RegExp(terms.map((e) => `(${termPattern(e.from)})`).join('|'), 'giu');
+  const masked = text.replace(regex, (match, ...groups) => {
+    const entry = terms[groups.findIndex((g) => g !== undefined)];
+    slots.push(entry.type === 'map' ? entry.to || '' : match);
+    return placeholder(slots.length - 1);
+  });
+  return { text: masked, slots };
+}
+
+/** Put the terms back. Placeholders the translator dropped stay dropped. */
+export function unmaskTerms(text, slots) {
+  if (slots.length === 0) return text;
+  return text.replace(PLACEHOLDER_RE, (match, index) => slots[Number(index)] ?? match);
+}
+
+/** "/colou?r/i" -> /colou?r/gi, "colou?r" -> /colou?r/gu. Null if invalid. */
+export function parseReplacePattern(pattern) {
+  const literal = /^\/(.+)\/([a-z]*)$/s.exec(pattern);
+  try {
+    if (literal) {
+      const flags = literal[2].includes('g') ? literal[2] : `${literal[2]}g`;
+      return new RegExp(literal[1], flags);
+    }
+    return new RegExp(pattern, 'gu');
+  } catch (e) {
+    return null;
+  }
+}
+
+export function applyReplacements(text, entries) {
+  let result = text;
+  for (const entry of entries) {
+    if (entry.type !== 'replace') continue;
+    const regex = parseReplacePattern(entry.from);
+    if (regex) result = result.replace(regex, entry.to || '');
+  }
+  return result;
+}
+
+// --- CSV / TSV ---------------------------------------------------------
+
+/** Split delimited text into rows of fields; "quoted" fields may hold anything. */
+function parseDelimited(text, delimiter) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      quoted = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows;
+}
+
+/**
+ * Entries from CSV or TSV text: one "type,from,to" row per entry, with an
+ * optional header row. Tab-separated if the first line has a tab. Rows
+ * with an unknown type or no term are skipped.
+ */
+export function parseGlossary(text) {
+  const firstLine = String(text || '').split(/\r?\n/, 1)[0];
+  const delimiter = firstLine.includes('\t') ? '\t' : ',';
+  const entries = [];
+  for (const [type = '', from = '', to = ''] of parseDelimited(String(text || ''), delimiter)) {
+    const kind = type.trim().toLowerCase();
+    if (!ENTRY_TYPES.includes(kind) || !from.trim()) continue;
+    entries.push({ type: kind, from: from.trim(), to: to.trim() });
+  }
+  return entries;
+}
+
+function formatField(value, delimiter) {
+  const text = String(value ?? '');
+  if (delimiter === '\t') return text.replace(/[\t\r\n]+/g, ' ');
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/** CSV (delimiter ",") or TSV ("\t") with a header row; parseGlossary reads it back. */
+export function formatGlossary(entries, delimiter = ',') {
+  const rows = [['type', 'from', 'to'], ...entries.map((e) => [e.type, e.from, e.to])];
+  const lines = rows.map((row) => row.map((v) => formatField(v, delimiter)).join(delimiter));
+  return `${lines.join('\n')}\n`;
+}
@@ -0,0 +1,81 @@
+/**
+ * Language code mapping for the on-device translation models.
+ *
+ * The popup uses Google-style codes ("en", "zh-CN") and Whisper reports its
+ * own ("zh", "jw"). NLLB-200 wants FLORES-200 codes ("zho_Hans"), Opus-MT
+ * models are named by plain ISO 639-1 pairs ("Xenova/opus-mt-ja-en").
+ */
+
+const NLLB_CODES = {
+  af: 'afr_Latn',
+  ar: 'arb_Arab',
+  bg: 'bul_Cyrl',
+  bn: 'ben_Beng',
+  ca: 'cat_Latn',
+  cs: 'ces_Latn',
+  da: 'dan_Latn',
+  de: 'deu_Latn',
+  el: 'ell_Grek',
+  en: 'eng_Latn',
+  es: 'spa_Latn',
+  et: 'est_Latn',
+  fa: 'pes_Arab',
+  fi: 'fin_Latn',
+  fr: 'fra_Latn',
+  he: 'heb_Hebr',
+  hi: 'hin_Deva',
+  hr: 'hrv_Latn',
+  hu: 'hun_Latn',
+  id: 'ind_Latn',
+  it: 'ita_Latn',
+  ja: 'jpn_Jpan',
+  ko: 'kor_Hang',
+  lt: 'lit_Latn',
+  lv: 'lvs_Latn',
+  ms: 'zsm_Latn',
+  nl: 'nld_Latn',
+  no: 'nob_Latn',
+  pl: 'pol_Latn',
+  pt: 'por_Latn',
+  ro: 'ron_Latn',
+  ru: 'rus_Cyrl',
+  sk: 'slk_Latn',
+  sl: 'slv_Latn',
+  sr: 'srp_Cyrl',
+  sv: 'swe_Latn',
+  sw: 'swh_Latn',
+  ta: 'tam_Taml',
+  th: 'tha_Thai',
+  tl: 'tgl_Latn',
+  tr: 'tur_Latn',
+  uk: 'ukr_Cyrl',
+  ur: 'urd_Arab',
+  vi: 'vie_Latn',
+  zh: 'zho_Hans',
+  'zh-cn': 'zho_Hans',
+  'zh-tw': 'zho_Hant'
+};
+
+// Codes that differ between Google/Whisper and ISO 639-1.
+const ALIASES = { iw: 'he', jw: 'jv', fil: 'tl' };
+
+/** Lower-case, resolve aliases; keeps the region ("zh-cn"). */
+function normalize(code) {
+  const lower = String(code || '').trim().toLowerCase().replace('_', '-');
+  const [base, ...region] = lower.split('-');
+  return [ALIASES[base] || base, ...region].join('-');
+}
+
+/** FLORES-200 code for NLLB, or null when the language isn't covered. */
+export function toNllbCode(code) {
+  const normalized = normalize(code);
+  return NLLB_CODES[normalized] || NLLB_CODES[normalized.split('-')[0]] || null;
+}
+
+/** Hugging Face id of the Opus-MT model for a pair, e.g. "Xenova/opus-mt-ja-en". */
+export function opusMtModelId(sourceLanguage, targetLanguage) {
+  const source = normalize(sourceLanguage).split('-')[0];
+  const target = normalize(targetLanguage).split('-')[0];
+  if (!source || !target || source === 'auto') return null;
+  return `Xenova/opus-mt-${source}-${target}`;
+}
@@ -0,0 +1,47 @@
+/**
+ * Spoken-language choice for one capture session.
+ *
+ * transformers.js does not auto-detect language (omitting it forces
+ * English), so offscreen.js runs Whisper's language detection itself. A
+ * single early detection is easily fooled by intro music, so with "auto"
+ * every audible chunk votes until two consecutive chunks agree; then the
+ * language is locked. A manual choice is locked from the start.
+ *
+ * Pure: the caller runs detection and reports the results here.
+ */
+
+/** State for a session whose source language setting is `sourceLanguage`. */
+export function createLanguageVote(sourceLanguage = 'auto') {
+  const auto = !sourceLanguage || sourceLanguage === 'auto';
+  return { language: auto ? null : sourceLanguage, locked: !auto, votes: [] };
+}
+
+/**
+ * Whether to run detection before decoding. Only whole chunks (`vote`)
+ * count towards the lock, but a partial decode still needs a language if
+ * there is none yet.
+ */
+export function needsDetection(state, vote = true) {
+  return !state.locked && (vote || !state.language);
+}
+
+/**
+ * Record a detected language. Returns true when it differs from the
+ * language used so far (not counting the first detection).
+ */
+export function recordDetection(state, detected, vote = true) {
+  const changed = state.language !== null && detected !== state.language;
+  if (vote) {
+    state.votes.push(detected);
+    const n = state.votes.length;
+    if (n >= 2 && state.votes[n - 1] === state.votes[n - 2]) state.locked = true;
+  }
+  state.language = detected;
+  return changed;
+}
+
+/** Detection is unavailable: keep what we have (or English) for good. */
+export function detectionFailed(state) {
+  state.language = state.language || 'en';
+  state.locked = true;
+}
@@ -0,0 +1,54 @@
+/**
+ * LocalAgreement-2 commit policy for streaming transcription.
+ *
+ * The growing audio buffer is re-decoded every second or so. A word is
+ * committed (final) once two consecutive decodes agree on it and on every
+ * word before it; the rest of the latest decode is interim and may still
+ * change. Committed text is never taken back.
+ *
+ * State is per buffer: start a new one whenever the buffer is cut.
+ */
+import { tokenize, joinTokens, tokenKey } from './textTokens.js';
+
+export function createAgreementState() {
+  return { committed: 0, previous: [] };
+}
+
+/**
+ * Feed the decode of the whole current buffer. Returns
+ * { committed: newly final text, interim: text still in flux, share }, where
+ * `share` is how much of the decode (by length) is committed by now: about
+ * how far into the buffer's audio the committed words reach.
+ */
+export function updateAgreement(state, text) {
+  const tokens = tokenize(text);
+  const start = state.committed;
+  let agreed = start;
+  while (
+    agreed < tokens.length &&
+    agreed < state.previous.length &&
+    tokenKey(tokens[agreed]) === tokenKey(state.previous[agreed])
+  ) {
+    agreed++;
+  }
+  state.previous = tokens;
+  state.committed = agreed;
+  const whole = joinTokens(tokens).length;
+  return {
+    committed: joinTokens(tokens.slice(start, agreed)),
+    interim: joinTokens(tokens.slice(agreed)),
+    share: whole ? joinTokens(tokens.slice(0, agreed)).length / whole : 0
+  };
+}
+
+/**
+ * The buffer was cut and decoded one last time: everything not yet
+ * committed becomes final. Returns that remainder and resets the state.
+ */
+export function flushAgreement(state, text) {
+  const tokens = tokenize(text);
+  const rest = joinTokens(tokens.slice(state.committed));
+  state.committed = 0;
+  state.previous = [];
+  return rest;
+}
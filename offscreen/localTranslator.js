@@ -0,0 +1,84 @@
+/**
+ * On-device translation with transformers.js — the "local" provider.
+ *
+ *  - opus-mt: one small Marian model per language pair (~75 MB each);
+ *             fast, but only pairs someone has converted exist.
+ *  - nllb:    NLLB-200 distilled 600M (~600 MB quantized); one model for
+ *             200 languages, slower on CPU.
+ *
+ * Only one translation model is kept in memory at a time. Weights are
+ * cached by the browser like Whisper's, so after the first download this
+ * works without any network.
+ */
+import { pipeline } from '@huggingface/transformers';
+import { toNllbCode, opusMtModelId } from './languageCodes.js';
+
+const NLLB_MODEL = 'Xenova/nllb-200-distilled-600M';
+
+let loaded = null; // { id, translator }
+let loading = null; // { id, promise }
+
+async function load(id, onProgress) {
+  if (loaded?.id === id) return loaded.translator;
+  if (loading?.id === id) return loading.promise;
+
+  const promise = (async () => {
+    if (loaded) {
+      try {
+        await loaded.translator.dispose?.();
+      } catch (e) {
+        // Old model will be garbage collected.
+      }
+      loaded = null;
+    }
+    const translator = await pipeline('translation', id, {
+      device: 'wasm',
+      dtype: 'q8',
+      progress_callback: (p) => {
+        if (p.status === 'progress' && p.file && p.file.endsWith('.onnx')) {
+          onProgress?.({ kind: 'translation', file: p.file, progress: Math.round(p.progress || 0) });
+        }
+      }
+    });
+    loaded = { id, translator };
+    onProgress?.(null); // ready
+    return translator;
+  })();
+  loading = { id, promise };
+  try {
+    return await promise;
+  } finally {
+    if (loading?.promise === promise) loading = null;
+  }
+}
+
+/**
+ * setLocalBackend() implementation. options.onProgress(detail) receives
+ * download progress, then null once the model is ready.
+ */
+export async function translateOnDevice(text, sourceLanguage, targetLanguage, config, options = {}) {
+  if (!sourceLanguage || sourceLanguage === 'auto') {
+    throw new Error('On-device translation needs the source language');
+  }
+
+  if (config.model === 'nllb') {
+    const src_lang = toNllbCode(sourceLanguage);
+    const tgt_lang = toNllbCode(targetLanguage);
+    if (!src_lang || !tgt_lang) {
+      throw new Error(`NLLB does not cover ${sourceLanguage} → ${targetLanguage}`);
+    }
+    const translator = await load(NLLB_MODEL, options.onProgress);
+    const [output] = await translator(text, { src_lang, tgt_lang });
+    return (output?.translation_text || '').trim();
+  }
+
+  const id = opusMtModelId(sourceLanguage, targetLanguage);
+  let translator;
+  try {
+    translator = await load(id, options.onProgress);
+  } catch (error) {
+    throw new Error(`No Opus-MT model for ${sourceLanguage} → ${targetLanguage} (${error.message})`);
+  }
+  const [output] = await translator(text);
+  return (output?.translation_text || '').trim();
+}
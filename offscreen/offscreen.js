@@ -2,51 +2,205 @@
  * Offscreen document: the audio → subtitle pipeline.
  *
  *   tab MediaStream ─▶ AudioContext (also routed back to speakers)
+ *   and/or microphone ─┘
  *        └▶ AudioWorklet (mono batches) ─▶ rolling buffer
  *             every ~5s: resample to 16kHz ─▶ Whisper (on-device)
- *             ─▶ clean/filter ─▶ translate ─▶ SUBTITLE message
+ *             ─▶ clean/filter ─▶ merge sentences ─▶ translate ─▶ SUBTITLE message
+ *
+ * Chunk boundaries come from Silero VAD when it loads: the buffer is cut at
+ * the end of each detected speech segment and speech-free audio is dropped
+ * before it ever reaches Whisper. Without it, chunks are cut at quiet tails
+ * found by an RMS threshold. The buffer and its cut rules live in
+ * chunkScheduler.js, language auto-detection votes in languageVote.js.
+ *
+ * The content script reports what the captured video is doing. Pausing or
+ * seeking cuts the buffer right away, so audio from before a seek is never
+ * mixed with audio after it, and audio is ignored while paused. Reported
+ * playback positions are kept as anchors that map captured samples to
+ * media time, and every subtitle carries the media time it was spoken at.
+ *
+ * Each decode can be primed with a prompt (whisperPrompt.js): the user's
+ * vocabulary for the session, plus, if enabled, the tail of what was
+ * transcribed so far. transformers.js has no prompt option, so prompted
+ * chunks go through model.generate() with the prompt in decoder_input_ids
+ * and only the newly generated tokens are decoded.
+ *
+ * Consecutive chunks overlap by a fraction of a second, so a word cut in
+ * half at one boundary is heard whole in the next chunk. The overlap is
+ * transcribed twice; overlapAlignment.js lines the new transcript up with
+ * the end of the previous one and keeps only what is new.
+ *
+ * Chunk cuts fall at pauses, not sentence ends, so finished text goes
+ * through sentenceMerger.js first: an unfinished sentence is held (up to a
+ * few seconds) and joined with the next fragment, so it is translated
+ * whole. The sentence before it can go along as translation context.
+ *
+ * With speaker labels on, each chunk also gets a voice embedding
+ * (speakerEmbedding.js) that speakerClusters.js matches against the voices
+ * heard so far in the session; the subtitle carries the speaker's number.
+ * A change of speaker releases any held sentence, so one caption never
+ * mixes two voices.
+ *
+ * In streaming (low-latency) mode the growing buffer is also re-decoded
+ * about once a second. Words two consecutive decodes agree on are committed
+ * and translated right away (LocalAgreement); the unstable rest goes out
+ * untranslated as SUBTITLE_PARTIAL for the overlay to show dimmed.
+ *
+ * A session captures its tab, a microphone, or both mixed into the one
+ * worklet input (shared/captureSources.js). Only tab audio is played back:
+ * the microphone would echo.
+ *
+ * One capture graph runs per captioned tab. They share a single loaded
+ * Whisper model, and chunks from all tabs take turns on it through a
+ * round-robin queue so a busy tab cannot starve a quiet one.
+ *
+ * Media files from the transcription page (transcribe/) go through the
+ * same model and queue as file jobs. The file is decoded whole at 16 kHz,
+ * fed through the chunk buffer and VAD as fast as they take it, and each
+ * chunk is decoded with Whisper's timestamps, so cues are timed by
+ * segment (fileCues.js) rather than by chunk. A job takes one chunk per
+ * turn, so live captions keep up while a file is transcribed.
  *
  * Whisper runs via transformers.js: WebGPU when available, WASM otherwise.
  * Model weights download once from the Hugging Face Hub and are cached
- * by the browser, so later sessions start fast and work offline.
+ * by the browser, so later sessions start fast and work offline. Which
+ * repo and quantization to load comes from the background, resolved
+ * through shared/modelRegistry.js; the model manager can also have a model
+ * downloaded ahead of time (OFFSCREEN_PRELOAD).
  */
 import { pipeline, env, Tensor } from '@huggingface/transformers';
 import { cleanTranscript, isHallucination } from './textFilters.js';
-import { translate } from './translator.js';
+import { removeOverlap } from './overlapAlignment.js';
+import { segmentCues } from './fileCues.js';
+import { dtypeFor } from '../shared/modelRegistry.js';
+import { usesTab, usesMic, micConstraints } from '../shared/captureSources.js';
+import {
+  translate,
+  clearTranslationCache,
+  setLocalBackend,
+  setHealthListener,
+  resetProviderHealth,
+  setPersistentCache
+} from './translator.js';
+import { getCachedTranslation, putCachedTranslation } from '../shared/translationCache.js';
+import { translateOnDevice } from './localTranslator.js';
+import { createAgreementState, updateAgreement, flushAgreement } from './localAgreement.js';
+import {
+  createSegmenter,
+  pushProbability,
+  flushSegmenter,
+  createFramer,
+  VAD_FRAME_SIZE,
+  VAD_SAMPLE_RATE
+} from './vadSegmenter.js';
+import { loadVad, createVadStream } from './sileroVad.js';
+import { loadSpeakerModel, embedSpeaker } from './speakerEmbedding.js';
+import {
+  CHUNK_DEFAULTS,
+  createChunkBuffer,
+  appendSamples,
+  requestCut,
+  dropBefore,
+  chunkReady,
+  partialReady,
+  nextChunk,
+  flushChunk,
+  rms
+} from './chunkScheduler.js';
+import {
+  createLanguageVote,
+  needsDetection,
+  recordDetection,
+  detectionFailed
+} from './languageVote.js';
+import { createSpeakerClusters, assignSpeaker } from './speakerClusters.js';
+import { parseVocabulary, buildPromptIds, trimContext } from './whisperPrompt.js';
+import {
+  MERGER_DEFAULTS,
+  createMerger,
+  pushFragment,
+  holdExpired,
+  flushMerger,
+  joinPieces
+} from './sentenceMerger.js';
 
 // Serve ONNX Runtime's wasm files from the extension instead of a CDN.
 env.allowLocalModels = false;
 env.backends.onnx.wasm.wasmPaths = chrome.runtime.getURL('vendor/');
 
-const MODELS = {
-  tiny: 'onnx-community/whisper-tiny',
-  base: 'onnx-community/whisper-base',
-  small: 'onnx-community/whisper-small'
-};
+setLocalBackend(translateOnDevice);
+setPersistentCache({ get: getCachedTranslation, put: putCachedTranslation });
+// Failing or paused translation providers, for the popup.
+setHealthListener((providers) => send({ type: 'PROVIDER_HEALTH', providers }));
 
 const WHISPER_SAMPLE_RATE = 16000;
-const MIN_CHUNK_SECONDS = 3; // shortest chunk worth transcribing
-const MAX_CHUNK_SECONDS = 8; // force a cut during continuous speech
-const BUFFER_CAP_SECONDS = 28; // Whisper's window is 30s; never exceed it
-const SILENCE_RMS = 0.0015; // skip chunks quieter than this
-const PAUSE_WINDOW_S = 0.35; // a quiet tail this long marks a pause
+const VAD_KEEP_SECONDS = 0.3; // VAD: audio kept before the next speech onset
+const MIN_SPEAKER_SECONDS = 1; // shorter chunks keep the previous speaker
+const MAX_ANCHORS = 20;
+// Files: no latency to keep down, so longer chunks give Whisper more
+// context; still within its 30 s window.
+const FILE_CHUNK_LIMITS = { minChunkSeconds: 10, maxChunkSeconds: 25 };
+const FILE_BATCH_SIZE = 2048; // fed to the chunk buffer like worklet batches
 
 let transcriber = null;
-let loadedModelKey = null;
+let loadedModel = null; // `${id}:${dtype}` of the loaded model
 let backend = null; // 'webgpu' | 'wasm'
-let session = null; // active capture session, or null
+let modelLoad = null; // in-flight loadModel() promise
+let translationProviders; // user's provider chain; undefined = defaults
+let glossaries = []; // user glossaries, all language pairs
+const sessions = new Map(); // tabId -> capture session
+const jobs = new Map(); // jobId -> file transcription job
+// Last status sent per tab, from OFFSCREEN_START until OFFSCREEN_STOP, so a
+// restarted service worker can ask what is running (OFFSCREEN_LIST).
+const reported = new Map(); // tabId -> { status, detail }
+// The latest start() per tab, until it has a session; see start().
+const starting = new Map(); // tabId -> token
+
+// Sessions (and file jobs) with a chunk waiting for the model, served in
+// arrival order. Each appears at most once, so each gets one chunk per turn.
+const queue = [];
+let transcribing = false;
 
 function send(message) {
   chrome.runtime.sendMessage({ target: 'background', ...message }).catch(() => {});
 }
 
-function reportStatus(status, detail = null) {
-  send({ type: 'STATUS', status, detail });
+function reportStatus(tabId, status, detail = null) {
+  if (reported.has(tabId)) reported.set(tabId, { status, detail });
+  send({ type: 'STATUS', tabId, status, detail });
+}
+
+function isLive(s) {
+  return sessions.get(s.tabId) === s;
 }
 
-async function loadModel(modelKey) {
-  const key = MODELS[modelKey] ? modelKey : 'base';
-  if (transcriber && loadedModelKey === key) return;
+/** Captures and file jobs that depend on the loaded model (not ones still loading). */
+function modelInUse() {
+  return sessions.size > 0 || [...jobs.values()].some((j) => j.chunks);
+}
+
+/**
+ * Sessions share one model: swapping it would stall every other tab, so a
+ * new session's model choice only applies while nothing else is running.
+ */
+async function ensureModel(model, onProgress) {
+  if (modelLoad) await modelLoad.catch(() => {});
+  if (transcriber && modelInUse()) return;
+  modelLoad = loadModel(model, onProgress);
+  try {
+    await modelLoad;
+  } finally {
+    modelLoad = null;
+  }
+}
+
+function modelTag(model) {
+  return `${model.id}:${model.dtype}`;
+}
+
+/** Load `model` ({ id, dtype } from the registry); onProgress({ file, progress }). */
+async function loadModel(model, onProgress) {
+  if (transcriber && loadedModel === modelTag(model)) return;
 
   if (transcriber) {
     try {
@@ -55,206 +209,643 @@ async function loadModel(modelKey) {
       // Old model will be garbage collected.
     }
     transcriber = null;
-    loadedModelKey = null;
+    loadedModel = null;
   }
 
   const progress_callback = (p) => {
-    if (p.status === 'progress' && p.file && p.file.endsWith('.onnx')) {
-      reportStatus('loading', { file: p.file, progress: Math.round(p.progress || 0) });
+    if (p.status === 'progress' && p.file && /\.onnx(_data)?$/.test(p.file)) {
+      onProgress({ file: p.file, progress: Math.round(p.progress || 0) });
     }
   };
 
-  reportStatus('loading', { file: 'model', progress: 0 });
+  onProgress({ file: 'model', progress: 0 });
   try {
-    transcriber = await pipeline('automatic-speech-recognition', MODELS[key], {
+    transcriber = await pipeline('automatic-speech-recognition', model.id, {
       device: 'webgpu',
-      dtype: { encoder_model: 'fp32', decoder_model_merged: 'q4' },
+      dtype: dtypeFor(model, 'webgpu'),
       progress_callback
     });
     backend = 'webgpu';
   } catch (webgpuError) {
     console.warn('WebGPU unavailable, falling back to WASM:', webgpuError);
     if (!crossOriginIsolated) env.backends.onnx.wasm.numThreads = 1;
-    transcriber = await pipeline('automatic-speech-recognition', MODELS[key], {
+    transcriber = await pipeline('automatic-speech-recognition', model.id, {
       device: 'wasm',
-      dtype: 'q8',
+      dtype: dtypeFor(model, 'wasm'),
       progress_callback
     });
     backend = 'wasm';
   }
-  loadedModelKey = key;
+  loadedModel = modelTag(model);
+}
+
+/**
+ * Download (and load) a model ahead of its first session. Loading is the
+ * only way to have transformers.js fetch exactly the files it will use, so
+ * this can't swap out a model that running sessions depend on.
+ */
+async function preload(model) {
+  if (modelInUse() && loadedModel !== modelTag(model)) {
+    throw new Error(
+      'Stop captions and file transcriptions first: downloading a model also loads it.'
+    );
+  }
+  await ensureModel(model, (detail) => send({ type: 'MODEL_PROGRESS', model: model.key, ...detail }));
+}
+
+function applySettings(message) {
+  if ('providers' in message) {
+    const providers = message.providers || undefined;
+    // A fixed key or URL deserves a fresh start; an unchanged chain keeps
+    // its failure counts.
+    if (JSON.stringify(providers) !== JSON.stringify(translationProviders)) resetProviderHealth();
+    translationProviders = providers;
+    clearTranslationCache();
+  }
+  if ('glossaries' in message) {
+    glossaries = message.glossaries || [];
+    clearTranslationCache();
+  }
 }
 
+/**
+ * Loading the models and opening the streams takes a while: if the tab is
+ * stopped or started again meanwhile, this start gives up and releases
+ * whatever it had opened, rather than leave the tab captured.
+ */
 async function start(message) {
-  await stop();
+  const { tabId } = message;
+  const token = {};
+  starting.set(tabId, token);
+  const superseded = () => starting.get(tabId) !== token;
+  const onProgress = (detail) => {
+    if (!superseded()) reportStatus(tabId, 'loading', detail);
+  };
 
-  await loadModel(message.model);
+  await stop(tabId);
+  if (superseded()) return;
+  applySettings(message);
 
-  const media = await navigator.mediaDevices.getUserMedia({
-    audio: {
-      mandatory: {
-        chromeMediaSource: 'tab',
-        chromeMediaSourceId: message.streamId
-      }
-    },
-    video: false
-  });
+  await ensureModel(message.model, onProgress);
+  const vadModel = message.vad === false ? null : await loadVadOrNull();
+  const speakerModel = message.diarize ? await loadSpeakerModelOrNull(onProgress) : null;
+  if (superseded()) return;
 
-  const ctx = new AudioContext();
-  await ctx.resume();
+  let tab = null;
+  let mic = null;
+  try {
+    if (usesTab(message.source)) tab = await openTabStream(message.streamId);
+    if (usesMic(message.source) && !superseded()) mic = await openMicrophone(message.micDeviceId);
+  } catch (error) {
+    stopTracks(tab);
+    if (superseded()) return; // the stream ID may well have been the newer start's
+    throw error;
+  }
+  const media = [tab, mic].filter(Boolean);
+  if (superseded()) {
+    media.forEach(stopTracks);
+    return;
+  }
 
-  const source = ctx.createMediaStreamSource(media);
-  // Capturing mutes the tab for the user — route the audio back out.
-  source.connect(ctx.destination);
+  const ctx = new AudioContext();
+  const release = () => {
+    media.forEach(stopTracks);
+    return ctx.close().catch(() => {});
+  };
+  try {
+    await ctx.resume();
+    await ctx.audioWorklet.addModule(chrome.runtime.getURL('offscreen/recorder-worklet.js'));
+  } catch (error) {
+    await release();
+    throw error;
+  }
+  if (superseded()) {
+    await release();
+    return;
+  }
+  starting.delete(tabId);
 
-  await ctx.audioWorklet.addModule(chrome.runtime.getURL('offscreen/recorder-worklet.js'));
   const recorder = new AudioWorkletNode(ctx, 'recorder-processor', {
     channelCount: 1,
     channelCountMode: 'explicit',
     channelInterpretation: 'speakers'
   });
-  source.connect(recorder);
+  // Both sources feed the one recorder input, which sums them.
+  for (const stream of media) {
+    const source = ctx.createMediaStreamSource(stream);
+    // Capturing mutes the tab for the user — route the audio back out.
+    if (stream === tab) source.connect(ctx.destination);
+    source.connect(recorder);
+  }
 
-  const sourceLanguage = message.sourceLanguage || 'auto';
-  session = {
-    tabId: message.tabId,
+  const streaming = Boolean(message.streaming);
+  const s = {
+    tabId,
     targetLanguage: message.targetLanguage || 'en',
-    language: sourceLanguage === 'auto' ? null : sourceLanguage,
-    // Auto-detection keeps voting on every chunk until two consecutive
-    // chunks agree; a manual choice is locked from the start.
-    langLocked: sourceLanguage !== 'auto',
-    langVotes: [],
+    // Spoken language: fixed, or voted on until chunks agree.
+    lang: createLanguageVote(message.sourceLanguage || 'auto'),
+    // Prompt: terms to listen for, and (rolling context) recent transcript.
+    vocabulary: parseVocabulary(message.vocabulary),
+    rollingContext: Boolean(message.rollingContext),
+    context: '',
+    // Sentence merging: the held tail and its release timer, and whether to
+    // pass the previous sentence to the translator.
+    mergeSentences: message.mergeSentences !== false,
+    translationContext: message.translationContext !== false,
+    merger: createMerger(),
+    holdTimer: null,
+    // Subtitles go out one after another through this chain (see deliverInOrder).
+    delivery: Promise.resolve(),
+    // Speaker labels: the shared embedding model, this session's voices,
+    // and the speaker of the text being merged.
+    speakerModel,
+    speakers: speakerModel && createSpeakerClusters(),
+    speaker: null,
     media,
     ctx,
-    buffer: [],
-    buffered: 0,
-    transcribing: false,
-    lastText: ''
+    // Rolling buffer, cut into chunks that overlap by `chunkOverlap` s,
+    // and the transcript the overlap repeats.
+    audio: createChunkBuffer(ctx.sampleRate, { overlap: message.chunkOverlap, streaming }),
+    lastText: '',
+    // Streaming mode: agreement over re-decodes of the current buffer, and
+    // where committed text ends (s).
+    streaming,
+    agreement: createAgreementState(),
+    committedUntil: 0,
+    interim: '', // the words after the agreed ones, shown as partial
+    // VAD mode: per-stream model state, segmenter and framing, and the
+    // chain that keeps frames in order.
+    vad: vadModel && {
+      probability: createVadStream(vadModel),
+      segmenter: createSegmenter({ maxSpeechSeconds: CHUNK_DEFAULTS.maxChunkSeconds }),
+      framer: createFramer(ctx.sampleRate),
+      chain: Promise.resolve()
+    },
+    // Playback of the captured video, from the content script. Anchors map
+    // captured samples to media time: { sample, time, rate }, oldest first.
+    paused: false,
+    anchors: []
   };
+  sessions.set(s.tabId, s);
+
+  recorder.port.onmessage = (event) => onAudio(s, event.data);
+  mic?.getAudioTracks()[0]?.addEventListener('ended', () => {
+    if (isLive(s)) reportStatus(s.tabId, 'error', 'The microphone was disconnected.');
+  });
+  reportStatus(s.tabId, 'listening', { backend });
+}
+
+function openTabStream(streamId) {
+  return navigator.mediaDevices.getUserMedia({
+    audio: {
+      mandatory: {
+        chromeMediaSource: 'tab',
+        chromeMediaSourceId: streamId
+      }
+    },
+    video: false
+  });
+}
 
-  recorder.port.onmessage = (event) => onAudio(event.data);
-  reportStatus('listening', { backend });
+/**
+ * The microphone `deviceId` ('' = default). This document can't ask for
+ * permission: the user grants it once on an extension page (the caption
+ * window), which covers the whole extension.
+ */
+async function openMicrophone(deviceId) {
+  try {
+    return await navigator.mediaDevices.getUserMedia({
+      audio: micConstraints(deviceId),
+      video: false
+    });
+  } catch (error) {
+    if (error.name === 'NotAllowedError') {
+      throw new Error('Microphone access is not allowed yet. Allow it from the popup first.');
+    }
+    if (error.name === 'NotFoundError' || error.name === 'OverconstrainedError') {
+      throw new Error('That microphone is not available. Pick another one in the popup.');
+    }
+    throw error;
+  }
+}
+
+function stopTracks(stream) {
+  stream?.getTracks().forEach((track) => track.stop());
+}
+
+async function loadVadOrNull() {
+  try {
+    return await loadVad();
+  } catch (error) {
+    console.warn('Silero VAD unavailable, using RMS pause detection:', error);
+    return null;
+  }
 }
 
-async function stop() {
-  if (!session) return;
-  const s = session;
-  session = null;
-  s.media.getTracks().forEach((track) => track.stop());
+async function loadSpeakerModelOrNull(onProgress) {
+  try {
+    return await loadSpeakerModel(onProgress);
+  } catch (error) {
+    console.warn('Speaker model unavailable, captions will not be labelled:', error);
+    return null;
+  }
+}
+
+async function stop(tabId) {
+  const s = sessions.get(tabId);
+  if (!s) return;
+  sessions.delete(tabId);
+  clearTimeout(s.holdTimer);
+  const queued = queue.indexOf(s);
+  if (queued !== -1) queue.splice(queued, 1);
+  s.media.forEach(stopTracks);
   await s.ctx.close().catch(() => {});
 }
 
-function onAudio(samples) {
-  if (!session) return;
-  session.buffer.push(samples);
-  session.buffered += samples.length;
+function onAudio(s, samples) {
+  // Paused video: nothing is playing, and media time isn't advancing.
+  if (!isLive(s) || s.paused) return;
+  appendSamples(s.audio, samples);
+  if (s.vad) feedVad(s, samples);
+  maybeTranscribe(s);
+}
+
+/**
+ * Run new audio through Silero VAD, in order. A finished speech segment
+ * marks where to cut; between segments, audio the VAD has already judged
+ * silent is dropped.
+ */
+function feedVad(s, samples) {
+  const frames = s.vad.framer(samples);
+  if (frames.length === 0) return;
+  const vad = s.vad;
+  vad.chain = vad.chain
+    .then(async () => {
+      if (await judgeFrames(vad, s.audio, frames, () => isLive(s) && s.vad === vad)) {
+        maybeTranscribe(s);
+      }
+    })
+    .catch((error) => {
+      console.warn('VAD failed, falling back to RMS pause detection:', error);
+      if (s.vad === vad) s.vad = null;
+    });
+}
+
+/**
+ * Apply the VAD's verdict on `frames` to chunk buffer `buf`: cut where a
+ * speech segment ends, and between segments drop what was judged silent.
+ * Returns false if `alive()` turned false on the way.
+ */
+async function judgeFrames(vad, buf, frames, alive) {
+  for (const frame of frames) {
+    if (!alive()) return false;
+    const segment = pushProbability(vad.segmenter, await vad.probability(frame));
+    if (segment) requestCut(buf, Math.round(segment.end * buf.sampleRate));
+  }
+  if (!vad.segmenter.triggered && buf.cutAt === null) {
+    const judged = (vad.segmenter.frame * VAD_FRAME_SIZE) / VAD_SAMPLE_RATE;
+    dropBefore(buf, Math.round((judged - VAD_KEEP_SECONDS) * buf.sampleRate));
+  }
+  return true;
+}
+
+/**
+ * The video paused or seeked: cut everything buffered so far into its own
+ * chunk (or drop it, if it's too short to be worth transcribing).
+ */
+function flushBuffer(s) {
+  if (s.vad) flushSegmenter(s.vad.segmenter);
+  // Don't join words from before a seek with words after it.
+  releaseHeld(s);
+  const flushed = flushChunk(s.audio);
+  if (flushed === 'cut') maybeTranscribe(s);
+  else if (flushed === 'dropped') s.lastText = '';
+}
+
+function onMediaEvent(s, { event, currentTime, playbackRate, paused }) {
+  if (event === 'pause' || event === 'seeking') flushBuffer(s);
+  s.paused = Boolean(paused);
+  if (typeof currentTime !== 'number') return;
+  s.anchors.push({ sample: s.audio.captured, time: currentTime, rate: playbackRate || 1 });
+  if (s.anchors.length > MAX_ANCHORS) s.anchors.shift();
+}
 
-  // If transcription can't keep up, drop the oldest audio.
-  const cap = BUFFER_CAP_SECONDS * session.ctx.sampleRate;
-  while (session.buffered > cap && session.buffer.length > 1) {
-    session.buffered -= session.buffer.shift().length;
+/**
+ * Media time of a moment in the capture (seconds since the session
+ * started), from the latest anchor at or before it. Audio from before a
+ * seek maps through the anchors from before the seek. Null until the
+ * content script has reported anything.
+ */
+function mediaTimeAt(s, seconds) {
+  if (s.anchors.length === 0) return null;
+  const sample = seconds * s.ctx.sampleRate;
+  let anchor = s.anchors[0];
+  for (const candidate of s.anchors) {
+    if (candidate.sample > sample) break;
+    anchor = candidate;
   }
-  maybeTranscribe();
+  return anchor.time + ((sample - anchor.sample) / s.ctx.sampleRate) * anchor.rate;
+}
+
+/** Queue the session once its buffer holds a chunk (or partial) worth decoding. */
+function maybeTranscribe(s) {
+  if (!isLive(s) || queue.includes(s)) return;
+  if (!chunkReady(s.audio, Boolean(s.vad)) && !partialReady(s.audio)) return;
+  queue.push(s);
+  runQueue();
 }
 
 /**
- * True when the most recent PAUSE_WINDOW_S of audio is quiet — a natural
- * pause. Cutting chunks there instead of mid-word noticeably improves
- * Whisper's accuracy.
+ * Transcribe one chunk at a time across all sessions and file jobs, taking
+ * turns.
  */
-function tailIsQuiet(s) {
-  const needed = Math.round(PAUSE_WINDOW_S * s.ctx.sampleRate);
-  let collected = 0;
-  let sum = 0;
-  for (let i = s.buffer.length - 1; i >= 0 && collected < needed; i--) {
-    const piece = s.buffer[i];
-    const take = Math.min(piece.length, needed - collected);
-    for (let j = piece.length - take; j < piece.length; j++) sum += piece[j] * piece[j];
-    collected += take;
-  }
-  return collected > 0 && Math.sqrt(sum / collected) < SILENCE_RMS * 1.5;
-}
-
-async function maybeTranscribe() {
-  const s = session;
-  if (!s || s.transcribing) return;
-  if (s.buffered < MIN_CHUNK_SECONDS * s.ctx.sampleRate) return;
-  // Prefer cutting at a pause; force a cut if speech runs long.
-  if (s.buffered < MAX_CHUNK_SECONDS * s.ctx.sampleRate && !tailIsQuiet(s)) return;
-
-  s.transcribing = true;
-  const samples = new Float32Array(s.buffered);
-  let offset = 0;
-  for (const piece of s.buffer) {
-    samples.set(piece, offset);
-    offset += piece.length;
-  }
-  s.buffer = [];
-  s.buffered = 0;
+async function runQueue() {
+  if (transcribing) return;
+  const next = queue.shift();
+  if (!next) return;
 
+  transcribing = true;
   try {
-    await processChunk(s, samples);
+    if (next.jobId) await fileTurn(next);
+    else await sessionTurn(next);
+  } finally {
+    transcribing = false;
+    if (next.jobId) queueJob(next);
+    else maybeTranscribe(next);
+    runQueue();
+  }
+}
+
+/**
+ * The chunk is cut when its session's turn comes, so audio that arrived
+ * while waiting is included. A streaming session that isn't at a cut yet
+ * gets a partial decode of its buffer instead, leaving the buffer in place.
+ */
+async function sessionTurn(s) {
+  // Chunk boundaries are in seconds since the session started.
+  const { final, samples, timing, seam } = nextChunk(s.audio, Boolean(s.vad));
+  try {
+    if (!s.streaming) await processChunk(s, samples, timing);
+    else await processStreaming(s, samples, timing, final);
+    // Nothing after a seam repeats this chunk.
+    if (seam) s.lastText = '';
   } catch (error) {
     console.error('Transcription failed:', error);
-    if (session === s) reportStatus('error', error.message);
-  } finally {
-    if (session === s) {
-      s.transcribing = false;
-      maybeTranscribe();
-    }
+    if (isLive(s)) reportStatus(s.tabId, 'error', error.message);
   }
 }
 
-async function processChunk(s, samples) {
-  const audio = await resample(samples, s.ctx.sampleRate, WHISPER_SAMPLE_RATE);
-  if (rms(audio) < SILENCE_RMS) return;
+/**
+ * Detect the language if needed and run Whisper on 16 kHz `audio`. Returns
+ * the cleaned transcript, or '' for silence and hallucinations. Only whole
+ * chunks (`vote`) count towards language detection; partial decodes of the
+ * same audio would agree with each other trivially.
+ */
+async function recognize(s, audio, vote = true) {
+  if (audio.length === 0 || rms(audio) < CHUNK_DEFAULTS.silenceRms) return '';
 
-  // transformers.js does not auto-detect language (omitting it forces
-  // English), so detect it ourselves. A single early detection is easily
-  // fooled by intro music, so keep voting on each audible chunk until two
-  // consecutive chunks agree.
-  if (!s.langLocked) {
-    try {
-      const detected = await detectLanguage(audio);
-      s.langVotes.push(detected);
-      const n = s.langVotes.length;
-      if (n >= 2 && s.langVotes[n - 1] === s.langVotes[n - 2]) {
-        s.langLocked = true;
-      }
-      s.language = detected;
-      reportStatus('listening', { detectedLanguage: s.language, backend });
-    } catch (error) {
-      console.warn('Language detection failed, assuming English:', error);
-      s.language = s.language || 'en';
-      s.langLocked = true;
-    }
+  if (needsDetection(s.lang, vote) && (await voteLanguage(s, audio, vote))) {
+    reportStatus(s.tabId, 'listening', { detectedLanguage: s.lang.language, backend });
   }
 
-  const output = await transcriber(audio, {
-    task: 'transcribe',
-    language: s.language,
-    // Suppress decoder repetition loops ("buy now buy now buy now…")
-    repetition_penalty: 1.3,
-    no_repeat_ngram_size: 3
+  const prompt = promptIds(s);
+  let raw;
+  if (prompt.length > 0) {
+    raw = await transcribeWithPrompt(audio, s.lang.language, prompt);
+  } else {
+    const output = await transcriber(audio, {
+      task: 'transcribe',
+      language: s.lang.language,
+      // Suppress decoder repetition loops ("buy now buy now buy now…")
+      repetition_penalty: 1.3,
+      no_repeat_ngram_size: 3
+    });
+    raw = output?.text;
+  }
+  const text = cleanTranscript(raw);
+  return !text || isHallucination(text) ? '' : text;
+}
+
+/**
+ * Detect the language of `audio` for the session's (or file job's) vote.
+ * Returns true when a language was detected.
+ */
+async function voteLanguage(s, audio, vote = true) {
+  try {
+    // Context in another language would only mislead the decoder.
+    if (recordDetection(s.lang, await detectLanguage(audio), vote)) s.context = '';
+    return true;
+  } catch (error) {
+    console.warn('Language detection failed, assuming English:', error);
+    detectionFailed(s.lang);
+    return false;
+  }
+}
+
+function promptIds(s) {
+  if (s.vocabulary.length === 0 && !s.context) return [];
+  return buildPromptIds({
+    vocabulary: s.vocabulary,
+    context: s.context,
+    encode: (text) => transcriber.tokenizer.encode(text, { add_special_tokens: false })
   });
-  const text = cleanTranscript(output?.text);
-  if (!text || isHallucination(text)) return;
-  // Whisper often re-emits the tail of the previous chunk; drop repeats.
-  if (text === s.lastText || s.lastText.endsWith(text)) return;
+}
+
+/**
+ * Decode with the prompt ahead of the usual start tokens:
+ *   <|startofprev|> prompt… <|startoftranscript|> <|lang|> <|transcribe|> <|notimestamps|>
+ * generate() returns those tokens too; only what follows them is text.
+ */
+async function transcribeWithPrompt(audio, language, prompt) {
+  const { model, processor, tokenizer } = transcriber;
+  const config = model.generation_config;
+  const init = [
+    tokenizer.model.convert_tokens_to_ids(['<|startofprev|>'])[0],
+    ...prompt,
+    config.decoder_start_token_id,
+    config.lang_to_id?.[`<|${language}|>`],
+    config.task_to_id?.transcribe,
+    config.no_timestamps_token_id
+  ].filter((id) => id != null);
+
+  const { input_features } = await processor(audio);
+  // No repetition penalty or n-gram blocking here: both count the prompt,
+  // so they would steer away from exactly the terms it lists. Loops are
+  // still caught by isHallucination().
+  const output = await model.generate({ inputs: input_features, decoder_input_ids: init });
+  const generated = output.tolist()[0].slice(init.length);
+  return tokenizer.decode(generated, { skip_special_tokens: true });
+}
+
+async function processChunk(s, samples, timing) {
+  const audio = await resample(samples, s.ctx.sampleRate, WHISPER_SAMPLE_RATE);
+  const text = await recognize(s, audio);
+  // The overlap (and anything else Whisper re-emits from the previous
+  // chunk) is already out.
+  const fresh = removeOverlap(s.lastText, text);
   s.lastText = text;
+  if (!fresh) return;
+  const speaker = s.speakers ? await identifySpeaker(s, audio) : null;
+  await merge(s, fresh, { ...timing, speaker });
+}
+
+/** Number of the voice speaking in `audio`; the previous one if unsure. */
+async function identifySpeaker(s, audio) {
+  if (audio.length < MIN_SPEAKER_SECONDS * WHISPER_SAMPLE_RATE) return s.speakers.last;
+  try {
+    return assignSpeaker(s.speakers, await embedSpeaker(s.speakerModel, audio));
+  } catch (error) {
+    console.warn('Speaker embedding failed:', error);
+    return s.speakers.last;
+  }
+}
+
+/**
+ * Streaming mode: commit what two decodes in a row agree on, show the rest
+ * as interim. At a cut (`final`) everything left is committed.
+ */
+async function processStreaming(s, samples, timing, final) {
+  const audio = await resample(samples, s.ctx.sampleRate, WHISPER_SAMPLE_RATE);
+  const decoded = await recognize(s, audio, final);
+  if (!isLive(s)) return;
+  // Every decode of this buffer starts with the previous buffer's overlap.
+  const text = removeOverlap(s.lastText, decoded);
+  if (final) s.lastText = decoded;
+
+  let committed;
+  let interim = '';
+  // Where the committed words end: the end of the buffer at a cut, else
+  // estimated from how much of the decode they make up.
+  let until = timing.end;
+  if (final) {
+    committed = flushAgreement(s.agreement, text);
+  } else {
+    let share;
+    ({ committed, interim, share } = updateAgreement(s.agreement, text));
+    until = timing.start + (timing.end - timing.start) * share;
+  }
+  s.interim = interim;
+
+  let merged = null;
+  if (committed) {
+    const start = Math.max(timing.start, s.committedUntil);
+    s.committedUntil = Math.max(start, until);
+    // Takes the words into the merger straight away; only delivery is awaited.
+    merged = merge(s, committed, { start, end: s.committedUntil });
+  }
+  if (final) s.committedUntil = timing.end;
+  sendPartial(s);
+  await merged;
+}
 
-  let translated = text;
+/**
+ * Streaming mode: show what isn't a subtitle yet. That is the interim words,
+ * and ahead of them any committed words the merger holds until their
+ * sentence ends, which would otherwise vanish from the screen meanwhile.
+ */
+function sendPartial(s) {
+  const text = s.interim ? joinPieces(s.merger.text, s.interim) : s.merger.text;
+  send({ type: 'SUBTITLE_PARTIAL', tabId: s.tabId, text });
+}
+
+/**
+ * Pass finished text through the sentence merger: deliver whatever
+ * sentences it completes, and make sure a held tail goes out once it has
+ * waited too long, even if no more speech comes.
+ */
+async function merge(s, text, timing) {
+  if (!s.mergeSentences) {
+    await deliverInOrder(s, text, timing);
+    return;
+  }
+  const speaker = timing.speaker ?? null;
+  if (speaker !== s.speaker) {
+    releaseHeld(s); // the held sentence was someone else's
+    s.speaker = speaker;
+  }
+  const now = performance.now() / 1000;
+  const ready = pushFragment(s.merger, { text, ...timing }, s.lang.language, now);
+  clearTimeout(s.holdTimer);
+  if (s.merger.since !== null) {
+    const wait = s.merger.since + MERGER_DEFAULTS.maxHoldSeconds - now;
+    s.holdTimer = setTimeout(() => {
+      if (holdExpired(s.merger, performance.now() / 1000)) releaseHeld(s);
+    }, Math.max(0, wait) * 1000);
+  }
+  for (const sentence of ready) {
+    await deliverInOrder(s, sentence.text, { ...sentence, speaker }, sentence.context);
+  }
+}
+
+/** Deliver the merger's held tail as it is. */
+function releaseHeld(s) {
+  clearTimeout(s.holdTimer);
+  for (const sentence of flushMerger(s.merger)) {
+    const timing = { ...sentence, speaker: s.speaker };
+    const delivered = deliverInOrder(s, sentence.text, timing, sentence.context);
+    // Streaming mode showed the tail as partial until now, when it's a subtitle.
+    if (s.streaming) delivered.then(() => isLive(s) && sendPartial(s));
+  }
+}
+
+/**
+ * deliver() after everything queued before it. A held tail released by its
+ * timer or a seek isn't waited for; without the chain, the next chunk's
+ * translation could come back first and overtake it.
+ */
+function deliverInOrder(s, text, timing, context) {
+  s.delivery = s.delivery
+    .then(() => deliver(s, text, timing, context))
+    .catch((error) => console.warn('Failed to deliver text:', error));
+  return s.delivery;
+}
+
+/** Translate a final piece of transcript and send it as a SUBTITLE. */
+async function deliver(s, text, timing, context = '') {
+  if (s.rollingContext) s.context = trimContext(`${s.context} ${text}`);
+  const translated = await translateText(s, text, {
+    context: s.translationContext ? context : '',
+    // On-device translation models download on first use, like Whisper.
+    onProgress: (detail) => {
+      if (!isLive(s)) return;
+      if (detail) reportStatus(s.tabId, 'loading', detail);
+      else reportStatus(s.tabId, 'listening', { detectedLanguage: s.lang.language, backend });
+    }
+  });
+
+  if (!isLive(s)) return; // stopped while we were working
+  send({
+    type: 'SUBTITLE',
+    tabId: s.tabId,
+    text: translated,
+    original: text,
+    start: timing.start,
+    end: timing.end,
+    mediaStart: mediaTimeAt(s, timing.start),
+    mediaEnd: mediaTimeAt(s, timing.end),
+    speaker: timing.speaker ?? null
+  });
+}
+
+/**
+ * `text` in the session's (or file job's) target language, with the user's
+ * providers and glossaries; the text itself if translation fails.
+ */
+async function translateText(s, text, { context, onProgress }) {
   try {
     // Telling the translator the source language (instead of auto) avoids
     // misdetection on short fragments, and skips the network round-trip
     // entirely when source and target match.
-    translated = await translate(text, s.targetLanguage, s.language || 'auto');
+    return await translate(text, s.targetLanguage, s.lang.language || 'auto', {
+      providers: translationProviders,
+      glossaries,
+      context,
+      onProgress
+    });
   } catch (error) {
     console.warn('Translation failed, showing original text:', error);
+    return text;
   }
-
-  if (session !== s) return; // stopped while we were working
-  send({ type: 'SUBTITLE', tabId: s.tabId, text: translated, original: text });
 }
 
 /**
@@ -287,7 +878,7 @@ async function detectLanguage(audio) {
 }
 
 async function resample(samples, fromRate, toRate) {
-  if (fromRate === toRate) return samples;
+  if (fromRate === toRate || samples.length === 0) return samples;
   const length = Math.ceil((samples.length * toRate) / fromRate);
   const offline = new OfflineAudioContext(1, length, toRate);
   const buffer = offline.createBuffer(1, samples.length, fromRate);
@@ -300,26 +891,237 @@ async function resample(samples, fromRate, toRate) {
   return rendered.getChannelData(0);
 }
 
-function rms(samples) {
-  let sum = 0;
-  for (let i = 0; i < samples.length; i++) sum += samples[i] * samples[i];
-  return Math.sqrt(sum / samples.length);
+function isJobLive(j) {
+  return jobs.get(j.jobId) === j;
+}
+
+function reportJob(j, status, detail = null) {
+  send({ type: 'FILE_STATUS', jobId: j.jobId, status, detail });
+}
+
+function createJob(message) {
+  return {
+    jobId: message.jobId,
+    targetLanguage: message.targetLanguage || 'en',
+    lang: createLanguageVote(message.sourceLanguage || 'auto'),
+    translationContext: message.translationContext !== false,
+    vad: null,
+    duration: 0, // s
+    // The file's chunks ({ samples, timing }) once it is decoded.
+    chunks: null,
+    // Where the last cue ended (s), and its text as translation context.
+    lastEnd: 0,
+    previous: ''
+  };
+}
+
+/**
+ * Transcribe and translate the media file at `message.url`, a blob: URL
+ * from the transcription page, as job `j`. Cues are sent chunk by chunk
+ * (FILE_CUES), status changes as FILE_STATUS.
+ */
+async function startFile(j, message) {
+  jobs.set(j.jobId, j);
+  applySettings(message);
+
+  await ensureModel(message.model, (detail) => reportJob(j, 'loading', detail));
+  const vadModel = message.vad === false ? null : await loadVadOrNull();
+  if (!isJobLive(j)) return;
+
+  reportJob(j, 'decoding');
+  const samples = await decodeFile(message.url);
+  if (!isJobLive(j)) return;
+  j.duration = samples.length / WHISPER_SAMPLE_RATE;
+  j.vad = vadModel && {
+    probability: createVadStream(vadModel),
+    segmenter: createSegmenter({ maxSpeechSeconds: FILE_CHUNK_LIMITS.maxChunkSeconds }),
+    framer: createFramer(WHISPER_SAMPLE_RATE)
+  };
+  j.chunks = fileChunks(j, samples);
+  reportJob(j, 'transcribing', { backend });
+  queueJob(j);
+}
+
+/** Decode the media file at `url` to mono samples at Whisper's rate. */
+async function decodeFile(url) {
+  const response = await fetch(url);
+  if (!response.ok) throw new Error('The file could not be read. Drop it on the page again.');
+  const data = await response.arrayBuffer();
+  let decoded;
+  try {
+    // An offline context resamples to its own rate while decoding.
+    decoded = await new OfflineAudioContext(1, 1, WHISPER_SAMPLE_RATE).decodeAudioData(data);
+  } catch (error) {
+    throw new Error('The browser cannot decode the audio of this file.');
+  }
+  const mono = new Float32Array(decoded.length);
+  for (let c = 0; c < decoded.numberOfChannels; c++) {
+    const channel = decoded.getChannelData(c);
+    for (let i = 0; i < mono.length; i++) mono[i] += channel[i] / decoded.numberOfChannels;
+  }
+  return mono;
+}
+
+/**
+ * A decoded file's chunks, { samples, timing }, cut by the same buffer and
+ * VAD rules as live audio, just as fast as they can be taken.
+ */
+async function* fileChunks(j, samples) {
+  const buf = createChunkBuffer(WHISPER_SAMPLE_RATE, FILE_CHUNK_LIMITS);
+  const vad = Boolean(j.vad);
+  for (let offset = 0; offset < samples.length; offset += FILE_BATCH_SIZE) {
+    const batch = samples.subarray(offset, offset + FILE_BATCH_SIZE);
+    appendSamples(buf, batch);
+    if (vad && !(await judgeFrames(j.vad, buf, j.vad.framer(batch), () => isJobLive(j)))) {
+      return;
+    }
+    while (chunkReady(buf, vad)) yield nextChunk(buf, vad);
+  }
+  // The end of the file is a cut like a pause.
+  if (flushChunk(buf) === 'cut') yield nextChunk(buf, vad);
+}
+
+/** Put the job in line for its next chunk. */
+function queueJob(j) {
+  if (!isJobLive(j) || !j.chunks || queue.includes(j)) return;
+  queue.push(j);
+  runQueue();
+}
+
+/** A file job's turn: transcribe its next chunk and send the cues, or finish. */
+async function fileTurn(j) {
+  try {
+    const { done, value } = await j.chunks.next();
+    if (!isJobLive(j)) return;
+    if (done) {
+      jobs.delete(j.jobId);
+      reportJob(j, 'done');
+      return;
+    }
+    const cues = await transcribeFileChunk(j, value);
+    if (!isJobLive(j)) return;
+    const progress = Math.min(100, Math.round((value.timing.end / j.duration) * 100));
+    send({ type: 'FILE_CUES', jobId: j.jobId, cues, progress });
+  } catch (error) {
+    failJob(j, error);
+  }
+}
+
+/** Cues { start, end, text, original, speaker } for one chunk of a file. */
+async function transcribeFileChunk(j, { samples, timing }) {
+  if (samples.length === 0 || rms(samples) < CHUNK_DEFAULTS.silenceRms) return [];
+  if (needsDetection(j.lang) && (await voteLanguage(j, samples))) {
+    reportJob(j, 'transcribing', { detectedLanguage: j.lang.language, backend });
+  }
+  const output = await transcriber(samples, {
+    task: 'transcribe',
+    language: j.lang.language,
+    // Segment timestamps time the cues.
+    return_timestamps: true,
+    repetition_penalty: 1.3,
+    no_repeat_ngram_size: 3
+  });
+
+  const cues = [];
+  for (const cue of segmentCues(output, timing, j.lastEnd)) {
+    const text = await translateText(j, cue.original, {
+      context: j.translationContext ? j.previous : '',
+      onProgress: (detail) => {
+        if (!isJobLive(j)) return;
+        if (detail) reportJob(j, 'loading', detail);
+        else reportJob(j, 'transcribing', { detectedLanguage: j.lang.language, backend });
+      }
+    });
+    cues.push({ ...cue, text, speaker: null });
+    j.lastEnd = cue.end;
+    j.previous = cue.original;
+  }
+  return cues;
+}
+
+function failJob(j, error) {
+  console.error('File transcription failed:', error);
+  if (!isJobLive(j)) return;
+  jobs.delete(j.jobId);
+  reportJob(j, 'error', error.message);
+}
+
+function cancelFile(jobId) {
+  const j = jobs.get(jobId);
+  if (!j) return;
+  jobs.delete(jobId);
+  const queued = queue.indexOf(j);
+  if (queued !== -1) queue.splice(queued, 1);
 }
 
 chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
   if (!message || message.target !== 'offscreen') return;
 
+  if (message.type === 'OFFSCREEN_FILE_START') {
+    sendResponse({ ok: true }); // ack; status and cues follow as messages
+    const j = createJob(message);
+    startFile(j, message).catch((error) => failJob(j, error));
+    return false;
+  }
+
+  if (message.type === 'OFFSCREEN_FILE_CANCEL') {
+    cancelFile(message.jobId);
+    return false;
+  }
+
   if (message.type === 'OFFSCREEN_START') {
     sendResponse({ ok: true }); // ack immediately; progress flows via STATUS
+    reported.set(message.tabId, { status: 'starting', detail: null });
     start(message).catch((error) => {
       console.error('Failed to start capture:', error);
-      reportStatus('error', error.message);
+      reportStatus(message.tabId, 'error', error.message);
+    });
+    return false;
+  }
+
+  if (message.type === 'OFFSCREEN_SETTINGS') {
+    applySettings(message);
+    return false;
+  }
+
+  // The options page cleared the translation cache on disk.
+  if (message.type === 'OFFSCREEN_CLEAR_CACHE') {
+    clearTranslationCache();
+    sendResponse({ ok: true });
+    return false;
+  }
+
+  if (message.type === 'OFFSCREEN_MEDIA') {
+    const s = sessions.get(message.tabId);
+    if (s) onMediaEvent(s, message);
+    return false;
+  }
+
+  if (message.type === 'OFFSCREEN_PRELOAD') {
+    sendResponse({ ok: true }); // ack; progress and the result follow as messages
+    const { key } = message.model;
+    preload(message.model)
+      .then(() => send({ type: 'MODEL_READY', model: key }))
+      .catch((error) => {
+        console.warn('Model download failed:', error);
+        send({ type: 'MODEL_READY', model: key, error: error.message });
+      });
+    return false;
+  }
+
+  // The service worker restarted and is rebuilding its session list.
+  if (message.type === 'OFFSCREEN_LIST') {
+    sendResponse({
+      sessions: [...reported].map(([tabId, { status, detail }]) => ({ tabId, status, detail }))
     });
     return false;
   }
 
   if (message.type === 'OFFSCREEN_STOP') {
-    stop().then(() => sendResponse({ ok: true }));
+    // Not in stop(): start() calls it too, and the tab is still reported then.
+    reported.delete(message.tabId);
+    starting.delete(message.tabId);
+    stop(message.tabId).then(() => sendResponse({ ok: true }));
     return true;
   }
 });
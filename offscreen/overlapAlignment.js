@@ -0,0 +1,122 @@
+/**
+ * Reconciling the transcripts of overlapping audio chunks.
+ *
+ * Consecutive chunks share a short stretch of audio, so a word cut in half
+ * at one boundary is heard whole in the next chunk. That stretch is then
+ * transcribed twice, and rarely identically: Whisper may spell a word
+ * differently, drop a half-heard word, or punctuate it another way. The end
+ * of the previous transcript is aligned with the start of the new one
+ * (semi-global alignment over textTokens.js tokens, which are characters
+ * for Chinese, Japanese and Thai), and only what follows the aligned part
+ * is new.
+ *
+ * Tokens match fuzzily: by character edit distance on their comparison
+ * keys, so "colour"/"color" or "gonna"/"gona" still line up. Tokens with no
+ * letters or digits (lone punctuation) are skipped.
+ */
+import { tokenize, joinTokens, tokenKey } from './textTokens.js';
+
+export const ALIGNMENT_DEFAULTS = {
+  window: 48, // tokens compared at each end
+  minSimilarity: 0.7, // tokens at least this similar count as the same
+  minChars: 3 // an overlap must cover at least this many characters
+};
+
+const MISMATCH = -1;
+const GAP = -1;
+
+function editDistance(a, b) {
+  let row = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const next = [i];
+    for (let j = 1; j <= b.length; j++) {
+      const substitution = row[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1);
+      next[j] = Math.min(row[j] + 1, next[j - 1] + 1, substitution);
+    }
+    row = next;
+  }
+  return row[b.length];
+}
+
+/** Similarity of two comparison keys, 0 (nothing alike) to 1 (equal). */
+export function keySimilarity(a, b) {
+  if (a === b) return 1;
+  const length = Math.max([...a].length, [...b].length);
+  return length === 0 ? 0 : 1 - editDistance([...a], [...b]) / length;
+}
+
+function keyed(tokens) {
+  const out = [];
+  tokens.forEach((token, index) => {
+    const key = tokenKey(token);
+    if (key) out.push({ key, index });
+  });
+  return out;
+}
+
+/**
+ * Find how much of the start of `next` repeats the end of `previous`.
+ * Returns the number of `next` tokens to drop (0 when they don't overlap).
+ */
+export function overlapLength(previous, next, options = {}) {
+  const { window, minSimilarity, minChars } = { ...ALIGNMENT_DEFAULTS, ...options };
+  const a = keyed(tokenize(previous)).slice(-window);
+  const nextTokens = tokenize(next);
+  const b = keyed(nextTokens).slice(0, window);
+  if (a.length === 0 || b.length === 0) return 0;
+
+  // score[i][j]: best alignment of some suffix of a[0..i) with b[0..j).
+  // The suffix may start anywhere in `a` for free; skipping tokens at the
+  // start of `b` costs a gap. chars[i][j] counts the characters matched.
+  const score = [Array.from({ length: b.length + 1 }, (_, j) => j * GAP)];
+  const chars = [new Array(b.length + 1).fill(0)];
+  for (let i = 1; i <= a.length; i++) {
+    score[i] = [0];
+    chars[i] = [0];
+    for (let j = 1; j <= b.length; j++) {
+      const similarity = keySimilarity(a[i - 1].key, b[j - 1].key);
+      const pair =
+        similarity >= minSimilarity
+          ? [score[i - 1][j - 1] + similarity, chars[i - 1][j - 1] + [...b[j - 1].key].length]
+          : [score[i - 1][j - 1] + MISMATCH, chars[i - 1][j - 1]];
+      const moves = [
+        pair,
+        [score[i - 1][j] + GAP, chars[i - 1][j]],
+        [score[i][j - 1] + GAP, chars[i][j - 1]]
+      ];
+      [score[i][j], chars[i][j]] = moves.reduce((x, y) => (y[0] > x[0] ? y : x));
+    }
+  }
+
+  // The alignment has to run to the very end of `previous`, except that
+  // its last word may be the first half of a word cut at the boundary, heard
+  // whole in `next` (then that word is new). Prefer the longest overlap
+  // among equally good ones.
+  const cutWord = a[a.length - 1].key;
+  const candidate = (j) => {
+    const whole = [score[a.length][j], chars[a.length][j]];
+    const rest = b[j]?.key;
+    if (a.length < 2 || !rest || rest === cutWord || !rest.startsWith(cutWord)) return whole;
+    const cut = [score[a.length - 1][j], chars[a.length - 1][j]];
+    return cut[0] > whole[0] ? cut : whole;
+  };
+  let bestJ = 0;
+  let bestScore = 0;
+  for (let j = 1; j <= b.length; j++) {
+    const [value, matchedChars] = candidate(j);
+    if (value <= 0 || matchedChars < minChars || value < bestScore) continue;
+    bestJ = j;
+    bestScore = value;
+  }
+  if (bestJ === 0) return 0;
+  // Punctuation right after the repeat belongs to it.
+  let cut = b[bestJ - 1].index + 1;
+  while (cut < nextTokens.length && !tokenKey(nextTokens[cut])) cut++;
+  return cut;
+}
+
+/** The part of `next` that isn't a repeat of the end of `previous`. */
+export function removeOverlap(previous, next, options = {}) {
+  const tokens = tokenize(next);
+  return joinTokens(tokens.slice(overlapLength(previous, next, options)));
+}
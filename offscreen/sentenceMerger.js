@@ -0,0 +1,172 @@
+/**
+ * Sentence-aware merging of transcript fragments before translation.
+ *
+ * Chunks are cut at pauses (or forcibly when speech runs long), so a
+ * sentence is often split across two of them. Translating each half alone
+ * garbles it — for verb-final languages like Japanese the English comes out
+ * backwards. The merger sits between cleanup and translation: complete
+ * sentences go through straight away, an unfinished tail is held and joined
+ * with the next fragment, and a tail held longer than `maxHoldSeconds` (or
+ * grown past `maxChars`) goes out as it is so captions never stall.
+ *
+ * A sentence ends at terminal punctuation (., !, ?, …, 。, ！, ？, ؟, ।, ...)
+ * unless the "." belongs to a known abbreviation or an initial, and in
+ * Japanese and Korean also at a polite sentence-final verb form, since
+ * Whisper sometimes leaves those unpunctuated. Thai, Lao, Khmer and Burmese
+ * have no sentence punctuation, so every fragment counts as complete.
+ *
+ * Each emitted sentence carries the previous one as `context`, for
+ * translation providers that can use it.
+ *
+ * Times are in seconds; a fragment is { text, start, end }. No chrome.* or
+ * timers here — the caller passes `now` and flushes when holdExpired().
+ */
+
+export const MERGER_DEFAULTS = { maxHoldSeconds: 6, maxChars: 240 };
+
+const UNSPACED = /[\p{scx=Han}\p{scx=Hiragana}\p{scx=Katakana}\p{scx=Thai}]/u;
+const NO_PUNCTUATION = new Set(['th', 'lo', 'km', 'my']);
+
+// Terminal punctuation, any closing quotes/brackets after it, then either
+// whitespace (spaced scripts) or nothing (CJK full-width marks).
+const BOUNDARY_RE = /(?:[.!?…؟।։]+["'”’»)\]]*(?=\s)|[。！？]+[」』）”’]*)/gu;
+const END_RE = /[.!?…؟।։。！？]["'”’»)\]」』）]*$/u;
+
+const FINAL_FORMS = {
+  ja: /(?:です|ます|ました|でした|ません|ましょう|ください)$/u,
+  ko: /(?:습니다|니다|어요|아요|에요|예요|죠)$/u
+};
+
+const ABBREVIATIONS = new Set(
+  'mr mrs ms dr prof sr jr st vs etc e.g i.e vol fig approx dept inc ltd sra srta'.split(' ')
+);
+
+function baseLanguage(language) {
+  return String(language || '').toLowerCase().split('-')[0];
+}
+
+/** True if a "." at `index` of `text` ends an abbreviation or an initial ("J."). */
+function isAbbreviation(text, index) {
+  const word = /([\p{L}.]+)$/u.exec(text.slice(0, index))?.[1] || '';
+  if (/^\p{Lu}$/u.test(word)) return true;
+  return ABBREVIATIONS.has(word.toLowerCase());
+}
+
+/** Does `text` end a sentence, in `language`? */
+export function endsSentence(text, language) {
+  const trimmed = text.trim();
+  if (!trimmed) return false;
+  const lang = baseLanguage(language);
+  if (NO_PUNCTUATION.has(lang)) return true;
+  if (FINAL_FORMS[lang]?.test(trimmed)) return true;
+  const match = END_RE.exec(trimmed);
+  if (!match) return false;
+  return !(trimmed[match.index] === '.' && isAbbreviation(trimmed, match.index));
+}
+
+/**
+ * Split text into complete sentences and the unfinished rest.
+ * Returns { sentences: [{ text, from, to }], rest: { text, from } } with
+ * character offsets into `text`.
+ */
+export function splitSentences(text, language) {
+  const sentences = [];
+  let from = 0;
+  for (const match of text.matchAll(BOUNDARY_RE)) {
+    const to = match.index + match[0].length;
+    if (match[0][0] === '.' && isAbbreviation(text, match.index)) continue;
+    const sentence = text.slice(from, to).trim();
+    if (sentence) sentences.push({ text: sentence, from, to });
+    from = to;
+  }
+  const rest = text.slice(from);
+  if (rest.trim() && endsSentence(rest, language)) {
+    sentences.push({ text: rest.trim(), from, to: text.length });
+    return { sentences, rest: { text: '', from: text.length } };
+  }
+  return { sentences, rest: { text: rest.trim() ? rest : '', from } };
+}
+
+/** Join two fragments: with a space, unless both sides are unspaced script. */
+export function joinPieces(a, b) {
+  if (!a) return b;
+  const last = a.trimEnd().slice(-1);
+  const first = b.trimStart()[0] || '';
+  return UNSPACED.test(last) && UNSPACED.test(first)
+    ? a.trimEnd() + b.trimStart()
+    : `${a.trimEnd()} ${b.trimStart()}`;
+}
+
+export function createMerger() {
+  // pieces: the held fragments, { text, start, end, offset } where offset
+  // is where the piece starts in `text`.
+  return { text: '', pieces: [], since: null, previous: '' };
+}
+
+/** Media time at a character offset, interpolated within its fragment. */
+function timeAt(pieces, offset) {
+  let piece = pieces[0];
+  for (const candidate of pieces) {
+    if (candidate.offset > offset) break;
+    piece = candidate;
+  }
+  const length = Math.max(1, piece.text.length);
+  const fraction = Math.min(1, Math.max(0, (offset - piece.offset) / length));
+  return piece.start + (piece.end - piece.start) * fraction;
+}
+
+function emit(merger, text, start, end) {
+  const sentence = { text, start, end, context: merger.previous };
+  merger.previous = text;
+  return sentence;
+}
+
+/**
+ * Add a fragment. Returns the sentences ready for translation (possibly
+ * none); any unfinished tail stays held in `merger`.
+ */
+export function pushFragment(merger, fragment, language, now, options = {}) {
+  const { maxChars } = { ...MERGER_DEFAULTS, ...options };
+  const joined = joinPieces(merger.text, fragment.text);
+  const pieces = [
+    ...merger.pieces,
+    { ...fragment, offset: joined.length - fragment.text.trimStart().length }
+  ];
+
+  const { sentences, rest } = splitSentences(joined, language);
+  const ready = sentences.map((s) =>
+    emit(merger, s.text, timeAt(pieces, s.from), timeAt(pieces, s.to))
+  );
+
+  if (!rest.text) {
+    Object.assign(merger, { text: '', pieces: [], since: null });
+    return ready;
+  }
+  const restStart = timeAt(pieces, rest.from);
+  if (rest.text.trim().length > maxChars) {
+    ready.push(emit(merger, rest.text.trim(), restStart, fragment.end));
+    Object.assign(merger, { text: '', pieces: [], since: null });
+    return ready;
+  }
+  // The tail waits from when its oldest words arrived.
+  const held = merger.text && sentences.length === 0;
+  merger.text = rest.text.trimStart();
+  merger.pieces = [{ text: merger.text, start: restStart, end: fragment.end, offset: 0 }];
+  merger.since = held ? merger.since : now;
+  return ready;
+}
+
+/** True once the held tail has waited `maxHoldSeconds`. */
+export function holdExpired(merger, now, options = {}) {
+  const { maxHoldSeconds } = { ...MERGER_DEFAULTS, ...options };
+  return merger.since !== null && now - merger.since >= maxHoldSeconds;
+}
+
+/** Release the held tail as a sentence, complete or not. */
+export function flushMerger(merger) {
+  if (!merger.text.trim()) return [];
+  const piece = merger.pieces[0];
+  const sentence = emit(merger, merger.text.trim(), piece.start, piece.end);
+  Object.assign(merger, { text: '', pieces: [], since: null });
+  return [sentence];
+}
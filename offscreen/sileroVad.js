@@ -0,0 +1,40 @@
+/**
+ * Silero VAD (ONNX) through transformers.js: a ~2 MB recurrent model that
+ * scores 32 ms frames of 16 kHz audio with a speech probability. Unlike an
+ * RMS threshold it tells speech from music and noise, and still hears quiet
+ * speakers.
+ *
+ * One model is shared by all sessions; each audio stream keeps its own
+ * recurrent state (createVadStream).
+ */
+import { AutoModel, Tensor } from '@huggingface/transformers';
+import { VAD_SAMPLE_RATE } from './vadSegmenter.js';
+
+const MODEL_ID = 'onnx-community/silero-vad';
+
+let model = null;
+let loading = null;
+
+export async function loadVad() {
+  if (model) return model;
+  loading ??= AutoModel.from_pretrained(MODEL_ID, {
+    config: { model_type: 'custom' },
+    dtype: 'fp32',
+    device: 'wasm'
+  })
+    .then((loaded) => (model = loaded))
+    .finally(() => (loading = null));
+  return loading;
+}
+
+/** Returns probability(frame: Float32Array(512)) -> Promise<number> for one stream. */
+export function createVadStream(vadModel) {
+  const sr = new Tensor('int64', new BigInt64Array([BigInt(VAD_SAMPLE_RATE)]), []);
+  let state = new Tensor('float32', new Float32Array(2 * 1 * 128), [2, 1, 128]);
+  return async function probability(frame) {
+    const input = new Tensor('float32', frame, [1, frame.length]);
+    const { output, stateN } = await vadModel({ input, sr, state });
+    state = stateN;
+    return output.data[0];
+  };
+}
@@ -0,0 +1,72 @@
+/**
+ * Online speaker clustering: tells voices apart within one session from the
+ * speaker embedding of each chunk (speakerEmbedding.js).
+ *
+ * Every speaker heard so far is a centroid, the mean direction of their
+ * chunks' embeddings. A new chunk joins the most similar speaker (cosine
+ * similarity) if that is at least `threshold`, otherwise it starts a new
+ * speaker, until `maxSpeakers` exist; after that it joins the closest one.
+ * Turns usually outlast a chunk, so the previous chunk's speaker gets a
+ * small `stickiness` bonus, which keeps borderline chunks from flickering
+ * between two similar voices.
+ *
+ * Speaker ids are 1, 2, 3… in order of first appearance. No model code
+ * here — embeddings are plain arrays of numbers.
+ */
+
+// WavLM's model card puts the same-speaker threshold at 0.86 between two
+// recordings; a chunk against a centroid of several scores a little lower.
+export const CLUSTER_DEFAULTS = { threshold: 0.8, stickiness: 0.05, maxSpeakers: 8 };
+
+export function createSpeakerClusters() {
+  return { speakers: [], last: null }; // speakers: [{ id, centroid, count }]
+}
+
+export function cosineSimilarity(a, b) {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+}
+
+function normalize(vector) {
+  let norm = 0;
+  for (const x of vector) norm += x * x;
+  norm = Math.sqrt(norm) || 1;
+  return Float32Array.from(vector, (x) => x / norm);
+}
+
+/** Assign a chunk's `embedding` to a speaker and return the speaker's id. */
+export function assignSpeaker(clusters, embedding, options = {}) {
+  const { threshold, stickiness, maxSpeakers } = { ...CLUSTER_DEFAULTS, ...options };
+  const vector = normalize(embedding);
+
+  let best = null;
+  let bestScore = -Infinity;
+  for (const speaker of clusters.speakers) {
+    const bonus = speaker.id === clusters.last ? stickiness : 0;
+    const score = cosineSimilarity(vector, speaker.centroid) + bonus;
+    if (score > bestScore) {
+      best = speaker;
+      bestScore = score;
+    }
+  }
+
+  if (!best || (bestScore < threshold && clusters.speakers.length < maxSpeakers)) {
+    best = { id: clusters.speakers.length + 1, centroid: vector, count: 1 };
+    clusters.speakers.push(best);
+  } else {
+    // Running mean of the unit vectors; only its direction matters.
+    best.count += 1;
+    for (let i = 0; i < vector.length; i++) {
+      best.centroid[i] += (vector[i] - best.centroid[i]) / best.count;
+    }
+  }
+  clusters.last = best.id;
+  return best.id;
+}
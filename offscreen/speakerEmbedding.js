@@ -0,0 +1,40 @@
+/**
+ * Speaker embeddings (x-vectors) through transformers.js: WavLM Base Plus
+ * fine-tuned for speaker verification, ~100 MB at 8 bits. It maps a chunk of
+ * 16 kHz speech to a 512-dimensional vector; chunks spoken by the same voice
+ * point in similar directions (speakerClusters.js groups them).
+ *
+ * One model is shared by all sessions and runs on WASM, so it does not
+ * compete with Whisper for the GPU. It only runs between Whisper decodes,
+ * on the same queue.
+ */
+import { AutoProcessor, WavLMForXVector } from '@huggingface/transformers';
+
+const MODEL_ID = 'Xenova/wavlm-base-plus-sv';
+
+let loaded = null; // { processor, model }
+let loading = null;
+
+/** onProgress({ kind: 'speaker', file, progress }) while the weights download. */
+export async function loadSpeakerModel(onProgress = () => {}) {
+  if (loaded) return loaded;
+  const progress_callback = (p) => {
+    if (p.status === 'progress' && p.file && /\.onnx(_data)?$/.test(p.file)) {
+      onProgress({ kind: 'speaker', file: p.file, progress: Math.round(p.progress || 0) });
+    }
+  };
+  loading ??= Promise.all([
+    AutoProcessor.from_pretrained(MODEL_ID),
+    WavLMForXVector.from_pretrained(MODEL_ID, { dtype: 'q8', device: 'wasm', progress_callback })
+  ])
+    .then(([processor, model]) => (loaded = { processor, model }))
+    .finally(() => (loading = null));
+  return loading;
+}
+
+/** Embedding of 16 kHz mono `audio` -> Float32Array(512). */
+export async function embedSpeaker({ processor, model }, audio) {
+  const inputs = await processor(audio);
+  const { embeddings } = await model(inputs);
+  return Float32Array.from(embeddings.data);
+}
@@ -0,0 +1,23 @@
+/**
+ * Tokenization for comparing transcripts word by word.
+ *
+ * Spaced languages split into words; Chinese, Japanese and Thai, which
+ * don't use spaces, split into single characters. Each token keeps the
+ * whitespace that preceded it, so joining tokens restores the text exactly.
+ */
+
+const UNSPACED = '\\p{Script=Han}\\p{Script=Hiragana}\\p{Script=Katakana}\\p{Script=Thai}';
+const TOKEN_RE = new RegExp(`\\s*(?:[${UNSPACED}]|[^\\s${UNSPACED}]+)`, 'gu');
+
+export function tokenize(text) {
+  return (text || '').match(TOKEN_RE) || [];
+}
+
+export function joinTokens(tokens) {
+  return tokens.join('').trim();
+}
+
+/** Comparison key: case, surrounding punctuation and spacing don't matter. */
+export function tokenKey(token) {
+  return token.trim().toLowerCase().replace(/^[^\p{L}\p{N}]+|[^\p{L}\p{N}]+$/gu, '');
+}
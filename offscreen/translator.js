@@ -1,18 +1,88 @@
 /**
- * Text translation with two free providers:
- *  - Google Translate's public gtx endpoint (primary, no API key)
- *  - LibreTranslate (fallback)
+ * Text translation through a user-ordered chain of providers. Each subtitle
+ * goes to the first enabled provider; if it fails, the next one is tried.
  *
- * Runs in the offscreen document (an extension page), where host_permissions
- * in the manifest let fetch() bypass CORS for these endpoints.
+ * Provider types:
+ *  - google: Google Translate's public gtx endpoint (no API key)
+ *  - libre:  a LibreTranslate server — the public one or self-hosted
+ *  - deepl:  DeepL API (free or pro key)
+ *  - http:   any HTTP/JSON service, described by a request template and
+ *            the path of the translation in the response
+ *  - local:  on-device models (Opus-MT / NLLB-200) — no network once
+ *            downloaded. The offscreen document plugs the model runner in
+ *            with setLocalBackend(); elsewhere this provider just fails.
+ *
+ * A chain entry is { id, type, enabled, ...config } and lives in
+ * chrome.storage.local (it may hold API keys). This module never touches
+ * chrome.* so it can be tested in Node.
+ *
+ * options.context, the sentence before the one being translated, is passed
+ * to providers that can use it: DeepL's `context` parameter, and
+ * {{context}} in a custom HTTP template.
+ *
+ * Calls to network providers go through transport.js: rate-limited per
+ * provider, retried with backoff, timed out, and skipped while a provider
+ * keeps failing, so the chain moves straight on to the next one. Provider
+ * health is reported to the listener set with setHealthListener().
+ *
+ * Translations are remembered twice: in memory for the document's lifetime,
+ * and, when the offscreen document plugs one in with setPersistentCache(),
+ * on disk (shared/translationCache.js). The disk cache is checked for every
+ * enabled provider before any of them is asked over the network.
+ *
+ * User glossaries (glossary.js, options.glossaries) are applied around the
+ * chain: protected and forced terms are masked before any provider sees
+ * the text, and restored, along with regex replacements, afterwards.
+ *
+ * Runs in the offscreen document (an extension page), where host
+ * permissions let fetch() bypass CORS. Hosts beyond the two defaults are
+ * granted at runtime from the options page (optional_host_permissions).
  */
 
+import { glossaryEntriesFor, maskTerms, unmaskTerms, applyReplacements } from './glossary.js';
+import { createTransport, httpError } from './transport.js';
+import { translationCacheKey } from '../shared/translationCache.js';
+
 const GOOGLE_ENDPOINT = 'https://translate.googleapis.com/translate_a/single';
-const LIBRE_ENDPOINT = 'https://libretranslate.de/translate';
 const CACHE_LIMIT = 500;
 
+export const DEFAULT_LIBRE_URL = 'https://libretranslate.de';
+
+export const DEFAULT_PROVIDERS = [
+  { id: 'google', type: 'google', enabled: true },
+  { id: 'libre', type: 'libre', enabled: true, url: DEFAULT_LIBRE_URL, apiKey: '' }
+];
+
 const cache = new Map();
 
+// (text, sourceLanguage, targetLanguage, config, options) => Promise<string>
+let localBackend = null;
+
+export function setLocalBackend(backend) {
+  localBackend = backend;
+}
+
+// { get(keys) => Promise<string | undefined>, put(key, value) => Promise }
+let persistentCache = null;
+
+export function setPersistentCache(store) {
+  persistentCache = store;
+}
+
+// (health: [{ id, label, status, failures, error, retryAt }]) => void
+let healthListener = null;
+
+export function setHealthListener(listener) {
+  healthListener = listener;
+}
+
+const transport = createTransport({ onHealth: (health) => healthListener?.(health) });
+
+/** Forget failures and pauses, e.g. after the chain was edited. */
+export function resetProviderHealth() {
+  transport.reset();
+}
+
 /**
  * The gtx response is [[ [segment, original, ...], [segment, ...], ... ], ...].
  * Join every segment — taking only the first drops most of long texts.
@@ -29,7 +99,50 @@ export function parseGoogleTranslateResponse(data) {
     .trim();
 }
 
-async function translateWithGoogle(text, sourceLanguage, targetLanguage) {
+/**
+ * Fill {{text}}, {{source}}, {{target}} and {{context}} in a template. `escape` encodes
+ * each value for where the template is used (URL, JSON body, ...).
+ */
+export function renderTemplate(template, values, escape = (v) => v) {
+  return String(template || '').replace(/\{\{\s*(\w+)\s*\}\}/g, (match, name) =>
+    name in values ? escape(String(values[name])) : match
+  );
+}
+
+/** Escape a value for use inside a JSON string literal. */
+export function jsonEscape(value) {
+  return JSON.stringify(String(value)).slice(1, -1);
+}
+
+/** Follow a path like "data.translations[0].text" (or "...translations.0.text"). */
+export function getPath(data, path) {
+  const keys = String(path || '')
+    .replace(/\[(\d+)\]/g, '.$1')
+    .split('.')
+    .filter(Boolean);
+  let value = data;
+  for (const key of keys) {
+    if (value == null) return undefined;
+    value = value[key];
+  }
+  return value;
+}
+
+function trimSlash(url) {
+  return String(url || '').replace(/\/+$/, '');
+}
+
+// DeepL wants upper-case codes and a regional variant for some targets.
+const DEEPL_TARGETS = { en: 'EN-US', pt: 'PT-BR', 'zh-CN': 'ZH-HANS', 'zh-TW': 'ZH-HANT' };
+
+export function deeplEndpoint(apiKey) {
+  // Free-plan keys end in ":fx" and use a separate host.
+  return /:fx$/.test(apiKey || '')
+    ? 'https://api-free.deepl.com/v2/translate'
+    : 'https://api.deepl.com/v2/translate';
+}
+
+async function translateWithGoogle(text, sourceLanguage, targetLanguage, config, options = {}) {
   const params = new URLSearchParams({
     client: 'gtx',
     sl: sourceLanguage,
@@ -37,24 +150,27 @@ async function translateWithGoogle(text, sourceLanguage, targetLanguage) {
     dt: 't',
     q: text
   });
-  const response = await fetch(`${GOOGLE_ENDPOINT}?${params}`);
-  if (!response.ok) throw new Error(`Google Translate HTTP ${response.status}`);
+  const response = await fetch(`${GOOGLE_ENDPOINT}?${params}`, { signal: options.signal });
+  if (!response.ok) throw httpError(`Google Translate HTTP ${response.status}`, response);
   return parseGoogleTranslateResponse(await response.json());
 }
 
-async function translateWithLibre(text, sourceLanguage, targetLanguage) {
-  const response = await fetch(LIBRE_ENDPOINT, {
+async function translateWithLibre(text, sourceLanguage, targetLanguage, config, options = {}) {
+  const body = {
+    q: text,
+    source: sourceLanguage,
+    // LibreTranslate uses plain codes (zh, not zh-CN)
+    target: targetLanguage.split('-')[0],
+    format: 'text'
+  };
+  if (config.apiKey) body.api_key = config.apiKey;
+  const response = await fetch(`${trimSlash(config.url || DEFAULT_LIBRE_URL)}/translate`, {
     method: 'POST',
     headers: { 'Content-Type': 'application/json' },
-    body: JSON.stringify({
-      q: text,
-      source: sourceLanguage,
-      // LibreTranslate uses plain codes (zh, not zh-CN)
-      target: targetLanguage.split('-')[0],
-      format: 'text'
-    })
+    body: JSON.stringify(body),
+    signal: options.signal
   });
-  if (!response.ok) throw new Error(`LibreTranslate HTTP ${response.status}`);
+  if (!response.ok) throw httpError(`LibreTranslate HTTP ${response.status}`, response);
   const data = await response.json();
   if (!data || typeof data.translatedText !== 'string') {
     throw new Error('Unexpected LibreTranslate response');
@@ -62,19 +178,204 @@ async function translateWithLibre(text, sourceLanguage, targetLanguage) {
   return data.translatedText.trim();
 }
 
-export async function translate(text, targetLanguage, sourceLanguage = 'auto') {
+async function translateWithDeepL(text, sourceLanguage, targetLanguage, config, options = {}) {
+  if (!config.apiKey) throw new Error('DeepL needs an API key');
+  const body = {
+    text: [text],
+    target_lang: DEEPL_TARGETS[targetLanguage] || targetLanguage.split('-')[0].toUpperCase()
+  };
+  if (sourceLanguage && sourceLanguage !== 'auto') {
+    body.source_lang = sourceLanguage.split('-')[0].toUpperCase();
+  }
+  // Used to translate `text` better, not translated itself (or billed).
+  if (options.context) body.context = options.context;
+  const response = await fetch(deeplEndpoint(config.apiKey), {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      Authorization: `DeepL-Auth-Key ${config.apiKey}`
+    },
+    body: JSON.stringify(body),
+    signal: options.signal
+  });
+  if (!response.ok) throw httpError(`DeepL HTTP ${response.status}`, response);
+  const data = await response.json();
+  const translated = data?.translations?.[0]?.text;
+  if (typeof translated !== 'string') throw new Error('Unexpected DeepL response');
+  return translated.trim();
+}
+
+async function translateWithHttp(text, sourceLanguage, targetLanguage, config, options = {}) {
+  if (!config.url) throw new Error('HTTP provider has no URL');
+  const values = {
+    text,
+    source: sourceLanguage,
+    target: targetLanguage,
+    context: options.context || ''
+  };
+  const method = (config.method || 'POST').toUpperCase();
+
+  let headers = {};
+  if (config.headers) {
+    try {
+      headers = JSON.parse(config.headers);
+    } catch (e) {
+      throw new Error('HTTP provider headers are not valid JSON');
+    }
+  }
+  const init = { method, headers, signal: options.signal };
+  if (method !== 'GET' && config.body) {
+    init.body = renderTemplate(config.body, values, jsonEscape);
+    if (!Object.keys(headers).some((h) => h.toLowerCase() === 'content-type')) {
+      headers['Content-Type'] = 'application/json';
+    }
+  }
+
+  const response = await fetch(renderTemplate(config.url, values, encodeURIComponent), init);
+  if (!response.ok) throw httpError(`HTTP provider ${response.status}`, response);
+  const translated = getPath(await response.json(), config.responsePath);
+  if (typeof translated !== 'string') {
+    throw new Error(`No text at "${config.responsePath}" in the response`);
+  }
+  return translated.trim();
+}
+
+async function translateLocally(text, sourceLanguage, targetLanguage, config, options) {
+  if (!localBackend) throw new Error('On-device translation is not available here');
+  return localBackend(text, sourceLanguage, targetLanguage, config, options);
+}
+
+/**
+ * Provider types: label for the options page, the editable config fields,
+ * the hosts each config needs permission for, and the transport limits of
+ * network providers (concurrent requests, requests per second).
+ */
+export const PROVIDER_TYPES = {
+  google: {
+    label: 'Google Translate (free)',
+    fields: [],
+    translate: translateWithGoogle,
+    origins: () => ['https://translate.googleapis.com/*'],
+    limits: { concurrency: 2, perSecond: 5 }
+  },
+  libre: {
+    label: 'LibreTranslate',
+    fields: ['url', 'apiKey'],
+    translate: translateWithLibre,
+    origins: (config) => [originPattern(config.url || DEFAULT_LIBRE_URL)],
+    // The public instances allow a few dozen requests a minute.
+    limits: { concurrency: 1, perSecond: 1 }
+  },
+  deepl: {
+    label: 'DeepL',
+    fields: ['apiKey'],
+    translate: translateWithDeepL,
+    origins: (config) => [originPattern(deeplEndpoint(config.apiKey))],
+    limits: { concurrency: 2, perSecond: 5 }
+  },
+  http: {
+    label: 'Custom HTTP/JSON',
+    fields: ['url', 'method', 'headers', 'body', 'responsePath'],
+    translate: translateWithHttp,
+    origins: (config) => [originPattern(config.url)],
+    limits: { concurrency: 2, perSecond: 5 }
+  },
+  local: {
+    label: 'On-device (offline)',
+    fields: ['model'],
+    translate: translateLocally,
+    // Weights come from the Hugging Face Hub like Whisper's; no extra hosts.
+    // Runs in this document, so it bypasses the transport (and its
+    // timeouts, which a first-time model download would exceed).
+    origins: () => [],
+    limits: null
+  }
+};
+
+/** "https://mt.example.com:5000/translate?q={{text}}" -> "https://mt.example.com:5000/*" */
+export function originPattern(url) {
+  try {
+    return `${new URL(url.replace(/\{\{[^}]*\}\}/g, 'x')).origin}/*`;
+  } catch (e) {
+    return null;
+  }
+}
+
+/** Host permission patterns the enabled providers of a chain need. */
+export function providerOrigins(providers) {
+  const origins = new Set();
+  for (const provider of providers) {
+    if (!provider.enabled) continue;
+    for (const origin of PROVIDER_TYPES[provider.type]?.origins(provider) || []) {
+      if (origin) origins.add(origin);
+    }
+  }
+  return [...origins];
+}
+
+export function clearTranslationCache() {
+  cache.clear();
+}
+
+/**
+ * Translate through the provider chain (options.providers, default
+ * DEFAULT_PROVIDERS), with options.glossaries applied. Throws only when
+ * every enabled provider failed (an empty answer counts as failing).
+ * `options` is also handed to each provider (the local one reads
+ * options.onProgress for model download progress).
+ */
+export async function translate(text, targetLanguage, sourceLanguage = 'auto', options = {}) {
   if (!text || !targetLanguage || sourceLanguage === targetLanguage) return text;
 
   const key = `${sourceLanguage}:${targetLanguage}:${text}`;
   if (cache.has(key)) return cache.get(key);
 
-  let translated;
-  try {
-    translated = await translateWithGoogle(text, sourceLanguage, targetLanguage);
-  } catch (primaryError) {
-    translated = await translateWithLibre(text, sourceLanguage, targetLanguage);
+  const providers = (options.providers || DEFAULT_PROVIDERS).filter(
+    (p) => p.enabled && PROVIDER_TYPES[p.type]
+  );
+  if (providers.length === 0) throw new Error('No translation provider is enabled');
+
+  const glossary = glossaryEntriesFor(options.glossaries, sourceLanguage, targetLanguage);
+  const masked = maskTerms(text, glossary);
+
+  // One key per provider, in chain order: a line any of them translated
+  // before needs no request.
+  const keys = providers.map((p) =>
+    translationCacheKey(p, sourceLanguage, targetLanguage, masked.text)
+  );
+  let translated = await persistentCache?.get(keys).catch((error) => {
+    console.warn('Translation cache unavailable:', error);
+  });
+
+  const failures = [];
+  for (const [i, provider] of providers.entries()) {
+    if (translated !== undefined) break;
+    const type = PROVIDER_TYPES[provider.type];
+    const call = async (signal) => {
+      const result = await type.translate(masked.text, sourceLanguage, targetLanguage, provider, {
+        ...options,
+        signal
+      });
+      // An empty answer is a failure too: the next provider may do better.
+      if (!result?.trim()) throw new Error('Empty translation');
+      return result;
+    };
+    try {
+      translated = type.limits
+        ? await transport.run(provider.id || provider.type, call, {
+            ...type.limits,
+            label: type.label
+          })
+        : await call(undefined);
+      persistentCache?.put(keys[i], translated).catch(() => {});
+    } catch (error) {
+      failures.push(`${provider.type}: ${error.message}`);
+    }
+  }
+  if (translated === undefined) {
+    throw new Error(`All translation providers failed (${failures.join('; ')})`);
   }
-  if (!translated) return text;
+  translated = applyReplacements(unmaskTerms(translated, masked.slots), glossary);
 
   cache.set(key, translated);
   if (cache.size > CACHE_LIMIT) {
@@ -0,0 +1,230 @@
+/**
+ * Request transport for the network translation providers: how calls to
+ * one provider are paced, retried, timed out, and skipped while it fails.
+ *
+ *  - Scheduling: at most `concurrency` requests in flight per provider,
+ *    and request starts spaced to stay under `perSecond`. Excess requests
+ *    wait in order.
+ *  - Timeouts: each attempt gets an AbortSignal that fires after
+ *    `timeoutMs`; the attempt fails then even if the task ignores it.
+ *  - Retries: rate limits (429), server errors (5xx), network errors and
+ *    timeouts are retried up to `retries` times, after an exponential
+ *    backoff with full jitter (a Retry-After the server sent is honoured
+ *    if it is short enough to wait for).
+ *  - Circuit breaker: after `failureThreshold` failed calls in a row the
+ *    provider is skipped outright for `cooldownMs` (or as long as its
+ *    Retry-After asks), so a failing provider stops costing every subtitle
+ *    a round-trip. After that one trial call decides whether it is back.
+ *
+ * Providers are keyed by chain entry id. A failed call throws the last
+ * error; a skipped one throws an error with `circuitOpen` set. Errors may
+ * carry `status` (HTTP) and `retryAfter` (seconds), see httpError().
+ *
+ * No chrome.* and no real clock unless none is given: createTransport()
+ * takes `now`, `sleep` and `random`, so tests can drive time themselves.
+ */
+
+export const TRANSPORT_DEFAULTS = {
+  concurrency: 2,
+  perSecond: 5,
+  timeoutMs: 10000,
+  retries: 1,
+  baseDelayMs: 400,
+  maxDelayMs: 4000,
+  failureThreshold: 3,
+  cooldownMs: 30000
+};
+
+/** An Error for a failed HTTP response, with its status and Retry-After (s). */
+export function httpError(message, response) {
+  const error = new Error(message);
+  error.status = response.status;
+  const retryAfter = Number(response.headers?.get?.('retry-after'));
+  if (retryAfter > 0) error.retryAfter = retryAfter;
+  return error;
+}
+
+/** Worth another try: rate limits, server errors, timeouts, network failures. */
+export function isRetryable(error) {
+  if (error?.timeout) return true;
+  if (typeof error?.status === 'number') return error.status === 429 || error.status >= 500;
+  // fetch() rejects with a TypeError when the request never got a response.
+  return error instanceof TypeError;
+}
+
+/** Wait before retry number `attempt` (0-based): full jitter, capped. */
+export function backoffDelay(attempt, options = {}, random = Math.random) {
+  const { baseDelayMs, maxDelayMs } = { ...TRANSPORT_DEFAULTS, ...options };
+  return Math.round(random() * Math.min(maxDelayMs, baseDelayMs * 2 ** attempt));
+}
+
+function timeoutError(ms) {
+  const error = new Error(`timed out after ${ms / 1000} s`);
+  error.timeout = true;
+  return error;
+}
+
+/**
+ * createTransport({ now, sleep, random, onHealth }) -> { run, health, reset }
+ *
+ * run(key, task, options) calls task(signal) through the provider's queue
+ * and breaker; options override TRANSPORT_DEFAULTS and may add a `label`
+ * for health reports. onHealth(health()) fires whenever a provider's
+ * health changes.
+ */
+export function createTransport({
+  now = Date.now,
+  sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms)),
+  random = Math.random,
+  onHealth = () => {}
+} = {}) {
+  // key -> { key, label, limits, active, waiting, nextStart, timer,
+  //          state: closed | open | half-open, trial, failures, error, retryAt }
+  const providers = new Map();
+
+  function provider(key, options) {
+    let p = providers.get(key);
+    if (!p) {
+      p = {
+        key,
+        active: 0,
+        waiting: [],
+        nextStart: 0,
+        timer: null,
+        state: 'closed',
+        trial: false,
+        failures: 0,
+        error: null,
+        retryAt: null
+      };
+      providers.set(key, p);
+    }
+    p.label = options.label || key;
+    p.limits = options;
+    return p;
+  }
+
+  function healthOf(p) {
+    const status = p.state !== 'closed' ? 'paused' : p.failures > 0 ? 'failing' : 'ok';
+    const { key: id, label, failures, error, retryAt } = p;
+    return { id, label, status, failures, error, retryAt };
+  }
+
+  function health() {
+    return [...providers.values()].map(healthOf);
+  }
+
+  function changed(p, update) {
+    const before = JSON.stringify(healthOf(p));
+    Object.assign(p, update);
+    if (JSON.stringify(healthOf(p)) !== before) onHealth(health());
+  }
+
+  /** Throws if the breaker skips this call; otherwise lets it through. */
+  function admit(p) {
+    if (p.state === 'closed') return;
+    if (p.state === 'open' && now() >= p.retryAt) {
+      changed(p, { state: 'half-open' });
+      p.trial = true;
+      return;
+    }
+    const error = new Error(`paused after repeated failures (${p.error})`);
+    error.circuitOpen = true;
+    throw error;
+  }
+
+  function succeed(p) {
+    p.trial = false;
+    changed(p, { state: 'closed', failures: 0, error: null, retryAt: null });
+  }
+
+  function fail(p, error) {
+    const { failureThreshold, cooldownMs } = p.limits;
+    p.trial = false;
+    const failures = p.failures + 1;
+    const update = { failures, error: error.message };
+    // A failed trial, too many failures, or a server asking for a long
+    // break (anything we didn't wait out) opens the circuit.
+    const asked = (error.retryAfter || 0) * 1000;
+    if (p.state === 'half-open' || failures >= failureThreshold || asked > p.limits.maxDelayMs) {
+      update.state = 'open';
+      update.retryAt = now() + Math.max(cooldownMs, asked);
+    }
+    changed(p, update);
+  }
+
+  /** Start queued jobs while the concurrency and rate limits allow. */
+  function pump(p) {
+    while (p.waiting.length > 0 && p.active < p.limits.concurrency) {
+      const wait = p.nextStart - now();
+      if (wait > 0) {
+        p.timer ??= sleep(wait).then(() => {
+          p.timer = null;
+          pump(p);
+        });
+        return;
+      }
+      p.nextStart = Math.max(now(), p.nextStart) + 1000 / p.limits.perSecond;
+      const { job, resolve, reject } = p.waiting.shift();
+      p.active++;
+      job()
+        .then(resolve, reject)
+        .finally(() => {
+          p.active--;
+          pump(p);
+        });
+    }
+  }
+
+  function schedule(p, job) {
+    return new Promise((resolve, reject) => {
+      p.waiting.push({ job, resolve, reject });
+      pump(p);
+    });
+  }
+
+  async function attempt(task, timeoutMs) {
+    const controller = new AbortController();
+    let timer;
+    const timedOut = new Promise((resolve, reject) => {
+      timer = setTimeout(() => {
+        const error = timeoutError(timeoutMs);
+        controller.abort(error);
+        reject(error);
+      }, timeoutMs);
+    });
+    try {
+      return await Promise.race([task(controller.signal), timedOut]);
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  async function run(key, task, options = {}) {
+    const p = provider(key, { ...TRANSPORT_DEFAULTS, ...options });
+    admit(p);
+    const { retries, timeoutMs } = p.limits;
+    // A half-open trial gets one attempt: a retry would just hammer it.
+    for (let n = 0; ; n++) {
+      try {
+        const result = await schedule(p, () => attempt(task, timeoutMs));
+        succeed(p);
+        return result;
+      } catch (error) {
+        const wait = Math.max(backoffDelay(n, p.limits, random), (error.retryAfter || 0) * 1000);
+        if (p.trial || n >= retries || !isRetryable(error) || wait > p.limits.maxDelayMs) {
+          fail(p, error);
+          throw error;
+        }
+        await sleep(wait);
+      }
+    }
+  }
+
+  function reset() {
+    providers.clear();
+    onHealth([]);
+  }
+
+  return { run, health, reset };
+}
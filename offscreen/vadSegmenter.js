@@ -0,0 +1,131 @@
+/**
+ * Speech segmentation from voice-activity probabilities.
+ *
+ * Silero VAD scores 512-sample frames of 16 kHz audio (32 ms each) with the
+ * probability that they contain speech. The segmenter turns that stream
+ * into speech segments with start/end times, using hysteresis so a single
+ * loud or quiet frame doesn't flip the state:
+ *  - speech starts on a frame >= threshold
+ *  - it ends after minSilence of frames below threshold - 0.15
+ *  - segments shorter than minSpeech are dropped (clicks, coughs)
+ *  - segments longer than maxSpeech are split so chunks stay short
+ * Mirrors the VADIterator logic of the Silero reference implementation.
+ */
+
+export const VAD_SAMPLE_RATE = 16000;
+export const VAD_FRAME_SIZE = 512;
+
+const FRAME_SECONDS = VAD_FRAME_SIZE / VAD_SAMPLE_RATE;
+
+const DEFAULTS = {
+  threshold: 0.5,
+  minSpeechSeconds: 0.25,
+  minSilenceSeconds: 0.3,
+  padSeconds: 0.1,
+  maxSpeechSeconds: 8
+};
+
+export function createSegmenter(options = {}) {
+  return {
+    ...DEFAULTS,
+    ...options,
+    frame: 0, // frames seen so far
+    triggered: false, // inside a speech segment
+    speechStart: 0, // frame index
+    silenceStart: null // frame index of the current run of quiet frames
+  };
+}
+
+function segment(state, startFrame, endFrame) {
+  const start = Math.max(0, startFrame * FRAME_SECONDS - state.padSeconds);
+  const end = endFrame * FRAME_SECONDS + state.padSeconds;
+  return end - start - 2 * state.padSeconds >= state.minSpeechSeconds ? { start, end } : null;
+}
+
+/**
+ * Feed the probability for the next frame. Returns a finished segment
+ * { start, end } in seconds since the first frame, or null.
+ */
+export function pushProbability(state, probability) {
+  const t = state.frame++;
+
+  if (probability >= state.threshold) {
+    state.silenceStart = null;
+    if (!state.triggered) {
+      state.triggered = true;
+      state.speechStart = t;
+      return null;
+    }
+  }
+
+  if (!state.triggered) return null;
+
+  // Continuous speech: cut here and carry on with a new segment.
+  if ((t + 1 - state.speechStart) * FRAME_SECONDS >= state.maxSpeechSeconds) {
+    const done = segment(state, state.speechStart, t + 1);
+    state.speechStart = t + 1;
+    state.silenceStart = null;
+    return done;
+  }
+
+  if (probability < state.threshold - 0.15) {
+    if (state.silenceStart === null) state.silenceStart = t;
+    if ((t + 1 - state.silenceStart) * FRAME_SECONDS >= state.minSilenceSeconds) {
+      const done = segment(state, state.speechStart, state.silenceStart);
+      state.triggered = false;
+      state.silenceStart = null;
+      return done;
+    }
+  }
+  return null;
+}
+
+/** End of audio: close a segment that is still open. */
+export function flushSegmenter(state) {
+  if (!state.triggered) return null;
+  state.triggered = false;
+  const end = state.silenceStart ?? state.frame;
+  state.silenceStart = null;
+  return segment(state, state.speechStart, end);
+}
+
+/**
+ * Streams capture-rate audio into 16 kHz frames of VAD_FRAME_SIZE samples
+ * (linear interpolation). Returns push(samples) -> Float32Array[] of the
+ * frames completed by these samples. The frames don't depend on how the
+ * audio was split into batches.
+ */
+export function createFramer(fromRate) {
+  const step = fromRate / VAD_SAMPLE_RATE;
+  let produced = 0; // output samples so far
+  let consumed = 0; // input samples before the current batch
+  let previous = 0; // last sample of the previous batch, for interpolation
+  let frame = new Float32Array(VAD_FRAME_SIZE);
+  let filled = 0;
+
+  return function push(samples) {
+    const frames = [];
+    for (;;) {
+      // Read position in this batch; between -1 and 0 it is between
+      // `previous` and the first sample. Worked out from the totals rather
+      // than accumulated, so rounding is the same however the input is cut.
+      const position = produced * step - consumed;
+      const i = Math.floor(position);
+      const frac = position - i;
+      // Past the last sample, interpolating needs the next batch.
+      if (i > samples.length - 1 || (i === samples.length - 1 && frac > 0)) break;
+      const a = i < 0 ? previous : samples[i];
+      const b = frac === 0 ? a : samples[i + 1];
+      frame[filled++] = a + (b - a) * frac;
+      produced++;
+      if (filled === VAD_FRAME_SIZE) {
+        frames.push(frame);
+        frame = new Float32Array(VAD_FRAME_SIZE);
+        filled = 0;
+      }
+    }
+    consumed += samples.length;
+    if (samples.length > 0) previous = samples[samples.length - 1];
+    return frames;
+  };
+}
@@ -0,0 +1,72 @@
+/**
+ * Whisper prompts: text the decoder reads as "what was said before" ahead of
+ * each chunk. Listing proper nouns and jargon there makes Whisper far more
+ * likely to spell them that way, and the tail of the previous transcript
+ * keeps names and style consistent from chunk to chunk.
+ *
+ * The prompt goes after <|startofprev|> and may hold at most half of the
+ * decoder's 448 positions minus one (224 - 1 = 223 tokens), as in OpenAI's
+ * implementation. When vocabulary and context don't both fit, context is
+ * cut from its start (the words furthest from the new audio) first, then
+ * vocabulary terms from the end of the list.
+ *
+ * Tokenization is passed in (`encode(text) -> ids`), so this is testable
+ * without a model.
+ */
+
+export const MAX_PROMPT_TOKENS = 223;
+
+// Context is trimmed to this many characters before encoding; what's left
+// after the token budget is applied is usually far less.
+const MAX_CONTEXT_CHARS = 600;
+
+/** "Kubernetes, kubectl\nGrafana" -> ['Kubernetes', 'kubectl', 'Grafana'] */
+export function parseVocabulary(text) {
+  const seen = new Set();
+  const terms = [];
+  for (const raw of String(text || '').split(/[,\n;、，]/)) {
+    const term = raw.trim();
+    if (term && !seen.has(term.toLowerCase())) {
+      seen.add(term.toLowerCase());
+      terms.push(term);
+    }
+  }
+  return terms;
+}
+
+function vocabularyText(terms) {
+  return terms.length ? `${terms.join(', ')}.` : '';
+}
+
+/** Keep the last `maxChars` characters of the running transcript, at a word start if possible. */
+export function trimContext(text, maxChars = MAX_CONTEXT_CHARS) {
+  const clean = String(text || '').replace(/\s+/g, ' ').trim();
+  if (clean.length <= maxChars) return clean;
+  const tail = clean.slice(-maxChars);
+  const space = tail.indexOf(' ');
+  return space > 0 && space < 40 ? tail.slice(space + 1) : tail;
+}
+
+/**
+ * Prompt token ids for `vocabulary` (terms) and `context` (recent
+ * transcript), at most `maxTokens` long. Empty when there's nothing to say.
+ */
+export function buildPromptIds({
+  vocabulary = [],
+  context = '',
+  encode,
+  maxTokens = MAX_PROMPT_TOKENS
+}) {
+  // Whisper's own prompts start with a space, like mid-sentence text.
+  let terms = vocabulary;
+  let vocabularyIds = terms.length ? encode(` ${vocabularyText(terms)}`) : [];
+  while (vocabularyIds.length > maxTokens && terms.length > 0) {
+    terms = terms.slice(0, -1);
+    vocabularyIds = terms.length ? encode(` ${vocabularyText(terms)}`) : [];
+  }
+
+  const trimmed = trimContext(context);
+  const contextIds = trimmed ? encode(` ${trimmed}`) : [];
+  const room = maxTokens - vocabularyIds.length;
+  return [...vocabularyIds, ...(room > 0 ? contextIds.slice(-room) : [])];
+}
@@ -0,0 +1,94 @@
+/**
+ * Subtitle appearance editor. Saved to chrome.storage.sync as `appearance`;
+ * content scripts restyle their overlay when it changes.
+ */
+
+// Keep in sync with DEFAULT_APPEARANCE in content/content.js.
+export const DEFAULT_APPEARANCE = {
+  fontFamily: 'system',
+  fontScale: 1,
+  textColor: '#ffffff',
+  backgroundColor: '#000000',
+  backgroundOpacity: 0.75,
+  edgeStyle: 'shadow',
+  verticalPosition: 5,
+  maxWidth: 85,
+  speakerStyle: 'color'
+};
+
+// Same stacks and shadows as the overlay, for the preview.
+const FONT_FAMILIES = {
+  system: 'system-ui, -apple-system, "Segoe UI", Roboto, Arial, sans-serif',
+  serif: 'Georgia, "Times New Roman", serif',
+  mono: 'ui-monospace, "SF Mono", Menlo, Consolas, monospace',
+  rounded: '"Arial Rounded MT Bold", "Nunito", system-ui, sans-serif',
+  casual: '"Comic Sans MS", "Comic Neue", cursive'
+};
+
+const EDGE_STYLES = {
+  none: 'none',
+  shadow: '0 1px 2px rgba(0, 0, 0, 0.9)',
+  outline: '-1px -1px 0 #000, 1px -1px 0 #000, -1px 1px 0 #000, 1px 1px 0 #000',
+  raised: '1px 1px 0 #000, 2px 2px 0 rgba(0, 0, 0, 0.6)'
+};
+
+const FORMATTERS = {
+  fontScale: (v) => `${Math.round(v * 100)}%`,
+  backgroundOpacity: (v) => `${Math.round(v * 100)}%`,
+  verticalPosition: (v) => `${v}%`,
+  maxWidth: (v) => `${v}%`
+};
+
+const inputs = document.querySelectorAll('#appearance [data-setting]');
+const previewEl = document.getElementById('appearancePreview');
+const resetEl = document.getElementById('resetAppearance');
+
+let appearance = { ...DEFAULT_APPEARANCE };
+
+function rgba(hex, alpha) {
+  const n = parseInt(String(hex).replace('#', ''), 16) || 0;
+  return `rgba(${(n >> 16) & 255}, ${(n >> 8) & 255}, ${n & 255}, ${alpha})`;
+}
+
+function render() {
+  for (const input of inputs) {
+    const key = input.dataset.setting;
+    input.value = appearance[key];
+    const output = document.querySelector(`output[data-for="${key}"]`);
+    if (output) output.textContent = FORMATTERS[key](appearance[key]);
+  }
+  Object.assign(previewEl.style, {
+    color: appearance.textColor,
+    background: rgba(appearance.backgroundColor, appearance.backgroundOpacity),
+    fontFamily: FONT_FAMILIES[appearance.fontFamily],
+    textShadow: EDGE_STYLES[appearance.edgeStyle],
+    fontSize: `${20 * appearance.fontScale}px`,
+    maxWidth: `${appearance.maxWidth}%`,
+    marginBottom: `${appearance.verticalPosition * 0.6}px`
+  });
+}
+
+function save() {
+  chrome.storage.sync.set({ appearance });
+}
+
+export async function initAppearance() {
+  const saved = await chrome.storage.sync.get({ appearance: null });
+  appearance = { ...DEFAULT_APPEARANCE, ...saved.appearance };
+  render();
+
+  for (const input of inputs) {
+    const key = input.dataset.setting;
+    // Preview while dragging; write storage (which has a write quota) on release.
+    input.addEventListener('input', () => {
+      appearance[key] = input.type === 'range' ? Number(input.value) : input.value;
+      render();
+    });
+    input.addEventListener('change', save);
+  }
+  resetEl.addEventListener('click', () => {
+    appearance = { ...DEFAULT_APPEARANCE };
+    render();
+    save();
+  });
+}
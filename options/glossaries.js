@@ -0,0 +1,168 @@
+/**
+ * Glossary editor: one card per language pair, with CSV/TSV import and
+ * export. Saved to chrome.storage.local as `glossaries` (they can grow past
+ * sync's quota); background.js forwards changes to running sessions.
+ */
+import { parseGlossary, formatGlossary, parseReplacePattern } from '../offscreen/glossary.js';
+
+const listEl = document.getElementById('glossaryList');
+const addEl = document.getElementById('addGlossary');
+const saveEl = document.getElementById('saveGlossaries');
+const statusEl = document.getElementById('glossaryStatus');
+const glossaryTemplate = document.getElementById('glossaryTemplate');
+const termTemplate = document.getElementById('termTemplate');
+
+let glossaries = [];
+
+function setStatus(text, isError = false) {
+  statusEl.textContent = text;
+  statusEl.classList.toggle('error', isError);
+}
+
+function bind(input, target, field) {
+  input.value = target[field] ?? input.value;
+  input.addEventListener('input', () => (target[field] = input.value));
+}
+
+function renderTerm(glossary, entry, index) {
+  const item = termTemplate.content.firstElementChild.cloneNode(true);
+  const typeEl = item.querySelector('[data-field="type"]');
+  const toEl = item.querySelector('[data-field="to"]');
+  const placeholders = {
+    keep: ['Name or term', ''],
+    map: ['Term', 'Always translated as'],
+    replace: ['Pattern in the translation', 'Replace with']
+  };
+  const update = () => {
+    const [from, to] = placeholders[entry.type];
+    item.querySelector('[data-field="from"]').placeholder = from;
+    toEl.placeholder = to;
+    toEl.disabled = entry.type === 'keep';
+  };
+  bind(typeEl, entry, 'type');
+  bind(item.querySelector('[data-field="from"]'), entry, 'from');
+  bind(toEl, entry, 'to');
+  typeEl.addEventListener('change', update);
+  update();
+  item.querySelector('[data-action="remove"]').addEventListener('click', () => {
+    glossary.entries.splice(index, 1);
+    render();
+  });
+  return item;
+}
+
+function download(glossary, delimiter) {
+  const extension = delimiter === '\t' ? 'tsv' : 'csv';
+  const type = delimiter === '\t' ? 'text/tab-separated-values' : 'text/csv';
+  const text = formatGlossary(glossary.entries, delimiter);
+  const url = URL.createObjectURL(new Blob([text], { type: `${type};charset=utf-8` }));
+  const link = document.createElement('a');
+  link.href = url;
+  const pair = `${glossary.source}-${glossary.target}`.replace(/\*/g, 'any');
+  link.download = `glossary-${pair}.${extension}`;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+async function importInto(glossary, file) {
+  const entries = parseGlossary(await file.text());
+  if (entries.length === 0) {
+    setStatus(`No terms found in ${file.name}.`, true);
+    return;
+  }
+  glossary.entries.push(...entries);
+  render();
+  const terms = `${entries.length} term${entries.length === 1 ? '' : 's'}`;
+  setStatus(`Imported ${terms} — save to keep them.`);
+}
+
+function renderGlossary(glossary, index) {
+  const item = glossaryTemplate.content.firstElementChild.cloneNode(true);
+  bind(item.querySelector('[data-field="source"]'), glossary, 'source');
+  bind(item.querySelector('[data-field="target"]'), glossary, 'target');
+  const count = glossary.entries.length;
+  item.querySelector('.term-count').textContent = `${count} term${count === 1 ? '' : 's'}`;
+  item
+    .querySelector('.terms')
+    .replaceChildren(...glossary.entries.map((entry, i) => renderTerm(glossary, entry, i)));
+
+  const fileEl = item.querySelector('input[type="file"]');
+  fileEl.addEventListener('change', () => {
+    if (fileEl.files[0]) importInto(glossary, fileEl.files[0]);
+  });
+  const actions = {
+    remove: () => {
+      glossaries.splice(index, 1);
+      render();
+    },
+    'add-term': () => {
+      glossary.entries.push({ type: 'keep', from: '', to: '' });
+      render();
+    },
+    import: () => fileEl.click(),
+    'export-csv': () => download(glossary, ','),
+    'export-tsv': () => download(glossary, '\t')
+  };
+  for (const button of item.querySelectorAll('[data-action]')) {
+    if (button.closest('.term')) continue;
+    button.addEventListener('click', actions[button.dataset.action]);
+  }
+  return item;
+}
+
+function render() {
+  listEl.replaceChildren(...glossaries.map(renderGlossary));
+  setStatus('');
+}
+
+function validate() {
+  const pairs = new Set();
+  for (const glossary of glossaries) {
+    const pair = `${glossary.source}→${glossary.target}`;
+    if (pairs.has(pair)) return `There are two glossaries for ${pair.replace(/\*/g, 'any')}.`;
+    pairs.add(pair);
+    for (const entry of glossary.entries) {
+      if (entry.type === 'map' && !entry.to) {
+        return `"${entry.from}" needs a translation.`;
+      }
+      if (entry.type === 'replace' && !parseReplacePattern(entry.from)) {
+        return `"${entry.from}" is not a valid regular expression.`;
+      }
+    }
+  }
+  return null;
+}
+
+async function save() {
+  // Blank rows are just unfinished edits.
+  for (const glossary of glossaries) {
+    glossary.entries = glossary.entries
+      .map((e) => ({ ...e, from: (e.from || '').trim(), to: (e.to || '').trim() }))
+      .filter((e) => e.from);
+  }
+  const problem = validate();
+  if (problem) {
+    setStatus(problem, true);
+    return;
+  }
+  await chrome.storage.local.set({ glossaries });
+  render();
+  setStatus('Saved.');
+}
+
+export async function initGlossaries() {
+  const { glossaries: saved } = await chrome.storage.local.get({ glossaries: [] });
+  glossaries = structuredClone(saved);
+  render();
+
+  addEl.addEventListener('click', () => {
+    glossaries.push({
+      id: `glossary-${Date.now().toString(36)}`,
+      source: '*',
+      target: '*',
+      entries: [{ type: 'keep', from: '', to: '' }]
+    });
+    render();
+  });
+  saveEl.addEventListener('click', save);
+}
@@ -0,0 +1,170 @@
+/**
+ * Model manager: the Whisper models in the registry (shared/modelRegistry.js)
+ * with what each takes up on disk, plus anything else transformers.js has
+ * downloaded. Sizes are read straight from its Cache Storage, which this
+ * page shares with the offscreen document (same extension origin).
+ * Downloads run in the offscreen document, through the background, so they
+ * fetch exactly the files a session would.
+ */
+import {
+  MODEL_CACHE,
+  QUANTIZATIONS,
+  listModels,
+  parseModelId,
+  cachedRepos,
+  isRepoFile,
+  formatBytes
+} from '../shared/modelRegistry.js';
+
+const listEl = document.getElementById('modelList');
+const otherEl = document.getElementById('otherDownloads');
+const idEl = document.getElementById('customModelId');
+const dtypeEl = document.getElementById('customModelDtype');
+const addEl = document.getElementById('addModel');
+const statusEl = document.getElementById('modelStatus');
+const template = document.getElementById('modelTemplate');
+
+let customModels = [];
+let cached = new Map(); // repo id -> { id, bytes, files }
+const downloading = new Map(); // model key -> progress text
+
+function setStatus(text, isError = false) {
+  statusEl.textContent = text;
+  statusEl.classList.toggle('error', isError);
+}
+
+async function readCache() {
+  const cache = await caches.open(MODEL_CACHE);
+  const entries = [];
+  for (const request of await cache.keys()) {
+    const response = await cache.match(request);
+    const length = Number(response?.headers.get('content-length'));
+    const size = length > 0 ? length : (await response?.blob())?.size || 0;
+    entries.push({ url: request.url, size });
+  }
+  cached = new Map(cachedRepos(entries).map((repo) => [repo.id, repo]));
+}
+
+async function deleteDownload(id) {
+  const cache = await caches.open(MODEL_CACHE);
+  for (const request of await cache.keys()) {
+    if (isRepoFile(request.url, id)) await cache.delete(request);
+  }
+  await refresh();
+  setStatus(`Deleted the download of ${id}.`);
+}
+
+async function download(key) {
+  downloading.set(key, 'Starting download…');
+  render();
+  const response = await chrome.runtime.sendMessage({
+    target: 'background',
+    type: 'PRELOAD_MODEL',
+    model: key
+  });
+  if (!response?.ok) {
+    downloading.delete(key);
+    render();
+    setStatus(response?.error || 'Could not start the download.', true);
+  }
+}
+
+async function saveCustomModels() {
+  await chrome.storage.sync.set({ customModels });
+}
+
+function renderItem({ key, id, name, detail, custom }) {
+  const item = template.content.firstElementChild.cloneNode(true);
+  const repo = cached.get(id);
+  const progress = downloading.get(key);
+  item.querySelector('[data-field="name"]').textContent = name;
+  item.querySelector('[data-field="id"]').textContent = detail ? `${id} · ${detail}` : id;
+  item.querySelector('[data-field="size"]').textContent =
+    progress || (repo ? `${formatBytes(repo.bytes)} on disk` : 'Not downloaded');
+
+  const downloadEl = item.querySelector('[data-action="download"]');
+  const deleteEl = item.querySelector('[data-action="delete"]');
+  const removeEl = item.querySelector('[data-action="remove"]');
+  // Other downloads have no key in the registry: they can only be deleted.
+  downloadEl.hidden = !key || Boolean(repo);
+  downloadEl.disabled = Boolean(progress);
+  deleteEl.hidden = !repo;
+  deleteEl.disabled = Boolean(progress);
+  removeEl.hidden = !custom;
+
+  downloadEl.addEventListener('click', () => download(key));
+  deleteEl.addEventListener('click', () => deleteDownload(id));
+  removeEl.addEventListener('click', async () => {
+    customModels = customModels.filter((m) => m.id !== id);
+    await saveCustomModels();
+    render();
+    setStatus(repo ? `Removed ${id}; its download is listed below.` : `Removed ${id}.`);
+  });
+  return item;
+}
+
+function render() {
+  const models = listModels(customModels);
+  listEl.replaceChildren(
+    ...models.map((m) => renderItem({ ...m, detail: m.custom ? QUANTIZATIONS[m.dtype] : null }))
+  );
+  const listed = new Set(models.map((m) => m.id));
+  const others = [...cached.values()].filter((repo) => !listed.has(repo.id));
+  otherEl.replaceChildren(
+    ...others.map((repo) => renderItem({ id: repo.id, name: repo.id.split('/')[1] }))
+  );
+}
+
+async function refresh() {
+  try {
+    await readCache();
+  } catch (error) {
+    setStatus(`Could not read downloaded models: ${error.message}`, true);
+  }
+  render();
+}
+
+function addModel() {
+  const id = parseModelId(idEl.value);
+  if (!id) {
+    setStatus('Enter a Hugging Face model id like onnx-community/whisper-large-v3-turbo.', true);
+    return;
+  }
+  if (listModels(customModels).some((m) => m.id === id)) {
+    setStatus(`${id} is already listed.`, true);
+    return;
+  }
+  customModels = [...customModels, { id, dtype: dtypeEl.value }];
+  saveCustomModels().then(() => {
+    idEl.value = '';
+    render();
+    setStatus(`Added ${id}. Pick it in the popup, or download it now.`);
+  });
+}
+
+export async function initModels() {
+  dtypeEl.replaceChildren(
+    ...Object.entries(QUANTIZATIONS).map(([value, label]) => new Option(label, value))
+  );
+  ({ customModels } = await chrome.storage.sync.get({ customModels: [] }));
+  await refresh();
+
+  addEl.addEventListener('click', addModel);
+  idEl.addEventListener('keydown', (event) => {
+    if (event.key === 'Enter') addModel();
+  });
+
+  chrome.runtime.onMessage.addListener((message) => {
+    if (message?.target !== 'options') return;
+    if (message.type === 'MODEL_PROGRESS') {
+      const file = message.file === 'model' ? '' : ` ${message.file.split('/').pop()}`;
+      downloading.set(message.model, `Downloading${file}… ${message.progress}%`);
+      render();
+    } else if (message.type === 'MODEL_READY') {
+      downloading.delete(message.model);
+      if (message.error) setStatus(`Download failed: ${message.error}`, true);
+      else setStatus('Download complete.');
+      refresh();
+    }
+  });
+}
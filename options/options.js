@@ -0,0 +1,16 @@
+/** Options page: one module per settings section. */
+import { initProviders } from './providers.js';
+import { initTranslationCache } from './translationCache.js';
+import { initGlossaries } from './glossaries.js';
+import { initSites } from './sites.js';
+import { initModels } from './models.js';
+import { initAppearance } from './appearance.js';
+import { initRecognition } from './recognition.js';
+
+initProviders();
+initTranslationCache();
+initGlossaries();
+initSites();
+initModels();
+initRecognition();
+initAppearance();
@@ -0,0 +1,137 @@
+/**
+ * Translation provider chain editor. The chain is saved to
+ * chrome.storage.local as `translationProviders`; background.js forwards
+ * changes to running sessions.
+ */
+import {
+  DEFAULT_PROVIDERS,
+  DEFAULT_LIBRE_URL,
+  PROVIDER_TYPES,
+  providerOrigins
+} from '../offscreen/translator.js';
+
+const listEl = document.getElementById('providerList');
+const typeEl = document.getElementById('providerType');
+const addEl = document.getElementById('addProvider');
+const saveEl = document.getElementById('saveProviders');
+const statusEl = document.getElementById('providerStatus');
+const template = document.getElementById('providerTemplate');
+
+const NEW_PROVIDER_DEFAULTS = {
+  google: {},
+  libre: { url: DEFAULT_LIBRE_URL, apiKey: '' },
+  deepl: { apiKey: '' },
+  http: { url: '', method: 'POST', headers: '', body: '', responsePath: '' },
+  local: { model: 'opus-mt' }
+};
+
+let providers = [];
+
+function setStatus(text, isError = false) {
+  statusEl.textContent = text;
+  statusEl.classList.toggle('error', isError);
+}
+
+function move(index, delta) {
+  const to = index + delta;
+  if (to < 0 || to >= providers.length) return;
+  [providers[index], providers[to]] = [providers[to], providers[index]];
+  render();
+}
+
+function renderProvider(provider, index) {
+  const item = template.content.firstElementChild.cloneNode(true);
+  const type = PROVIDER_TYPES[provider.type];
+  item.querySelector('.provider-label').textContent = type.label;
+
+  for (const label of item.querySelectorAll('.fields > label')) {
+    if (!type.fields.includes(label.dataset.for)) label.remove();
+  }
+  for (const input of item.querySelectorAll('[data-field]')) {
+    const field = input.dataset.field;
+    if (input.type === 'checkbox') {
+      input.checked = Boolean(provider[field]);
+      input.addEventListener('change', () => (provider[field] = input.checked));
+    } else {
+      input.value = provider[field] ?? input.value;
+      input.addEventListener('input', () => (provider[field] = input.value.trim()));
+    }
+  }
+
+  item.querySelector('[data-action="up"]').disabled = index === 0;
+  item.querySelector('[data-action="down"]').disabled = index === providers.length - 1;
+  item.querySelector('[data-action="up"]').addEventListener('click', () => move(index, -1));
+  item.querySelector('[data-action="down"]').addEventListener('click', () => move(index, 1));
+  item.querySelector('[data-action="remove"]').addEventListener('click', () => {
+    providers.splice(index, 1);
+    render();
+  });
+  return item;
+}
+
+function render() {
+  listEl.replaceChildren(...providers.map(renderProvider));
+  setStatus('');
+}
+
+function validate() {
+  for (const provider of providers.filter((p) => p.enabled)) {
+    const label = PROVIDER_TYPES[provider.type].label;
+    if (provider.type === 'deepl' && !provider.apiKey) return `${label} needs an API key.`;
+    if (provider.type === 'http' && (!provider.url || !provider.responsePath)) {
+      return `${label} needs a URL and a response path.`;
+    }
+    if (provider.type === 'http' && provider.headers) {
+      try {
+        JSON.parse(provider.headers);
+      } catch (e) {
+        return `${label} headers are not valid JSON.`;
+      }
+    }
+  }
+  if (!providers.some((p) => p.enabled)) return 'Enable at least one provider.';
+  return null;
+}
+
+async function save() {
+  const problem = validate();
+  if (problem) {
+    setStatus(problem, true);
+    return;
+  }
+  // Ask before any await: the request needs the click's user gesture.
+  const origins = providerOrigins(providers);
+  const granted = await chrome.permissions.request({ origins }).catch((error) => {
+    setStatus(error.message, true);
+    return null;
+  });
+  if (granted === null) return;
+  if (!granted) {
+    setStatus('Permission denied — those providers cannot be reached.', true);
+    return;
+  }
+  await chrome.storage.local.set({ translationProviders: providers });
+  setStatus('Saved.');
+}
+
+export async function initProviders() {
+  for (const [type, { label }] of Object.entries(PROVIDER_TYPES)) {
+    typeEl.append(new Option(label, type));
+  }
+
+  const { translationProviders } = await chrome.storage.local.get('translationProviders');
+  providers = structuredClone(translationProviders || DEFAULT_PROVIDERS);
+  render();
+
+  addEl.addEventListener('click', () => {
+    const type = typeEl.value;
+    providers.push({
+      id: `${type}-${Date.now().toString(36)}`,
+      type,
+      enabled: true,
+      ...NEW_PROVIDER_DEFAULTS[type]
+    });
+    render();
+  });
+  saveEl.addEventListener('click', save);
+}
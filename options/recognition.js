@@ -0,0 +1,26 @@
+/** Speech recognition settings, saved to chrome.storage.sync. */
+
+const DEFAULTS = {
+  useVad: true,
+  chunkOverlap: 0.5,
+  rollingContext: false,
+  mergeSentences: true,
+  translationContext: true,
+  diarize: false
+};
+
+const inputs = document.querySelectorAll('#recognition [data-setting]');
+
+export async function initRecognition() {
+  const saved = await chrome.storage.sync.get(DEFAULTS);
+  for (const input of inputs) {
+    const key = input.dataset.setting;
+    if (input.type === 'checkbox') {
+      input.checked = saved[key];
+      input.addEventListener('change', () => chrome.storage.sync.set({ [key]: input.checked }));
+    } else {
+      input.value = String(saved[key]);
+      input.addEventListener('change', () => chrome.storage.sync.set({ [key]: Number(input.value) }));
+    }
+  }
+}
@@ -0,0 +1,108 @@
+/**
+ * Site rule editor. Rules are saved to chrome.storage.sync as `siteRules`
+ * (see shared/siteRules.js for the pattern syntax); the popup adds them
+ * with "save these settings for this site" and the background reads them
+ * when a page loads.
+ */
+import { listModels, findModel } from '../shared/modelRegistry.js';
+import { saveSiteRules } from '../shared/siteRules.js';
+
+const listEl = document.getElementById('siteList');
+const addEl = document.getElementById('addSite');
+const saveEl = document.getElementById('saveSites');
+const statusEl = document.getElementById('siteStatus');
+const template = document.getElementById('siteTemplate');
+
+let rules = [];
+let customModels = []; // for the model choices; see shared/modelRegistry.js
+
+function setStatus(text, isError = false) {
+  statusEl.textContent = text;
+  statusEl.classList.toggle('error', isError);
+}
+
+function renderRule(rule, index) {
+  const item = template.content.firstElementChild.cloneNode(true);
+  const modelEl = item.querySelector('[data-field="model"]');
+  modelEl.replaceChildren(...listModels(customModels).map((m) => new Option(m.name, m.key)));
+  for (const input of item.querySelectorAll('[data-field]')) {
+    const field = input.dataset.field;
+    if (input.type === 'checkbox') {
+      input.checked = Boolean(rule[field]);
+      input.addEventListener('change', () => (rule[field] = input.checked));
+    } else {
+      input.value = rule[field] ?? input.value;
+      input.addEventListener('input', () => (rule[field] = input.value.trim()));
+    }
+  }
+  // The rule's model was removed from the model manager.
+  if (!modelEl.value) modelEl.value = findModel(customModels, rule.model).key;
+  item.querySelector('[data-action="remove"]').addEventListener('click', () => {
+    rules.splice(index, 1);
+    render();
+  });
+  return item;
+}
+
+function render() {
+  listEl.replaceChildren(...rules.map(renderRule));
+  setStatus('');
+}
+
+function validate() {
+  const seen = new Set();
+  for (const rule of rules) {
+    const key = rule.pattern.toLowerCase();
+    if (!key) return 'Every rule needs a pattern.';
+    if (seen.has(key)) return `"${rule.pattern}" is listed twice.`;
+    seen.add(key);
+  }
+  return null;
+}
+
+async function save() {
+  const problem = validate();
+  if (problem) {
+    setStatus(problem, true);
+    return;
+  }
+  const failed = await saveSiteRules(chrome.storage.sync, rules);
+  setStatus(failed || 'Saved.', Boolean(failed));
+}
+
+export async function initSites() {
+  const saved = await chrome.storage.sync.get({ siteRules: [], customModels: [] });
+  rules = structuredClone(saved.siteRules);
+  customModels = saved.customModels;
+  render();
+
+  addEl.addEventListener('click', () => {
+    rules.push({
+      id: `site-${Date.now().toString(36)}`,
+      pattern: '',
+      sourceLanguage: 'auto',
+      targetLanguage: 'en',
+      model: 'base',
+      vocabulary: '',
+      autoStart: false
+    });
+    render();
+    listEl.lastElementChild?.querySelector('[data-field="pattern"]').focus();
+  });
+  saveEl.addEventListener('click', save);
+
+  // Rules saved from the popup, and models added in the model manager, while
+  // this page is open.
+  chrome.storage.onChanged.addListener((changes, area) => {
+    if (area !== 'sync') return;
+    if (changes.customModels) {
+      customModels = changes.customModels.newValue || [];
+      render();
+    }
+    if (!changes.siteRules) return;
+    const saved = changes.siteRules.newValue || [];
+    if (JSON.stringify(saved) === JSON.stringify(rules)) return; // our own save
+    rules = structuredClone(saved);
+    render();
+  });
+}
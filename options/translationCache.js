@@ -0,0 +1,44 @@
+/**
+ * Translation cache section: what the on-disk cache (shared/translationCache.js)
+ * holds and how often it answers, and a button to empty it. The page opens
+ * the same IndexedDB database as the offscreen document.
+ */
+import { translationCacheStats, clearTranslationStore } from '../shared/translationCache.js';
+import { formatBytes } from '../shared/modelRegistry.js';
+
+const statsEl = document.getElementById('cacheStats');
+const clearEl = document.getElementById('clearCache');
+
+function describe({ entries, bytes, hits, misses }) {
+  const lines = `${entries} line${entries === 1 ? '' : 's'} (${formatBytes(bytes)})`;
+  const lookups = hits + misses;
+  if (lookups === 0) return `${lines} cached.`;
+  const rate = Math.round((hits / lookups) * 100);
+  return `${lines} cached · ${rate}% of lookups answered from the cache (${hits} of ${lookups}).`;
+}
+
+async function refresh() {
+  try {
+    statsEl.textContent = describe(await translationCacheStats());
+  } catch (error) {
+    statsEl.textContent = `Could not read the cache: ${error.message}`;
+  }
+}
+
+export async function initTranslationCache() {
+  await refresh();
+  clearEl.addEventListener('click', async () => {
+    clearEl.disabled = true;
+    try {
+      await clearTranslationStore();
+      await chrome.runtime.sendMessage({ target: 'background', type: 'CLEAR_TRANSLATION_CACHE' });
+    } finally {
+      clearEl.disabled = false;
+      await refresh();
+    }
+  });
+  // Sessions keep filling it while the page is open.
+  document.addEventListener('visibilitychange', () => {
+    if (document.visibilityState === 'visible') refresh();
+  });
+}
@@ -1,15 +1,45 @@
-/** Popup: settings + start/stop + live status. */
+/** Popup: settings + start/stop + live status + site rules + subtitle export. */
+import { buildSubtitleFile } from '../shared/subtitleFormats.js';
+import { findSiteRule, sitePattern, upsertSiteRule, saveSiteRules } from '../shared/siteRules.js';
+import { listModels, findModel } from '../shared/modelRegistry.js';
+import { MIC_SESSION_ID, usesMic, sessionIdFor } from '../shared/captureSources.js';
 
+const captureSourceEl = document.getElementById('captureSource');
+const micDeviceRowEl = document.getElementById('micDeviceRow');
+const micDeviceEl = document.getElementById('micDevice');
+const micHintEl = document.getElementById('micHint');
 const targetLanguageEl = document.getElementById('targetLanguage');
 const sourceLanguageEl = document.getElementById('sourceLanguage');
 const modelEl = document.getElementById('model');
+const displayModeEl = document.getElementById('displayMode');
+const streamingEl = document.getElementById('streaming');
+const vocabularyEl = document.getElementById('vocabulary');
 const statusEl = document.getElementById('status');
 const statusTextEl = document.getElementById('statusText');
 const progressBarEl = document.getElementById('progressBar');
 const progressFillEl = document.getElementById('progressFill');
 const toggleEl = document.getElementById('toggle');
+const exportFormatEl = document.getElementById('exportFormat');
+const exportContentEl = document.getElementById('exportContent');
+const downloadEl = document.getElementById('download');
+const exportHintEl = document.getElementById('exportHint');
+const otherSessionsEl = document.getElementById('otherSessions');
+const providerHealthEl = document.getElementById('providerHealth');
+const openOptionsEl = document.getElementById('openOptions');
+const openTranscriptEl = document.getElementById('openTranscript');
+const openCaptionsEl = document.getElementById('openCaptions');
+const openTranscribeEl = document.getElementById('openTranscribe');
+const siteAutoStartEl = document.getElementById('siteAutoStart');
+const saveSiteEl = document.getElementById('saveSite');
+const siteHintEl = document.getElementById('siteHint');
 
-let session = null;
+let tabId = null; // the active tab this popup controls
+let windowId = null;
+let tabUrl = null;
+let session = null; // of the tab, or of the microphone if that's the source
+let activeSessions = 0; // across all tabs
+let micActive = false; // the microphone-only session is running
+let providerHealth = []; // translation providers, from the offscreen document
 
 function describe(session) {
   switch (session?.status) {
@@ -17,7 +47,9 @@ function describe(session) {
       return 'Starting…';
     case 'loading': {
       const pct = session.detail?.progress;
-      return pct ? `Downloading model… ${pct}%` : 'Loading model…';
+      const kinds = { translation: 'translation model', speaker: 'speaker model' };
+      const what = kinds[session.detail?.kind] || 'model';
+      return pct ? `Downloading ${what}… ${pct}%` : `Loading ${what}…`;
     }
     case 'listening': {
       const code = session.detail?.detectedLanguage;
@@ -40,6 +72,20 @@ function describe(session) {
   }
 }
 
+/** One sentence per translation provider that isn't working right now. */
+function describeHealth(providers) {
+  return providers
+    .filter((p) => p.status !== 'ok')
+    .map((p) => {
+      if (p.status === 'failing') return `${p.label} is failing (${p.error}).`;
+      const seconds = Math.ceil((p.retryAt - Date.now()) / 1000);
+      const retry =
+        seconds > 0 ? `trying again in ${seconds} s` : 'trying again with the next line';
+      return `${p.label} is skipped after repeated failures (${p.error}), ${retry}.`;
+    })
+    .join(' ');
+}
+
 function render() {
   const status = session?.status || 'idle';
   statusEl.className = `status ${status}`;
@@ -50,32 +96,105 @@ function render() {
   if (loading) progressFillEl.style.width = `${session.detail.progress}%`;
 
   const active = session && status !== 'error';
-  toggleEl.textContent = active ? 'Stop captions' : 'Start captions on this tab';
+  toggleEl.textContent = active ? 'Stop captions' : START_LABELS[captureSourceEl.value];
   toggleEl.classList.toggle('active', Boolean(active));
+  micDeviceRowEl.hidden = !usesMic(captureSourceEl.value);
+
+  // Only relevant while this tab is being translated.
+  providerHealthEl.textContent = active ? describeHealth(providerHealth) : '';
+
+  const shown = viewId();
+  const others =
+    activeSessions - (micActive ? 1 : 0) - (shown !== MIC_SESSION_ID && session ? 1 : 0);
+  const notes = [];
+  if (others > 0) notes.push(`Also captioning ${others} other tab${others === 1 ? '' : 's'}.`);
+  if (micActive && shown !== MIC_SESSION_ID) notes.push('The microphone is being captioned.');
+  otherSessionsEl.textContent = notes.join(' ');
+}
+
+const START_LABELS = {
+  tab: 'Start captions on this tab',
+  mic: 'Start microphone captions',
+  'tab+mic': 'Start captions on this tab + microphone'
+};
+
+/** The session this popup shows: the tab's, or the microphone's. */
+function viewId() {
+  return sessionIdFor(captureSourceEl.value, tabId);
 }
 
 async function refreshStatus() {
-  const response = await chrome.runtime.sendMessage({ target: 'background', type: 'GET_STATUS' });
+  const response = await chrome.runtime.sendMessage({
+    target: 'background',
+    type: 'GET_STATUS',
+    tabId: viewId()
+  });
   session = response?.session || null;
+  activeSessions = response?.activeSessions || 0;
+  micActive = Boolean(response?.micActive);
+  providerHealth = response?.providerHealth || [];
   render();
+  return response;
+}
+
+/** Fill the device picker; names are only visible once access is allowed. */
+async function listMicrophones(selected) {
+  const devices = await navigator.mediaDevices.enumerateDevices().catch(() => []);
+  const inputs = devices.filter((d) => d.kind === 'audioinput' && d.deviceId !== 'default');
+  micDeviceEl.replaceChildren(
+    new Option('Default microphone', ''),
+    ...inputs.map((d, i) => new Option(d.label || `Microphone ${i + 1}`, d.deviceId))
+  );
+  micDeviceEl.value = inputs.some((d) => d.deviceId === selected) ? selected : '';
+}
+
+async function micPermission() {
+  try {
+    return (await navigator.permissions.query({ name: 'microphone' })).state;
+  } catch (e) {
+    return 'prompt';
+  }
+}
+
+/**
+ * The popup can't show the permission prompt (it closes when the prompt
+ * takes focus), so access is asked for once in a window of its own.
+ */
+async function askForMicrophone() {
+  await chrome.windows.create({
+    url: chrome.runtime.getURL('captions/captions.html?grant'),
+    type: 'popup',
+    width: 480,
+    height: 260
+  });
+  window.close();
 }
 
 toggleEl.addEventListener('click', async () => {
   toggleEl.disabled = true;
   try {
     if (session && session.status !== 'error') {
-      await chrome.runtime.sendMessage({ target: 'background', type: 'STOP' });
+      await chrome.runtime.sendMessage({ target: 'background', type: 'STOP', tabId: viewId() });
       session = null;
     } else {
+      if (usesMic(captureSourceEl.value) && (await micPermission()) !== 'granted') {
+        await askForMicrophone();
+        return;
+      }
       const settings = {
+        captureSource: captureSourceEl.value,
+        micDeviceId: micDeviceEl.value,
         targetLanguage: targetLanguageEl.value,
         sourceLanguage: sourceLanguageEl.value,
-        model: modelEl.value
+        model: modelEl.value,
+        streaming: streamingEl.checked,
+        vocabulary: vocabularyEl.value.trim()
       };
       chrome.storage.sync.set(settings);
       const response = await chrome.runtime.sendMessage({
         target: 'background',
         type: 'START',
+        source: settings.captureSource,
         ...settings
       });
       if (!response?.ok) {
@@ -88,21 +207,157 @@ toggleEl.addEventListener('click', async () => {
   }
 });
 
+function timestampForFilename(date = new Date()) {
+  const pad = (n) => String(n).padStart(2, '0');
+  return (
+    `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}` +
+    `-${pad(date.getHours())}${pad(date.getMinutes())}`
+  );
+}
+
+downloadEl.addEventListener('click', async () => {
+  const { transcript } = await chrome.runtime.sendMessage({
+    target: 'background',
+    type: 'GET_TRANSCRIPT',
+    tabId: viewId()
+  });
+  if (!transcript?.length) {
+    exportHintEl.textContent = 'No subtitles yet — start captions first.';
+    return;
+  }
+  exportHintEl.textContent = '';
+
+  const file = buildSubtitleFile(transcript, exportFormatEl.value, exportContentEl.value);
+  const url = URL.createObjectURL(new Blob([file.text], { type: `${file.mime};charset=utf-8` }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = `subtitles-${timestampForFilename()}.${file.extension}`;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+
+  chrome.storage.sync.set({
+    exportFormat: exportFormatEl.value,
+    exportContent: exportContentEl.value
+  });
+});
+
+saveSiteEl.addEventListener('click', async () => {
+  const pattern = sitePattern(tabUrl);
+  if (!pattern) {
+    siteHintEl.textContent = 'Site settings only work on web pages.';
+    return;
+  }
+  const { siteRules } = await chrome.storage.sync.get({ siteRules: [] });
+  const rule = {
+    id: `site-${Date.now().toString(36)}`,
+    pattern,
+    sourceLanguage: sourceLanguageEl.value,
+    targetLanguage: targetLanguageEl.value,
+    model: modelEl.value,
+    vocabulary: vocabularyEl.value.trim(),
+    autoStart: siteAutoStartEl.checked
+  };
+  const failed = await saveSiteRules(chrome.storage.sync, upsertSiteRule(siteRules, rule));
+  siteHintEl.textContent = failed || `Saved for ${pattern}. Edit site rules in Settings.`;
+  siteHintEl.classList.toggle('error', Boolean(failed));
+});
+
+// Applies live: content scripts watch this setting.
+displayModeEl.addEventListener('change', () => {
+  chrome.storage.sync.set({ displayMode: displayModeEl.value });
+});
+
+openOptionsEl.addEventListener('click', () => chrome.runtime.openOptionsPage());
+
+openTranscribeEl.addEventListener('click', async () => {
+  await chrome.tabs.create({ url: chrome.runtime.getURL('transcribe/transcribe.html') });
+  window.close();
+});
+
+openCaptionsEl.addEventListener('click', async () => {
+  await chrome.runtime.sendMessage({
+    target: 'background',
+    type: 'OPEN_CAPTION_WINDOW',
+    tabId: viewId()
+  });
+  window.close();
+});
+
+// Shows the microphone's session or the tab's.
+captureSourceEl.addEventListener('change', () => {
+  chrome.storage.sync.set({ captureSource: captureSourceEl.value });
+  refreshStatus().catch(() => render());
+});
+
+openTranscriptEl.addEventListener('click', async () => {
+  // Called straight from the click, with nothing awaited first: opening the
+  // panel needs the user gesture.
+  await chrome.sidePanel.open({ windowId });
+  window.close();
+});
+
 chrome.runtime.onMessage.addListener((message) => {
   if (message?.target === 'popup' && message.type === 'STATUS_CHANGED') {
-    session = message.session;
+    activeSessions = message.activeSessions;
+    micActive = Boolean(message.micActive);
+    if (message.tabId === viewId()) session = message.session;
+    render();
+  } else if (message?.target === 'popup' && message.type === 'PROVIDER_HEALTH') {
+    providerHealth = message.providers;
     render();
   }
 });
 
 (async function init() {
+  const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+  tabId = tab?.id ?? null;
+  windowId = tab?.windowId ?? null;
+  tabUrl = tab?.url ?? null;
+
   const saved = await chrome.storage.sync.get({
+    captureSource: 'tab',
+    micDeviceId: '',
     targetLanguage: 'en',
     sourceLanguage: 'auto',
-    model: 'base'
+    model: 'base',
+    streaming: false,
+    vocabulary: '',
+    displayMode: 'translated',
+    exportFormat: 'srt',
+    exportContent: 'translated',
+    siteRules: [],
+    customModels: []
   });
+  // Built-in sizes plus any models added in the model manager.
+  modelEl.replaceChildren(...listModels(saved.customModels).map((m) => new Option(m.name, m.key)));
+  const modelKey = (key) => findModel(saved.customModels, key).key;
+  captureSourceEl.value = saved.captureSource;
+  await listMicrophones(saved.micDeviceId);
+  if (usesMic(saved.captureSource) && (await micPermission()) !== 'granted') {
+    micHintEl.textContent = 'Starting will first ask for access to your microphone.';
+  }
   targetLanguageEl.value = saved.targetLanguage;
   sourceLanguageEl.value = saved.sourceLanguage;
-  modelEl.value = saved.model;
-  await refreshStatus();
+  modelEl.value = modelKey(saved.model);
+  streamingEl.checked = saved.streaming;
+  vocabularyEl.value = saved.vocabulary;
+  displayModeEl.value = saved.displayMode;
+  exportFormatEl.value = saved.exportFormat;
+  exportContentEl.value = saved.exportContent;
+
+  // A site rule overrides the last-used languages and model on its pages.
+  const rule = findSiteRule(saved.siteRules, tabUrl);
+  if (rule) {
+    targetLanguageEl.value = rule.targetLanguage;
+    sourceLanguageEl.value = rule.sourceLanguage;
+    modelEl.value = modelKey(rule.model);
+    vocabularyEl.value = rule.vocabulary ?? saved.vocabulary;
+    siteAutoStartEl.checked = Boolean(rule.autoStart);
+    siteHintEl.textContent = `Using the settings saved for ${rule.pattern}.`;
+  }
+
+  const status = await refreshStatus();
+  // The rule's prompt sent the user here: opening the popup is the gesture
+  // tabCapture needs, so start straight away.
+  if (status?.pendingAutoStart && !session) toggleEl.click();
 })();
@@ -0,0 +1,49 @@
+/**
+ * Where a captioning session gets its audio. Stored in chrome.storage.sync
+ * as `captureSource` (last used) with `micDeviceId`:
+ *
+ *  - 'tab'     — the active tab (tabCapture), captions on the page
+ *  - 'mic'     — a microphone, for people in the room; captions in the
+ *                caption window and the side panel, since there is no page
+ *  - 'tab+mic' — both mixed, for calls: the other side comes through the
+ *                tab, your side through the microphone
+ *
+ * Sessions are keyed by tab id. A microphone-only session has no tab, so it
+ * uses MIC_SESSION_ID (chrome.tabs.TAB_ID_NONE); there is at most one.
+ */
+
+export const MIC_SESSION_ID = -1;
+
+export const CAPTURE_SOURCES = ['tab', 'mic', 'tab+mic'];
+
+export function normalizeSource(source) {
+  return CAPTURE_SOURCES.includes(source) ? source : 'tab';
+}
+
+export function usesTab(source) {
+  return normalizeSource(source) !== 'mic';
+}
+
+export function usesMic(source) {
+  return normalizeSource(source) !== 'tab';
+}
+
+/** The session a source runs as, for the tab `tabId`. */
+export function sessionIdFor(source, tabId) {
+  return usesTab(source) ? tabId : MIC_SESSION_ID;
+}
+
+/**
+ * getUserMedia() audio constraints for the microphone `deviceId` ('' for
+ * the system default). Echo cancellation keeps call audio from the
+ * speakers out of the mic; it works best with headphones.
+ */
+export function micConstraints(deviceId = '') {
+  return {
+    ...(deviceId ? { deviceId: { exact: deviceId } } : {}),
+    channelCount: 1,
+    echoCancellation: true,
+    noiseSuppression: true,
+    autoGainControl: true
+  };
+}
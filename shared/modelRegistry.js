@@ -0,0 +1,103 @@
+/**
+ * Whisper models the extension can run: the three built-in sizes plus
+ * custom Hugging Face repos the user adds on the settings page, stored in
+ * chrome.storage.sync as `customModels`:
+ *
+ *   { id: 'onnx-community/whisper-large-v3-turbo', dtype: 'q4' }
+ *
+ * A model's `key` is what popup settings and site rules store: 'tiny',
+ * 'base' or 'small' for the built-ins, the repo id for custom models.
+ * Custom repos need transformers.js-compatible ONNX weights (an `onnx/`
+ * folder), as published by onnx-community and Xenova.
+ *
+ * transformers.js keeps downloads in Cache Storage ("transformers-cache"),
+ * keyed by their Hub URL; cachedRepos() turns those keys back into repos
+ * and sizes for the model manager.
+ */
+
+export const MODEL_CACHE = 'transformers-cache';
+const HUB_FILE_RE = /^https:\/\/huggingface\.co\/([^/]+\/[^/]+)\/resolve\/[^/]+\/(.+)$/;
+
+export const BUILTIN_MODELS = [
+  { key: 'tiny', id: 'onnx-community/whisper-tiny', name: 'Fast (tiny, ~40 MB)' },
+  { key: 'base', id: 'onnx-community/whisper-base', name: 'Balanced (base, ~80 MB)' },
+  { key: 'small', id: 'onnx-community/whisper-small', name: 'Accurate (small, ~250 MB)' }
+];
+
+export const DEFAULT_MODEL = 'base';
+
+// `auto` keeps the built-in choice per backend (see dtypeFor); the others
+// apply to every weight file.
+export const QUANTIZATIONS = {
+  auto: 'Automatic',
+  fp32: 'fp32 — full precision, largest',
+  fp16: 'fp16 — half precision',
+  q8: 'q8 — 8-bit',
+  q4: 'q4 — 4-bit, smallest'
+};
+
+/** "owner/name", or a huggingface.co URL of the repo -> "owner/name"; null if neither. */
+export function parseModelId(text) {
+  const trimmed = String(text || '').trim();
+  const fromUrl = /^https?:\/\/huggingface\.co\/([^/?#]+\/[^/?#]+)/.exec(trimmed);
+  const id = fromUrl ? fromUrl[1] : trimmed;
+  return /^[\w.-]+\/[\w.-]+$/.test(id) && !id.includes('..') ? id : null;
+}
+
+/** Built-ins first, then custom models; each { key, id, name, dtype, custom }. */
+export function listModels(customModels = []) {
+  const builtins = BUILTIN_MODELS.map((m) => ({ ...m, dtype: 'auto', custom: false }));
+  const custom = customModels
+    .filter((m) => parseModelId(m.id))
+    .map((m) => ({
+      key: m.id,
+      id: m.id,
+      name: m.id.split('/')[1],
+      dtype: QUANTIZATIONS[m.dtype] ? m.dtype : 'auto',
+      custom: true
+    }));
+  return [...builtins, ...custom];
+}
+
+/** The model stored as `key`; the default one if it has since been removed. */
+export function findModel(customModels, key) {
+  const models = listModels(customModels);
+  return models.find((m) => m.key === key) || models.find((m) => m.key === DEFAULT_MODEL);
+}
+
+/** transformers.js `dtype` option for loading `model` on `device` (webgpu | wasm). */
+export function dtypeFor(model, device) {
+  if (model.dtype && model.dtype !== 'auto') return model.dtype;
+  // Full-precision encoder for accuracy; 4-bit decoder for WebGPU speed.
+  return device === 'webgpu' ? { encoder_model: 'fp32', decoder_model_merged: 'q4' } : 'q8';
+}
+
+/**
+ * Group Cache Storage entries ({ url, size } in bytes) by Hub repo.
+ * Returns [{ id, bytes, files }], largest first; other URLs are ignored.
+ */
+export function cachedRepos(entries) {
+  const repos = new Map();
+  for (const { url, size } of entries) {
+    const match = HUB_FILE_RE.exec(url);
+    if (!match) continue;
+    const repo = repos.get(match[1]) || { id: match[1], bytes: 0, files: 0 };
+    repo.bytes += size || 0;
+    repo.files += 1;
+    repos.set(repo.id, repo);
+  }
+  return [...repos.values()].sort((a, b) => b.bytes - a.bytes);
+}
+
+/** True if the cache URL is one of `id`'s files. */
+export function isRepoFile(url, id) {
+  return HUB_FILE_RE.exec(url)?.[1] === id;
+}
+
+/** 83886080 -> "80 MB" */
+export function formatBytes(bytes) {
+  if (bytes >= 1024 ** 3) return `${(bytes / 1024 ** 3).toFixed(1)} GB`;
+  if (bytes >= 1024 ** 2) return `${Math.round(bytes / 1024 ** 2)} MB`;
+  if (bytes >= 1024) return `${Math.round(bytes / 1024)} KB`;
+  return `${bytes} B`;
+}
@@ -0,0 +1,96 @@
+/**
+ * Per-site rules: caption settings (and optional auto-start) for pages that
+ * match a pattern. Stored in chrome.storage.sync as `siteRules`:
+ *
+ *   { id, pattern, sourceLanguage, targetLanguage, model, autoStart }
+ *
+ * A pattern is one of
+ *  - a host, "nhk.or.jp" — that host and its subdomains, any scheme or path
+ *  - an origin, "https://www.youtube.com" — exactly that origin
+ *  - a URL prefix, optionally with * wildcards,
+ *    "https://www.youtube.com/@canal/*" or "youtube.com/watch*" — without a
+ *    scheme it is matched against the URL minus its scheme.
+ *
+ * When several rules match, the most specific (longest) pattern wins.
+ */
+
+function escapeRegExp(text) {
+  return text.replace(/[.+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function parseUrl(url) {
+  try {
+    return new URL(url);
+  } catch (e) {
+    return null;
+  }
+}
+
+/** True when `pattern` matches the page at `url`. */
+export function patternMatches(pattern, url) {
+  const target = parseUrl(url);
+  const p = String(pattern || '').trim().toLowerCase();
+  if (!target || !p) return false;
+
+  const hasScheme = /^[a-z][a-z0-9+.-]*:\/\//.test(p);
+  const rest = hasScheme ? p.slice(p.indexOf('://') + 3) : p;
+  const isHostOnly = !rest.includes('/') && !rest.includes('*');
+
+  if (isHostOnly) {
+    if (hasScheme) return target.origin === p.replace(/\/+$/, '');
+    const host = target.hostname;
+    return host === p || host.endsWith(`.${p}`);
+  }
+
+  const href = `${target.origin}${target.pathname}${target.search}`.toLowerCase();
+  const subject = hasScheme ? href : href.slice(href.indexOf('://') + 3);
+  const regex = new RegExp(`^${p.split('*').map(escapeRegExp).join('.*')}`);
+  return regex.test(subject);
+}
+
+/** The rule for `url`, or null. Rules without a pattern never match. */
+export function findSiteRule(rules, url) {
+  let best = null;
+  for (const rule of rules || []) {
+    if (!patternMatches(rule.pattern, url)) continue;
+    const specificity = rule.pattern.replace(/\*/g, '').length;
+    if (!best || specificity > best.specificity) best = { rule, specificity };
+  }
+  return best?.rule || null;
+}
+
+/** The pattern "save for this site" uses: the page's origin. */
+export function sitePattern(url) {
+  const parsed = parseUrl(url);
+  return parsed && /^https?:$/.test(parsed.protocol) ? parsed.origin : null;
+}
+
+/** A copy of `rules` with `rule` replacing any rule with the same pattern. */
+export function upsertSiteRule(rules, rule) {
+  const key = rule.pattern.trim().toLowerCase();
+  const index = (rules || []).findIndex((r) => r.pattern.trim().toLowerCase() === key);
+  if (index === -1) return [...(rules || []), rule];
+  const next = [...rules];
+  next[index] = { ...rule, id: rules[index].id };
+  return next;
+}
+
+/**
+ * Save `rules` to `storage` (chrome.storage.sync). Resolves to null, or to
+ * why they weren't saved: sync keeps each item under 8 KB, which a few long
+ * word lists can outgrow, and limits how often it is written.
+ */
+export async function saveSiteRules(storage, rules) {
+  try {
+    await storage.set({ siteRules: rules });
+    return null;
+  } catch (error) {
+    if (/QUOTA_BYTES/.test(error.message)) {
+      return 'Too much to sync. Shorten the words to listen for, or remove a rule.';
+    }
+    if (/MAX_WRITE_OPERATIONS/.test(error.message)) {
+      return 'Saved too often. Wait a minute, then try again.';
+    }
+    return `Could not save: ${error.message}`;
+  }
+}
@@ -0,0 +1,110 @@
+/**
+ * Subtitle file formats for exported session transcripts and transcribed
+ * files.
+ *
+ * A cue is { start, end, text, original, speaker } with times in seconds
+ * from the start of the session (or file). `content` picks which text goes into each
+ * cue: 'translated', 'original', or 'both' (translation above the original).
+ * Cues with a speaker number are labelled "Speaker N": as a WebVTT voice
+ * span, or a "Speaker N: " prefix in SRT and plain text.
+ */
+
+export const FORMATS = {
+  srt: { extension: 'srt', mime: 'application/x-subrip' },
+  vtt: { extension: 'vtt', mime: 'text/vtt' },
+  txt: { extension: 'txt', mime: 'text/plain' }
+};
+
+function pad(n, width = 2) {
+  return String(n).padStart(width, '0');
+}
+
+/** 3723.5 -> "01:02:03,500" (SRT) or "01:02:03.500" (WebVTT). */
+export function formatTimestamp(seconds, separator = ',') {
+  const ms = Math.max(0, Math.round((seconds || 0) * 1000));
+  const h = Math.floor(ms / 3600000);
+  const m = Math.floor((ms % 3600000) / 60000);
+  const s = Math.floor((ms % 60000) / 1000);
+  return `${pad(h)}:${pad(m)}:${pad(s)}${separator}${pad(ms % 1000, 3)}`;
+}
+
+/** "01:02:03,500", "1:02.5" or "62.5" -> seconds; null if it isn't a time. */
+export function parseTimestamp(text) {
+  const match = /^\s*(?:(?:(\d+):)?(\d{1,2}):)?(\d+(?:[.,]\d+)?)\s*$/.exec(text || '');
+  if (!match) return null;
+  const [, h = 0, m = 0, s] = match;
+  return Number(h) * 3600 + Number(m) * 60 + Number(s.replace(',', '.'));
+}
+
+/** The lines a cue shows for the chosen content; never repeats identical text. */
+export function cueLines(cue, content = 'translated') {
+  const translated = (cue.text || '').trim();
+  const original = (cue.original || '').trim();
+  if (content === 'original') return original ? [original] : [];
+  if (content === 'both') {
+    if (!original || original === translated) return translated ? [translated] : [];
+    return translated ? [translated, original] : [original];
+  }
+  return translated ? [translated] : [];
+}
+
+/** "Speaker 2" for a cue from speaker 2; '' if the cue has no speaker. */
+export function speakerLabel(cue) {
+  return Number.isInteger(cue.speaker) ? `Speaker ${cue.speaker}` : '';
+}
+
+function printable(cues, content, label = (name) => `${name}: `, escape = (line) => line) {
+  return cues
+    .map((cue) => ({ ...cue, lines: cueLines(cue, content).map(escape) }))
+    .filter((cue) => cue.lines.length > 0)
+    .map((cue) => {
+      const name = speakerLabel(cue);
+      if (!name) return cue;
+      const [first, ...rest] = cue.lines;
+      return { ...cue, lines: [label(name) + first, ...rest] };
+    });
+}
+
+export function toSrt(cues, content = 'translated') {
+  return printable(cues, content)
+    .map(
+      (cue, i) =>
+        `${i + 1}\n${formatTimestamp(cue.start)} --> ${formatTimestamp(cue.end)}\n${cue.lines.join('\n')}\n`
+    )
+    .join('\n');
+}
+
+/**
+ * WebVTT cue text is markup: "&", "<" and ">" are written as character
+ * references, which also keeps a "-->" from reading as a timing line.
+ */
+function escapeVtt(line) {
+  return line.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+export function toVtt(cues, content = 'translated') {
+  const body = printable(cues, content, (name) => `<v ${name}>`, escapeVtt)
+    .map(
+      (cue) =>
+        `${formatTimestamp(cue.start, '.')} --> ${formatTimestamp(cue.end, '.')}\n` +
+        `${cue.lines.join('\n')}\n`
+    )
+    .join('\n');
+  return `WEBVTT\n\n${body}`;
+}
+
+export function toText(cues, content = 'translated') {
+  return printable(cues, content)
+    .map((cue) => cue.lines.join('\n'))
+    .join('\n\n')
+    .concat('\n');
+}
+
+/** Build a downloadable file: { text, mime, extension }. */
+export function buildSubtitleFile(cues, format = 'srt', content = 'translated') {
+  const spec = FORMATS[format];
+  if (!spec) throw new Error(`Unknown subtitle format: ${format}`);
+  const text =
+    format === 'srt' ? toSrt(cues, content) : format === 'vtt' ? toVtt(cues, content) : toText(cues, content);
+  return { text, ...spec };
+}
@@ -0,0 +1,168 @@
+/**
+ * Persistent translation cache in IndexedDB ("translation-cache"), so lines
+ * that come back — a lecture watched twice, a news intro — are translated
+ * from disk instead of the network, across sessions and browser restarts.
+ *
+ * Entries are keyed by provider, language pair and normalized text, and
+ * hold what the provider returned for the glossary-masked text (glossaries
+ * are applied afresh on the way out). Each remembers when it was stored and
+ * last used: entries older than `maxAgeDays` go, and beyond `maxBytes` the
+ * least recently used go first.
+ *
+ * The offscreen document reads and fills the cache through translator.js
+ * (setPersistentCache); the options page shows its stats and clears it.
+ * Both are extension pages, so they open the same database. Hits and
+ * misses are counted in the database too, since the last clear.
+ *
+ * translationCacheKey() and planEviction() are pure and tested in Node;
+ * the rest needs IndexedDB.
+ */
+
+const DB_NAME = 'translation-cache';
+const ENTRIES = 'entries'; // { key, value, bytes, storedAt, usedAt }
+const META = 'meta'; // { id: 'stats', hits, misses }
+
+export const CACHE_LIMITS = { maxBytes: 8 * 1024 * 1024, maxAgeDays: 90 };
+const EVICT_EVERY = 50; // writes between eviction passes
+
+/**
+ * Whisper's spacing varies between two hearings of the same words, so
+ * whitespace and Unicode forms are normalized. Case and punctuation are
+ * kept: they change the translation.
+ */
+export function normalizeCacheText(text) {
+  return String(text || '').normalize('NFC').replace(/\s+/g, ' ').trim();
+}
+
+/** Cache key for `text` translated by `provider` (a chain entry). */
+export function translationCacheKey(provider, sourceLanguage, targetLanguage, text) {
+  const id = provider.id || provider.type;
+  return [id, sourceLanguage, targetLanguage, normalizeCacheText(text)].join('\u0000');
+}
+
+/**
+ * Keys to delete from `entries` ({ key, bytes, storedAt, usedAt }, times
+ * in ms): everything stored more than maxAgeDays ago, then the least
+ * recently used until the rest fits in maxBytes.
+ */
+export function planEviction(entries, { now = Date.now(), ...options } = {}) {
+  const { maxBytes, maxAgeDays } = { ...CACHE_LIMITS, ...options };
+  const oldest = now - maxAgeDays * 24 * 3600 * 1000;
+  const doomed = [];
+  const kept = [];
+  for (const entry of entries) (entry.storedAt < oldest ? doomed : kept).push(entry);
+
+  let bytes = kept.reduce((sum, entry) => sum + entry.bytes, 0);
+  kept.sort((a, b) => a.usedAt - b.usedAt);
+  for (const entry of kept) {
+    if (bytes <= maxBytes) break;
+    doomed.push(entry);
+    bytes -= entry.bytes;
+  }
+  return doomed.map((entry) => entry.key);
+}
+
+let opening = null;
+let writes = 0;
+
+function openDatabase() {
+  opening ??= new Promise((resolve, reject) => {
+    const request = indexedDB.open(DB_NAME, 1);
+    request.onupgradeneeded = () => {
+      request.result.createObjectStore(ENTRIES, { keyPath: 'key' });
+      request.result.createObjectStore(META, { keyPath: 'id' });
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => {
+      opening = null;
+      reject(request.error);
+    };
+  });
+  return opening;
+}
+
+function done(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+function committed(transaction) {
+  return new Promise((resolve, reject) => {
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = transaction.onabort = () => reject(transaction.error);
+  });
+}
+
+/**
+ * The first cached translation among `keys` (in order), or undefined.
+ * Counts a hit or a miss and marks the entry as used.
+ */
+export async function getCachedTranslation(keys) {
+  const db = await openDatabase();
+  const transaction = db.transaction([ENTRIES, META], 'readwrite');
+  const entries = transaction.objectStore(ENTRIES);
+  const meta = transaction.objectStore(META);
+
+  let found;
+  for (const key of keys) {
+    found = await done(entries.get(key));
+    if (found) break;
+  }
+  const stats = (await done(meta.get('stats'))) || { id: 'stats', hits: 0, misses: 0 };
+  stats[found ? 'hits' : 'misses'] += 1;
+  meta.put(stats);
+  if (found) entries.put({ ...found, usedAt: Date.now() });
+  await committed(transaction);
+  return found?.value;
+}
+
+export async function putCachedTranslation(key, value) {
+  const db = await openDatabase();
+  const transaction = db.transaction(ENTRIES, 'readwrite');
+  const now = Date.now();
+  // UTF-16 in memory; close enough to what the entry costs on disk.
+  const bytes = (key.length + value.length) * 2;
+  transaction.objectStore(ENTRIES).put({ key, value, bytes, storedAt: now, usedAt: now });
+  await committed(transaction);
+  if (++writes % EVICT_EVERY === 1) await evictTranslations();
+}
+
+/** Apply CACHE_LIMITS (or `options`) now. */
+export async function evictTranslations(options = {}) {
+  const db = await openDatabase();
+  const transaction = db.transaction(ENTRIES, 'readwrite');
+  const store = transaction.objectStore(ENTRIES);
+  const entries = (await done(store.getAll())).map(({ key, bytes, storedAt, usedAt }) => ({
+    key,
+    bytes,
+    storedAt,
+    usedAt
+  }));
+  for (const key of planEviction(entries, options)) store.delete(key);
+  await committed(transaction);
+}
+
+/** { entries, bytes, hits, misses } */
+export async function translationCacheStats() {
+  const db = await openDatabase();
+  const transaction = db.transaction([ENTRIES, META], 'readonly');
+  const all = await done(transaction.objectStore(ENTRIES).getAll());
+  const stats = (await done(transaction.objectStore(META).get('stats'))) || {};
+  return {
+    entries: all.length,
+    bytes: all.reduce((sum, entry) => sum + entry.bytes, 0),
+    hits: stats.hits || 0,
+    misses: stats.misses || 0
+  };
+}
+
+/** Delete every cached translation and reset the hit counts. */
+export async function clearTranslationStore() {
+  const db = await openDatabase();
+  const transaction = db.transaction([ENTRIES, META], 'readwrite');
+  transaction.objectStore(ENTRIES).clear();
+  transaction.objectStore(META).clear();
+  await committed(transaction);
+}
@@ -0,0 +1,178 @@
+/**
+ * Side panel: the transcript history of the active tab — every subtitle of
+ * its current (or last) session, with timestamps, search and click-to-copy.
+ * It can show the microphone session instead, which has no tab of its own;
+ * it does by default while that session is running.
+ *
+ * The history itself lives in the background worker (mirrored to
+ * chrome.storage.session), so closing the panel or the popup loses
+ * nothing; the panel just re-reads it and then follows TRANSCRIPT_CUE.
+ */
+import { speakerLabel } from '../shared/subtitleFormats.js';
+import { MIC_SESSION_ID } from '../shared/captureSources.js';
+
+const cuesEl = document.getElementById('cues');
+const sourceEl = document.getElementById('source');
+const searchEl = document.getElementById('search');
+const autoscrollEl = document.getElementById('autoscroll');
+const countEl = document.getElementById('count');
+const emptyEl = document.getElementById('empty');
+const unsavedEl = document.getElementById('unsaved');
+
+let windowId = null; // the window this panel belongs to
+let activeTabId = null; // the active tab of that window
+let tabId = null; // the session whose transcript is shown: activeTabId or MIC_SESSION_ID
+let cues = [];
+
+/** 75.3 -> "1:15", 3723 -> "1:02:03" */
+function clock(seconds) {
+  const total = Math.max(0, Math.floor(seconds || 0));
+  const h = Math.floor(total / 3600);
+  const m = Math.floor((total % 3600) / 60);
+  const s = String(total % 60).padStart(2, '0');
+  return h > 0 ? `${h}:${String(m).padStart(2, '0')}:${s}` : `${m}:${s}`;
+}
+
+function query() {
+  return searchEl.value.trim().toLowerCase();
+}
+
+function matches(cue, q) {
+  return !q || `${cue.text}\n${cue.original || ''}`.toLowerCase().includes(q);
+}
+
+/** Fill `el` with `text`, wrapping occurrences of `q` in <mark>. */
+function highlight(el, text, q) {
+  el.textContent = '';
+  if (!q) {
+    el.textContent = text;
+    return;
+  }
+  const lower = text.toLowerCase();
+  let from = 0;
+  for (let at = lower.indexOf(q); at !== -1; at = lower.indexOf(q, from)) {
+    el.append(text.slice(from, at));
+    const mark = document.createElement('mark');
+    mark.textContent = text.slice(at, at + q.length);
+    el.append(mark);
+    from = at + q.length;
+  }
+  el.append(text.slice(from));
+}
+
+function cueItem(cue, q) {
+  const item = document.createElement('li');
+  const time = document.createElement('span');
+  const text = document.createElement('div');
+  const original = document.createElement('div');
+  time.className = 'time';
+  time.textContent = clock(cue.start);
+  highlight(text, cue.text, q);
+  const label = speakerLabel(cue);
+  if (label) {
+    const speaker = document.createElement('span');
+    speaker.className = 'speaker';
+    speaker.textContent = label;
+    text.prepend(speaker);
+  }
+  original.className = 'original';
+  if (cue.original && cue.original !== cue.text) highlight(original, cue.original, q);
+  item.append(time, text, original);
+  item.title = 'Click to copy';
+  item.addEventListener('click', () => copyCue(cue, item));
+  return item;
+}
+
+async function copyCue(cue, item) {
+  const label = speakerLabel(cue);
+  const lines = [label ? `${label}: ${cue.text}` : cue.text];
+  if (cue.original && cue.original !== cue.text) lines.push(cue.original);
+  await navigator.clipboard.writeText(lines.join('\n'));
+  item.classList.add('copied');
+  setTimeout(() => item.classList.remove('copied'), 600);
+}
+
+function scrollToEnd() {
+  if (autoscrollEl.checked && !query()) cuesEl.scrollTop = cuesEl.scrollHeight;
+}
+
+function renderStatus(shown) {
+  const q = query();
+  countEl.textContent = cues.length
+    ? q
+      ? `${shown} of ${cues.length}`
+      : `${cues.length} line${cues.length === 1 ? '' : 's'}`
+    : '';
+  if (cues.length === 0) {
+    const where = tabId === MIC_SESSION_ID ? 'from the microphone' : 'on this tab';
+    emptyEl.textContent = `No subtitles ${where} yet. Start captions from the toolbar button.`;
+  } else {
+    emptyEl.textContent = shown === 0 ? 'Nothing matches your search.' : '';
+  }
+}
+
+function render() {
+  const q = query();
+  const shown = cues.filter((cue) => matches(cue, q));
+  cuesEl.replaceChildren(...shown.map((cue) => cueItem(cue, q)));
+  renderStatus(shown.length);
+  scrollToEnd();
+}
+
+function append(cue) {
+  cues.push(cue);
+  const q = query();
+  if (matches(cue, q)) cuesEl.append(cueItem(cue, q));
+  renderStatus(cuesEl.childElementCount);
+  scrollToEnd();
+}
+
+async function showTab(id) {
+  tabId = id;
+  const response = await chrome.runtime.sendMessage({
+    target: 'background',
+    type: 'GET_TRANSCRIPT',
+    tabId
+  });
+  if (id !== tabId) return; // switched again meanwhile
+  cues = response?.transcript || [];
+  unsavedEl.hidden = !response?.unsaved;
+  render();
+}
+
+function showSource() {
+  showTab(sourceEl.value === 'mic' ? MIC_SESSION_ID : activeTabId);
+}
+
+searchEl.addEventListener('input', render);
+autoscrollEl.addEventListener('change', scrollToEnd);
+sourceEl.addEventListener('change', showSource);
+
+chrome.tabs.onActivated.addListener((info) => {
+  if (info.windowId !== windowId) return;
+  activeTabId = info.tabId;
+  if (sourceEl.value === 'tab') showTab(activeTabId);
+});
+
+chrome.runtime.onMessage.addListener((message) => {
+  if (message?.target !== 'sidepanel' || message.tabId !== tabId) return;
+  if (message.type === 'TRANSCRIPT_CUE') append(message.cue);
+  else if (message.type === 'TRANSCRIPT_RESET') {
+    cues = [];
+    unsavedEl.hidden = true;
+    render();
+  } else if (message.type === 'TRANSCRIPT_UNSAVED') unsavedEl.hidden = false;
+});
+
+(async function init() {
+  const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+  windowId = tab?.windowId ?? null;
+  activeTabId = tab?.id ?? null;
+  const mic = await chrome.runtime.sendMessage({
+    target: 'background',
+    type: 'GET_STATUS',
+    tabId: MIC_SESSION_ID
+  });
+  sourceEl.value = mic?.session ? 'mic' : 'tab';
+  showSource();
+})();
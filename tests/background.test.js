@@ -0,0 +1,335 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createChromeWorld } from './helpers/chromeMock.js';
+import { MIC_SESSION_ID } from '../shared/captureSources.js';
+
+const TAB = { id: 7, url: 'https://video.example/watch?v=1', active: true };
+
+async function startCaptions(world) {
+  const response = await world.deliver({
+    target: 'background',
+    type: 'START',
+    targetLanguage: 'de',
+    sourceLanguage: 'auto',
+    model: 'base'
+  });
+  assert.deepEqual(response, { ok: true });
+  await world.offscreen.emit({ type: 'STATUS', tabId: TAB.id, status: 'listening', detail: null });
+}
+
+function getStatus(world) {
+  return world.deliver({ target: 'background', type: 'GET_STATUS', tabId: TAB.id });
+}
+
+test('a running session survives the worker being restarted', async () => {
+  const world = createChromeWorld({ tabs: [TAB] });
+  await world.startWorker();
+  await startCaptions(world);
+  assert.equal(world.badges.get(TAB.id), 'CC');
+
+  await world.startWorker();
+  const { session, activeSessions } = await getStatus(world);
+  assert.equal(activeSessions, 1);
+  assert.equal(session.status, 'listening');
+  assert.equal(session.targetLanguage, 'de');
+  assert.equal(world.badges.get(TAB.id), 'CC');
+
+  // Subtitles that wake the worker still reach the page and the transcript.
+  world.tabMessages.length = 0;
+  await world.offscreen.emit({
+    type: 'SUBTITLE',
+    tabId: TAB.id,
+    text: 'Hallo',
+    original: 'Hello',
+    start: 0,
+    end: 1
+  });
+  assert.deepEqual(
+    world.tabMessages.map(({ tabId, message }) => [tabId, message.type, message.text]),
+    [[TAB.id, 'SUBTITLE', 'Hallo']]
+  );
+  await world.settle();
+  const { transcript } = await world.deliver({
+    target: 'background',
+    type: 'GET_TRANSCRIPT',
+    tabId: TAB.id
+  });
+  assert.deepEqual(transcript.map((cue) => cue.text), ['Hallo']);
+});
+
+function emitCues(world, texts) {
+  return Promise.all(
+    texts.map((text, i) =>
+      world.offscreen.emit({
+        type: 'SUBTITLE',
+        tabId: TAB.id,
+        text,
+        original: text,
+        start: i,
+        end: i + 1
+      })
+    )
+  );
+}
+
+function getTranscript(world) {
+  return world.deliver({ target: 'background', type: 'GET_TRANSCRIPT', tabId: TAB.id });
+}
+
+test('a long transcript is stored in chunks and read back in order', async () => {
+  const world = createChromeWorld({ tabs: [TAB] });
+  await world.startWorker();
+  await startCaptions(world);
+  const texts = Array.from({ length: 120 }, (_, i) => `Line ${i}`);
+  await emitCues(world, texts);
+  await world.settle();
+
+  const keys = Object.keys(world.storage.session.data).filter((k) => k.startsWith('transcript:'));
+  assert.deepEqual(keys.sort(), ['transcript:7:0', 'transcript:7:1', 'transcript:7:2']);
+  assert.equal(world.storage.session.data['transcript:7:2'].length, 20);
+
+  await world.startWorker();
+  const { transcript, unsaved } = await getTranscript(world);
+  assert.deepEqual(transcript.map((cue) => cue.text), texts);
+  assert.equal(unsaved, false);
+
+  // A new session starts over, and its chunks replace the old ones.
+  await world.deliver({ target: 'background', type: 'STOP', tabId: TAB.id });
+  await startCaptions(world);
+  await world.settle();
+  assert.deepEqual(world.storage.session.data['transcript:7:0'], []);
+  assert.ok(!('transcript:7:1' in world.storage.session.data));
+});
+
+test('a transcript that no longer fits in storage is reported, not dropped', async () => {
+  const world = createChromeWorld({ tabs: [TAB] });
+  await world.startWorker();
+  await startCaptions(world);
+  const { set } = world.storage.session;
+  world.storage.session.set = async (items) => {
+    if (Object.keys(items).some((k) => k.startsWith('transcript:'))) {
+      throw new Error('Session storage quota bytes exceeded.');
+    }
+    return set(items);
+  };
+  world.runtimeMessages.length = 0;
+  await emitCues(world, ['Hallo', 'Tschüss']);
+  await world.settle();
+
+  const { transcript, unsaved } = await getTranscript(world);
+  assert.deepEqual(transcript.map((cue) => cue.text), ['Hallo', 'Tschüss']);
+  assert.equal(unsaved, true);
+  assert.equal(
+    world.runtimeMessages.filter((m) => m.type === 'TRANSCRIPT_UNSAVED').length,
+    1,
+    'said once'
+  );
+});
+
+test('the offscreen status wins over what was stored', async () => {
+  const world = createChromeWorld({ tabs: [TAB] });
+  await world.startWorker();
+  await startCaptions(world);
+  // The model finished loading while the worker was asleep and missed it.
+  world.offscreen.captures.set(TAB.id, { status: 'error', detail: 'Out of memory' });
+
+  await world.startWorker();
+  const { session } = await getStatus(world);
+  assert.equal(session.status, 'error');
+  assert.equal(session.detail, 'Out of memory');
+});
+
+test('a capture that ended while the worker was down is dropped and its badge cleared', async () => {
+  const world = createChromeWorld({ tabs: [TAB] });
+  await world.startWorker();
+  await startCaptions(world);
+  world.offscreen.captures.clear();
+
+  await world.startWorker();
+  const { session, activeSessions } = await getStatus(world);
+  assert.equal(session, null);
+  assert.equal(activeSessions, 0);
+  assert.equal(world.badges.get(TAB.id), '');
+});
+
+test('without an offscreen document no session is live', async () => {
+  const world = createChromeWorld({ tabs: [TAB] });
+  await world.startWorker();
+  await startCaptions(world);
+  world.offscreen.exists = false;
+  world.offscreen.captures.clear();
+
+  await world.startWorker();
+  assert.equal((await getStatus(world)).session, null);
+  assert.deepEqual(world.storage.session.data.sessions, {});
+});
+
+test('badges are put back in line with the sessions after a restart', async () => {
+  const other = { id: 8, url: 'https://video.example/watch?v=2' };
+  const world = createChromeWorld({ tabs: [TAB, other] });
+  await world.startWorker();
+  await startCaptions(world);
+  await world.deliver({ target: 'background', type: 'AUTO_START_PENDING' }, { tab: other });
+  assert.equal(world.badges.get(other.id), '▶');
+
+  world.badges.clear();
+  await world.startWorker();
+  await getStatus(world);
+  assert.equal(world.badges.get(TAB.id), 'CC');
+  assert.equal(world.badges.get(other.id), '▶');
+});
+
+test('stopping after a restart stops the capture', async () => {
+  const world = createChromeWorld({ tabs: [TAB] });
+  await world.startWorker();
+  await startCaptions(world);
+
+  await world.startWorker();
+  await world.deliver({ target: 'background', type: 'STOP', tabId: TAB.id });
+  assert.equal(world.offscreen.captures.size, 0);
+  assert.equal(world.badges.get(TAB.id), '');
+  assert.equal((await getStatus(world)).session, null);
+});
+
+test('the toggle shortcut after a restart turns captions off', async () => {
+  const world = createChromeWorld({ tabs: [TAB] });
+  await world.startWorker();
+  await startCaptions(world);
+
+  await world.startWorker();
+  await world.command('toggle-captions', TAB);
+  assert.equal(world.offscreen.captures.size, 0);
+  assert.equal(world.badges.get(TAB.id), '');
+});
+
+test('the toggle shortcut captions the tab it was pressed on', async () => {
+  const other = { id: 9, url: 'https://video.example/watch?v=2', active: false };
+  const world = createChromeWorld({ tabs: [TAB, other] });
+  await world.startWorker();
+
+  await world.command('toggle-captions', other);
+  const start = world.offscreen.received.find((m) => m.type === 'OFFSCREEN_START');
+  assert.equal(start.tabId, other.id);
+  assert.equal(start.streamId, `stream-${other.id}`);
+});
+
+test('the toggle shortcut uses the last-used microphone', async () => {
+  const world = createChromeWorld({ tabs: [TAB] });
+  await world.storage.sync.set({ captureSource: 'mic', micDeviceId: 'usb-1' });
+  await world.startWorker();
+
+  await world.command('toggle-captions', TAB);
+  const start = world.offscreen.received.find((m) => m.type === 'OFFSCREEN_START');
+  assert.equal(start.tabId, MIC_SESSION_ID);
+  assert.equal(start.source, 'mic');
+  assert.equal(start.micDeviceId, 'usb-1');
+
+  // Pressed again, it stops that session.
+  await world.command('toggle-captions', TAB);
+  assert.equal(world.offscreen.captures.size, 0);
+});
+
+test('provider health from the offscreen document reaches the popup', async () => {
+  const world = createChromeWorld({ tabs: [TAB] });
+  await world.startWorker();
+  await startCaptions(world);
+  const providers = [
+    { id: 'google', label: 'Google', status: 'paused', failures: 3, error: 'HTTP 429', retryAt: 1 }
+  ];
+  await world.offscreen.emit({ type: 'PROVIDER_HEALTH', providers });
+  assert.deepEqual(world.runtimeMessages.at(-1), {
+    target: 'popup',
+    type: 'PROVIDER_HEALTH',
+    providers
+  });
+
+  // Still there for a popup opened after a worker restart.
+  await world.startWorker();
+  assert.deepEqual((await getStatus(world)).providerHealth, providers);
+});
+
+test('microphone captions start from any page and go to a caption window', async () => {
+  const world = createChromeWorld({ tabs: [{ id: 3, url: 'chrome://newtab/', active: true }] });
+  await world.startWorker();
+  const response = await world.deliver({
+    target: 'background',
+    type: 'START',
+    source: 'mic',
+    micDeviceId: 'usb-1',
+    targetLanguage: 'de',
+    sourceLanguage: 'auto',
+    model: 'base'
+  });
+  assert.deepEqual(response, { ok: true });
+
+  const start = world.offscreen.received.find((m) => m.type === 'OFFSCREEN_START');
+  assert.equal(start.tabId, MIC_SESSION_ID);
+  assert.equal(start.source, 'mic');
+  assert.equal(start.micDeviceId, 'usb-1');
+  assert.equal(start.streamId, null);
+  assert.equal(world.badges.get(undefined), 'MIC', 'shown on every tab');
+  assert.match(world.windows[0].url, /captions\/captions\.html\?tabId=-1$/);
+
+  world.runtimeMessages.length = 0;
+  await world.offscreen.emit({
+    type: 'SUBTITLE',
+    tabId: MIC_SESSION_ID,
+    text: 'Hallo zusammen.',
+    original: 'Hello everyone.',
+    start: 0,
+    end: 1,
+    mediaStart: null,
+    mediaEnd: null
+  });
+  await world.settle();
+  assert.deepEqual(world.tabMessages, [], 'no page to overlay');
+  assert.ok(
+    world.runtimeMessages.some((m) => m.target === 'captions' && m.text === 'Hallo zusammen.')
+  );
+  const { transcript } = await world.deliver({
+    target: 'background',
+    type: 'GET_TRANSCRIPT',
+    tabId: MIC_SESSION_ID
+  });
+  assert.equal(transcript[0].original, 'Hello everyone.');
+
+  await world.deliver({ target: 'background', type: 'STOP', tabId: MIC_SESSION_ID });
+  assert.equal(world.badges.get(undefined), '');
+});
+
+test('a file job goes to the offscreen document and its progress back to the page', async () => {
+  const world = createChromeWorld({ tabs: [TAB] });
+  await world.startWorker();
+  const response = await world.deliver({
+    target: 'background',
+    type: 'TRANSCRIBE_FILE',
+    jobId: 'job-1',
+    url: 'blob:chrome-extension://test/1',
+    targetLanguage: 'de',
+    sourceLanguage: 'auto',
+    model: 'base'
+  });
+  assert.deepEqual(response, { ok: true });
+
+  const start = world.offscreen.received.find((m) => m.type === 'OFFSCREEN_FILE_START');
+  assert.equal(start.url, 'blob:chrome-extension://test/1');
+  assert.equal(start.model.key, 'base');
+  assert.equal((await getStatus(world)).activeSessions, 0, 'not a captioning session');
+
+  const cues = [{ start: 2, end: 3, text: 'Hallo', original: 'Hello', speaker: null }];
+  await world.offscreen.emit({ type: 'FILE_CUES', jobId: 'job-1', cues, progress: 40 });
+  assert.deepEqual(world.runtimeMessages.at(-1), {
+    target: 'transcribe',
+    type: 'FILE_CUES',
+    jobId: 'job-1',
+    cues,
+    progress: 40
+  });
+
+  await world.deliver({ target: 'background', type: 'CANCEL_FILE', jobId: 'job-1' });
+  assert.deepEqual(world.offscreen.received.at(-1), {
+    target: 'offscreen',
+    type: 'OFFSCREEN_FILE_CANCEL',
+    jobId: 'job-1'
+  });
+});
@@ -0,0 +1,39 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  MIC_SESSION_ID,
+  normalizeSource,
+  usesTab,
+  usesMic,
+  sessionIdFor,
+  micConstraints
+} from '../shared/captureSources.js';
+
+test('unknown or missing sources mean the tab', () => {
+  assert.equal(normalizeSource(undefined), 'tab');
+  assert.equal(normalizeSource('screen'), 'tab');
+  assert.equal(normalizeSource('tab+mic'), 'tab+mic');
+});
+
+test('each source hears the tab, the microphone or both', () => {
+  assert.deepEqual(
+    ['tab', 'mic', 'tab+mic'].map((s) => [usesTab(s), usesMic(s)]),
+    [
+      [true, false],
+      [false, true],
+      [true, true]
+    ]
+  );
+});
+
+test('only a microphone-only session runs without the tab', () => {
+  assert.equal(sessionIdFor('tab', 7), 7);
+  assert.equal(sessionIdFor('tab+mic', 7), 7);
+  assert.equal(sessionIdFor('mic', 7), MIC_SESSION_ID);
+});
+
+test('a chosen microphone is required exactly; the default is left to the browser', () => {
+  assert.deepEqual(micConstraints('usb-1').deviceId, { exact: 'usb-1' });
+  assert.equal('deviceId' in micConstraints(), false);
+  assert.equal(micConstraints().echoCancellation, true);
+});
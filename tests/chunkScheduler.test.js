@@ -0,0 +1,140 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  createChunkBuffer,
+  appendSamples,
+  bufferStart,
+  requestCut,
+  dropBefore,
+  tailIsQuiet,
+  chunkReady,
+  partialReady,
+  nextChunk,
+  flushChunk
+} from '../offscreen/chunkScheduler.js';
+
+// 100 samples a second keeps the arithmetic readable.
+const RATE = 100;
+
+function tone(seconds, level = 0.1) {
+  return new Float32Array(Math.round(seconds * RATE)).fill(level);
+}
+
+function quiet(seconds) {
+  return new Float32Array(Math.round(seconds * RATE));
+}
+
+test('a chunk is ready at a pause once it is long enough', () => {
+  const buf = createChunkBuffer(RATE);
+  appendSamples(buf, tone(2));
+  appendSamples(buf, quiet(0.5));
+  assert.ok(tailIsQuiet(buf));
+  assert.equal(chunkReady(buf), false, 'too short');
+
+  appendSamples(buf, tone(1));
+  assert.equal(chunkReady(buf), false, 'mid-word');
+  appendSamples(buf, quiet(0.5));
+  assert.equal(chunkReady(buf), true);
+  assert.equal(chunkReady(buf, true), false, 'with VAD only a requested cut counts');
+});
+
+test('continuous speech is cut at the maximum length', () => {
+  const buf = createChunkBuffer(RATE);
+  appendSamples(buf, tone(7.9));
+  assert.equal(chunkReady(buf), false);
+  appendSamples(buf, tone(0.1));
+  assert.equal(chunkReady(buf), true);
+
+  const chunk = nextChunk(buf);
+  assert.equal(chunk.final, true);
+  assert.equal(chunk.samples.length, 800);
+  assert.deepEqual(chunk.timing, { start: 0, end: 8 });
+  assert.equal(buf.buffered, 0);
+});
+
+test('a requested cut takes the audio before it and leaves the rest', () => {
+  const buf = createChunkBuffer(RATE);
+  appendSamples(buf, tone(2));
+  requestCut(buf, 150);
+  requestCut(buf, 120); // an earlier cut never moves it back
+  const chunk = nextChunk(buf, true);
+  assert.equal(chunk.samples.length, 150);
+  assert.deepEqual(chunk.timing, { start: 0, end: 1.5 });
+  assert.equal(buf.cutAt, null);
+  assert.equal(bufferStart(buf), 150);
+  assert.equal(buf.buffered, 50);
+});
+
+test('the overlap is kept for the next chunk but timed with the previous one', () => {
+  const buf = createChunkBuffer(RATE, { overlap: 0.5 });
+  appendSamples(buf, tone(8));
+  nextChunk(buf);
+  assert.equal(buf.buffered, 50);
+
+  appendSamples(buf, tone(3));
+  appendSamples(buf, quiet(0.5));
+  const chunk = nextChunk(buf);
+  assert.equal(chunk.samples.length, 400, 'starts with the overlap');
+  assert.deepEqual(chunk.timing, { start: 8, end: 11.5 });
+});
+
+test('overlap is capped, and never more than half the chunk', () => {
+  assert.equal(createChunkBuffer(RATE, { overlap: 5 }).overlap, 1);
+  assert.equal(createChunkBuffer(RATE, { overlap: -1 }).overlap, 0);
+
+  const buf = createChunkBuffer(RATE, { overlap: 1 });
+  appendSamples(buf, tone(1));
+  requestCut(buf, 100);
+  nextChunk(buf, true);
+  assert.equal(buf.buffered, 50);
+});
+
+test('a pause or seek flushes the buffer without overlap, or drops a scrap', () => {
+  const buf = createChunkBuffer(RATE, { overlap: 1 });
+  appendSamples(buf, tone(2));
+  assert.equal(flushChunk(buf), 'cut');
+  const chunk = nextChunk(buf);
+  assert.equal(chunk.seam, true);
+  assert.equal(chunk.samples.length, 200);
+  assert.equal(buf.buffered, 0, 'nothing carried across the seam');
+
+  appendSamples(buf, tone(0.3));
+  assert.equal(flushChunk(buf), 'dropped');
+  assert.equal(buf.buffered, 0);
+  assert.equal(buf.seam, false);
+  assert.equal(flushChunk(buf), 'empty');
+});
+
+test('audio judged silent is dropped from the front', () => {
+  const buf = createChunkBuffer(RATE, { streaming: true });
+  appendSamples(buf, tone(3));
+  assert.equal(nextChunk(buf).final, false);
+  assert.equal(buf.decodedAt, 300);
+  dropBefore(buf, 250);
+  assert.equal(bufferStart(buf), 250);
+  assert.equal(buf.decodedAt, 50);
+  dropBefore(buf, 100); // already gone
+  assert.equal(bufferStart(buf), 250);
+});
+
+test('streaming decodes again after each step of new audio, leaving the buffer', () => {
+  const buf = createChunkBuffer(RATE, { streaming: true });
+  appendSamples(buf, tone(0.9));
+  assert.equal(partialReady(buf), false);
+  appendSamples(buf, tone(0.1));
+  assert.equal(partialReady(buf), true);
+
+  const chunk = nextChunk(buf);
+  assert.equal(chunk.final, false);
+  assert.equal(buf.buffered, 100);
+  assert.equal(partialReady(buf), false);
+  assert.equal(partialReady(createChunkBuffer(RATE)), false);
+});
+
+test('the oldest audio goes when the buffer outgrows its cap', () => {
+  const buf = createChunkBuffer(RATE, { bufferCapSeconds: 2 });
+  for (let i = 0; i < 5; i++) appendSamples(buf, tone(1));
+  assert.equal(buf.buffered, 200);
+  assert.equal(buf.captured, 500);
+  assert.equal(bufferStart(buf), 300);
+});
@@ -0,0 +1,61 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { segmentCues, MIN_CUE_SECONDS } from '../offscreen/fileCues.js';
+
+const CHUNK = { start: 60, end: 72 };
+
+test('segments become cues timed from the start of the file', () => {
+  const output = {
+    text: ' Hello everyone. Welcome back.',
+    chunks: [
+      { text: ' Hello everyone.', timestamp: [0.5, 2.1] },
+      { text: ' Welcome back.', timestamp: [3, 4.6] }
+    ]
+  };
+  assert.deepEqual(segmentCues(output, CHUNK), [
+    { start: 60.5, end: 62.1, original: 'Hello everyone.' },
+    { start: 63, end: 64.6, original: 'Welcome back.' }
+  ]);
+});
+
+test('an open-ended last segment runs to the end of the chunk', () => {
+  const output = { chunks: [{ text: 'It is sunny', timestamp: [10, null] }] };
+  assert.deepEqual(segmentCues(output, CHUNK), [{ start: 70, end: 72, original: 'It is sunny' }]);
+});
+
+test('times stay inside the chunk and after the previous cue', () => {
+  const output = {
+    chunks: [
+      { text: 'Hello everyone.', timestamp: [0, 1] },
+      { text: 'Welcome back.', timestamp: [0.8, 14] }
+    ]
+  };
+  const [first, second] = segmentCues(output, CHUNK, 60.4);
+  assert.equal(first.start, 60.4, 'not before the previous cue');
+  assert.equal(second.start, 61, 'not before the cue ahead of it');
+  assert.equal(second.end, 72, 'not past the chunk');
+});
+
+test('very short segments last long enough to read', () => {
+  const output = { chunks: [{ text: 'Hi.', timestamp: [1, 1] }] };
+  const [cue] = segmentCues(output, CHUNK);
+  assert.equal(cue.end - cue.start, MIN_CUE_SECONDS);
+});
+
+test('noise and hallucinated segments are dropped', () => {
+  const output = {
+    chunks: [
+      { text: ' ♪', timestamp: [0, 4] },
+      { text: ' Thanks for watching!', timestamp: [4, 6] },
+      { text: ' [Music] It is sunny.', timestamp: [6, 8] }
+    ]
+  };
+  assert.deepEqual(segmentCues(output, CHUNK), [{ start: 66, end: 68, original: 'It is sunny.' }]);
+});
+
+test('output without segments is one cue over the chunk', () => {
+  assert.deepEqual(segmentCues({ text: ' Bonjour tout le monde.' }, CHUNK), [
+    { start: 60, end: 72, original: 'Bonjour tout le monde.' }
+  ]);
+  assert.deepEqual(segmentCues({ text: '' }, CHUNK), []);
+});
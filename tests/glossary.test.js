@@ -0,0 +1,77 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  glossaryEntriesFor,
+  maskTerms,
+  unmaskTerms,
+  parseReplacePattern,
+  applyReplacements,
+  parseGlossary,
+  formatGlossary
+} from '../offscreen/glossary.js';
+
+test('glossaryEntriesFor picks the glossaries for a language pair', () => {
+  const glossaries = [
+    { id: 'a', source: 'ja', target: 'en', entries: [{ type: 'keep', from: 'NHK' }] },
+    { id: 'b', source: '*', target: 'zh', entries: [{ type: 'keep', from: 'Any' }] },
+    { id: 'c', source: 'es', target: 'en', entries: [{ type: 'keep', from: 'Nope' }] },
+    { id: 'd', source: '*', target: '*', entries: [{ type: 'bogus', from: 'x' }, { from: '' }] }
+  ];
+  const terms = (source, target) =>
+    glossaryEntriesFor(glossaries, source, target).map((e) => e.from);
+  assert.deepEqual(terms('ja', 'en'), ['NHK']);
+  assert.deepEqual(terms('auto', 'zh-CN'), ['Any']);
+  assert.deepEqual(glossaryEntriesFor(undefined, 'ja', 'en'), []);
+});
+
+test('maskTerms matches whole words case-insensitively, longest first', () => {
+  const entries = [
+    { type: 'keep', from: 'New York' },
+    { type: 'map', from: 'New York Times', to: 'NYT' },
+    { type: 'keep', from: 'Rust' }
+  ];
+  const masked = maskTerms('the new york times on Rusty code in New York', entries);
+  assert.equal(masked.text, 'the ⟦0⟧ on Rusty code in ⟦1⟧');
+  assert.deepEqual(masked.slots, ['NYT', 'New York']);
+  assert.equal(unmaskTerms('le ⟦ 0 ⟧ à ⟦1⟧, ⟦7⟧', masked.slots), 'le NYT à New York, ⟦7⟧');
+});
+
+test('terms in unspaced scripts match inside running text', () => {
+  const masked = maskTerms('今日は東京タワーに行きます', [{ type: 'keep', from: '東京タワー' }]);
+  assert.equal(masked.text, '今日は⟦0⟧に行きます');
+});
+
+test('a term never matches inside another placeholder', () => {
+  const masked = maskTerms('Agent 0 meets Bond', [
+    { type: 'keep', from: 'Bond' },
+    { type: 'keep', from: '0' }
+  ]);
+  assert.equal(masked.text, 'Agent ⟦0⟧ meets ⟦1⟧');
+  assert.equal(unmaskTerms(masked.text, masked.slots), 'Agent 0 meets Bond');
+});
+
+test('replacements accept plain patterns and /pattern/flags, skipping invalid ones', () => {
+  assert.equal(parseReplacePattern('/a/i').flags, 'gi');
+  assert.equal(parseReplacePattern('('), null);
+  const entries = [
+    { type: 'replace', from: 'colou?r', to: 'hue' },
+    { type: 'replace', from: '/MISTER (\\w+)/i', to: 'Mr. $1' },
+    { type: 'replace', from: '(', to: 'x' },
+    { type: 'keep', from: 'ignored' }
+  ];
+  assert.equal(applyReplacements('Color colour, mister Smith', entries), 'Color hue, Mr. Smith');
+});
+
+test('CSV and TSV round-trip, with quoting and an optional header', () => {
+  const entries = [
+    { type: 'keep', from: 'Acme, Inc.', to: '' },
+    { type: 'map', from: 'say "hi"', to: 'dis "salut"' },
+    { type: 'replace', from: '/foo/i', to: 'bar' }
+  ];
+  assert.deepEqual(parseGlossary(formatGlossary(entries)), entries);
+  assert.deepEqual(parseGlossary(formatGlossary(entries, '\t')), entries);
+  assert.deepEqual(parseGlossary('keep,NHK\r\nMAP,gato,cat\nunknown,x,y\nmap,,z\n'), [
+    { type: 'keep', from: 'NHK', to: '' },
+    { type: 'map', from: 'gato', to: 'cat' }
+  ]);
+});
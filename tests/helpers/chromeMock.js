@@ -0,0 +1,207 @@
+/**
+ * A fake `chrome` for running background.js under node:test.
+ *
+ * A "world" is the browser: storage, tabs, badges and a fake offscreen
+ * document, all of which outlive the service worker. startWorker() loads a
+ * fresh copy of background.js against it (new module instance, new
+ * listeners, empty module state), so calling it again simulates Chrome
+ * shutting the worker down and waking it up.
+ *
+ * The fake offscreen document keeps a list of captures and answers
+ * OFFSCREEN_START / OFFSCREEN_STOP / OFFSCREEN_LIST like the real one;
+ * `world.offscreen.emit()` sends a message from it to the worker.
+ */
+
+// Each worker start imports background.js under a new URL, so node
+// evaluates it afresh.
+let generation = 0;
+
+function createArea() {
+  let data = {};
+  return {
+    get data() {
+      return data;
+    },
+    async get(keys) {
+      const copy = structuredClone(data);
+      if (keys == null) return copy;
+      if (typeof keys === 'string') keys = [keys];
+      if (Array.isArray(keys)) {
+        return Object.fromEntries(keys.filter((k) => k in copy).map((k) => [k, copy[k]]));
+      }
+      return Object.fromEntries(
+        Object.entries(keys).map(([k, fallback]) => [k, k in copy ? copy[k] : fallback])
+      );
+    },
+    async set(items) {
+      data = { ...data, ...structuredClone(items) };
+    },
+    async remove(keys) {
+      for (const key of [].concat(keys)) delete data[key];
+    }
+  };
+}
+
+function createEvent() {
+  const listeners = [];
+  return {
+    listeners,
+    addListener: (listener) => listeners.push(listener)
+  };
+}
+
+/** Deliver `message` to onMessage listeners the way Chrome does. */
+function dispatch(listeners, message, sender) {
+  return new Promise((resolve) => {
+    let pending = false;
+    for (const listener of listeners) {
+      if (listener(message, sender, resolve) === true) pending = true;
+    }
+    if (!pending) resolve(undefined);
+  });
+}
+
+function createOffscreen(world) {
+  const captures = new Map(); // tabId -> { status, detail }
+  const received = []; // every message sent to it
+  return {
+    exists: false,
+    captures,
+    received,
+    handle(message) {
+      received.push(message);
+      switch (message.type) {
+        case 'OFFSCREEN_START':
+          captures.set(message.tabId, { status: 'starting', detail: null });
+          return { ok: true };
+        case 'OFFSCREEN_STOP':
+          captures.delete(message.tabId);
+          return { ok: true };
+        case 'OFFSCREEN_LIST':
+          return {
+            sessions: [...captures].map(([tabId, { status, detail }]) => ({ tabId, status, detail }))
+          };
+        default:
+          return undefined;
+      }
+    },
+    /** Send a message from the offscreen document to the worker. */
+    emit(message) {
+      if (message.type === 'STATUS' && captures.has(message.tabId)) {
+        captures.set(message.tabId, { status: message.status, detail: message.detail ?? null });
+      }
+      return world.deliver({ target: 'background', ...message }, {});
+    }
+  };
+}
+
+export function createChromeWorld({ tabs = [{ id: 1, url: 'https://video.example/watch' }] } = {}) {
+  let worker = null;
+
+  const world = {
+    tabs: new Map(tabs.map((tab) => [tab.id, { active: false, ...tab }])),
+    storage: { sync: createArea(), local: createArea(), session: createArea() },
+    badges: new Map(), // tabId -> text; the default badge under undefined
+    windows: [], // { url, type } opened with chrome.windows.create
+    tabMessages: [], // { tabId, message } sent to content scripts
+    runtimeMessages: [], // messages to the popup and side panel
+    offscreen: null,
+
+    /** Start (or restart) the service worker. */
+    async startWorker() {
+      worker = buildChrome(world);
+      globalThis.chrome = worker;
+      generation++;
+      await import(`../../background.js?worker=${generation}`);
+      return worker;
+    },
+
+    /** Send a message to the worker, as the popup or a content script would. */
+    deliver(message, sender = {}) {
+      return dispatch(worker.runtime.onMessage.listeners, message, sender);
+    },
+
+    /** Fire a chrome.commands shortcut and wait for it to be handled. */
+    async command(name, tab) {
+      await Promise.all(worker.commands.onCommand.listeners.map((l) => l(name, tab)));
+    },
+
+    /** Wait for pending promise chains in the worker to settle. */
+    async settle() {
+      for (let i = 0; i < 20; i++) await new Promise((r) => setTimeout(r, 0));
+    }
+  };
+  world.offscreen = createOffscreen(world);
+  return world;
+}
+
+function buildChrome(world) {
+  const noReceiver = () => Promise.reject(new Error('Receiving end does not exist.'));
+  return {
+    runtime: {
+      id: 'test-extension',
+      onMessage: createEvent(),
+      getURL: (path) => `chrome-extension://test-extension/${path}`,
+      async getContexts({ contextTypes }) {
+        return contextTypes.includes('OFFSCREEN_DOCUMENT') && world.offscreen.exists
+          ? [{ contextType: 'OFFSCREEN_DOCUMENT' }]
+          : [];
+      },
+      sendMessage(message) {
+        if (message.target === 'offscreen') {
+          if (!world.offscreen.exists) return noReceiver();
+          return Promise.resolve(world.offscreen.handle(message));
+        }
+        world.runtimeMessages.push(message);
+        return noReceiver(); // popup and side panel closed
+      }
+    },
+    windows: {
+      async create(options) {
+        world.windows.push(options);
+      },
+      async update() {}
+    },
+    offscreen: {
+      async createDocument() {
+        world.offscreen.exists = true;
+      }
+    },
+    storage: {
+      ...world.storage,
+      onChanged: createEvent()
+    },
+    tabs: {
+      onRemoved: createEvent(),
+      async query() {
+        return [...world.tabs.values()].filter((tab) => tab.active);
+      },
+      async get(tabId) {
+        const tab = world.tabs.get(tabId);
+        if (!tab) throw new Error(`No tab with id: ${tabId}.`);
+        return tab;
+      },
+      sendMessage(tabId, message) {
+        world.tabMessages.push({ tabId, message });
+        return Promise.resolve();
+      }
+    },
+    tabCapture: {
+      async getMediaStreamId({ targetTabId }) {
+        return `stream-${targetTabId}`;
+      }
+    },
+    action: {
+      async setBadgeText({ tabId, text }) {
+        world.badges.set(tabId, text);
+      },
+      async setBadgeBackgroundColor() {}
+    },
+    commands: {
+      onCommand: createEvent(),
+      async getAll() {
+        return [{ name: 'toggle-captions', shortcut: 'Alt+Shift+C' }];
+      }
+    }
+  };
+}
@@ -0,0 +1,113 @@
+/**
+ * Stand-in for '@huggingface/transformers' in pipeline tests (swapped in by
+ * fakeTransformersHooks.js), so offscreen.js runs offline with no weights.
+ *
+ *  - Whisper: transcribes syntheticAudio.js sounds with hearWords() (and
+ *    hearSegments() for `return_timestamps`), and answers language
+ *    detection with `fakeModels.detect(audio)`.
+ *  - Opus-MT: "translates" by tagging text with the target language,
+ *    "[de] Hello everyone.", after `fakeModels.beforeTranslating(text)`.
+ *  - Silero VAD: calls a frame speech when it is loud enough.
+ *  - The speaker model is not available.
+ *
+ * Calls are recorded in `fakeModels` for tests to inspect.
+ */
+import { hearWords, hearSegments } from './syntheticAudio.js';
+
+const LANGUAGES = ['en', 'de', 'fr', 'es'];
+
+export const fakeModels = {
+  detect: () => 'en',
+  transcriptions: [], // { text, language }
+  detections: 0,
+  busy: 0, // Whisper calls in progress
+  maxBusy: 0,
+  // Awaited before each translation; tests hold one up with a promise.
+  beforeTranslating: async () => {},
+  reset() {
+    this.detect = () => 'en';
+    this.beforeTranslating = async () => {};
+    this.transcriptions = [];
+    this.detections = 0;
+    this.busy = 0;
+    this.maxBusy = 0;
+  }
+};
+
+export const env = { allowLocalModels: true, backends: { onnx: { wasm: {} } } };
+
+export class Tensor {
+  constructor(type, data, dims) {
+    this.type = type;
+    this.data = data;
+    this.dims = dims;
+  }
+}
+
+/** Let other work interleave, as a real model run would. */
+function yieldTurn() {
+  return new Promise((resolve) => setImmediate(resolve));
+}
+
+function fakeWhisper() {
+  const transcribe = async (audio, { language, return_timestamps } = {}) => {
+    fakeModels.maxBusy = Math.max(fakeModels.maxBusy, ++fakeModels.busy);
+    try {
+      await yieldTurn();
+      const text = hearWords(audio);
+      fakeModels.transcriptions.push({ text, language });
+      return return_timestamps ? { text, chunks: hearSegments(audio) } : { text };
+    } finally {
+      fakeModels.busy--;
+    }
+  };
+  const langToId = Object.fromEntries(LANGUAGES.map((code, id) => [`<|${code}|>`, id]));
+  transcribe.processor = async (audio) => ({ input_features: new Tensor('float32', audio, []) });
+  transcribe.model = async ({ input_features }) => {
+    fakeModels.detections++;
+    await yieldTurn();
+    const logits = new Float32Array(LANGUAGES.length);
+    logits[LANGUAGES.indexOf(fakeModels.detect(input_features.data))] = 1;
+    return { logits: new Tensor('float32', logits, [1, 1, LANGUAGES.length]) };
+  };
+  transcribe.model.generation_config = { lang_to_id: langToId, decoder_start_token_id: 100 };
+  return transcribe;
+}
+
+function fakeOpusMt(id) {
+  const target = id.split('-').pop();
+  return async (text) => {
+    await fakeModels.beforeTranslating(text);
+    return [{ translation_text: `[${target}] ${text}` }];
+  };
+}
+
+export async function pipeline(task, id) {
+  if (task === 'automatic-speech-recognition') return fakeWhisper();
+  if (task === 'translation') return fakeOpusMt(id);
+  throw new Error(`No fake for ${task}`);
+}
+
+function fakeSilero() {
+  return async ({ input, state }) => {
+    let sum = 0;
+    for (const sample of input.data) sum += sample * sample;
+    const speech = Math.sqrt(sum / input.data.length) >= 0.01;
+    return { output: new Tensor('float32', [speech ? 0.9 : 0.05], [1, 1]), stateN: state };
+  };
+}
+
+export const AutoModel = {
+  async from_pretrained(id) {
+    if (id === 'onnx-community/silero-vad') return fakeSilero();
+    throw new Error(`No fake for ${id}`);
+  }
+};
+
+const unavailable = {
+  async from_pretrained(id) {
+    throw new Error(`No fake for ${id}`);
+  }
+};
+export const AutoProcessor = unavailable;
+export const WavLMForXVector = unavailable;
@@ -0,0 +1,10 @@
+/**
+ * Module resolution hooks (node:module register()) that point
+ * '@huggingface/transformers' at fakeTransformers.js.
+ */
+const FAKE = new URL('./fakeTransformers.js', import.meta.url).href;
+
+export async function resolve(specifier, context, nextResolve) {
+  if (specifier === '@huggingface/transformers') return { url: FAKE, shortCircuit: true };
+  return nextResolve(specifier, context);
+}
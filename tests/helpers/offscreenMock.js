@@ -0,0 +1,253 @@
+/**
+ * Runs offscreen.js under node:test with fakes for everything a browser
+ * would provide: `chrome.runtime`, tab capture (getUserMedia), Web Audio,
+ * and transformers.js (fakeTransformers.js, via a resolve hook).
+ *
+ * A world loads a fresh copy of offscreen.js. world.play() pushes PCM into
+ * a tab's recorder worklet in real-time-sized batches, letting the
+ * pipeline run between them; world.messages collects everything the
+ * document sends to the service worker (STATUS, SUBTITLE, ...).
+ *
+ * The fake AudioContext runs at 16 kHz, Whisper's rate, so nothing needs
+ * resampling. Streams record what they were opened with and whether they
+ * were stopped, and world.connections what each was connected to.
+ *
+ * world.transcribeFile() runs a file job on PCM served from a fake blob:
+ * URL; the fake OfflineAudioContext "decodes" a file by reading its bytes
+ * back as 16 kHz samples.
+ */
+import { register } from 'node:module';
+import { fakeModels } from './fakeTransformers.js';
+import { setPersistentCache } from '../../offscreen/translator.js';
+import { SAMPLE_RATE } from './syntheticAudio.js';
+
+register('./fakeTransformersHooks.js', import.meta.url);
+
+const BATCH_SIZE = 2048; // what recorder-worklet.js posts
+
+let generation = 0;
+
+function createEvent() {
+  const listeners = [];
+  return { listeners, addListener: (listener) => listeners.push(listener) };
+}
+
+export async function createOffscreenWorld() {
+  const world = {
+    messages: [], // sent to the service worker
+    recorders: new Map(), // tabId -> fake AudioWorkletNode
+    connections: [], // { stream, to: 'speakers' | 'recorder' }
+    streams: [], // every stream opened, with whether its tracks were stopped
+    // Set to a DOMException name to have opening the microphone fail.
+    micError: null,
+    files: new Map(), // blob: URL -> ArrayBuffer
+    models: fakeModels,
+
+    subtitles(tabId) {
+      return world.messages.filter((m) => m.type === 'SUBTITLE' && m.tabId === tabId);
+    },
+
+    statuses(tabId) {
+      return world.messages.filter((m) => m.type === 'STATUS' && m.tabId === tabId);
+    },
+
+    /** Send a message to the document, as the service worker would. */
+    deliver(message) {
+      return new Promise((resolve) => {
+        let pending = false;
+        for (const listener of onMessage.listeners) {
+          const result = listener({ target: 'offscreen', ...message }, {}, resolve);
+          if (result === true) pending = true;
+        }
+        if (!pending) resolve(undefined);
+      });
+    },
+
+    /** OFFSCREEN_START for `tabId`, resolved once the session is listening. */
+    async start(tabId, options = {}) {
+      await world.deliver({
+        type: 'OFFSCREEN_START',
+        tabId,
+        streamId: `stream-${tabId}`,
+        model: { key: 'fake', id: 'fake/whisper', dtype: 'q8' },
+        targetLanguage: 'de',
+        sourceLanguage: 'auto',
+        vad: false,
+        providers: [{ id: 'local', type: 'local', enabled: true, model: 'opus-mt' }],
+        glossaries: [],
+        ...options
+      });
+      await world.until(() => world.statuses(tabId).some((m) => m.status !== 'loading'));
+      const status = world.statuses(tabId).at(-1);
+      if (status.status !== 'listening') throw new Error(`Session failed: ${status.detail}`);
+      world.recorders.set(tabId, world.lastRecorder);
+    },
+
+    stop(tabId) {
+      return world.deliver({ type: 'OFFSCREEN_STOP', tabId });
+    },
+
+    fileMessages(jobId) {
+      return world.messages.filter((m) => m.type.startsWith('FILE_') && m.jobId === jobId);
+    },
+
+    /** The cues sent so far for file job `jobId`. */
+    fileCues(jobId) {
+      return world
+        .fileMessages(jobId)
+        .filter((m) => m.type === 'FILE_CUES')
+        .flatMap((m) => m.cues);
+    },
+
+    /**
+     * OFFSCREEN_FILE_START for `samples` (or raw bytes, for a file that
+     * can't be decoded). Resolves with the final FILE_STATUS unless `wait`
+     * is false.
+     */
+    async transcribeFile(jobId, samples, { wait = true, ...options } = {}) {
+      const url = `blob:chrome-extension://test-extension/${jobId}`;
+      world.files.set(url, samples.buffer.slice(0));
+      await world.deliver({
+        type: 'OFFSCREEN_FILE_START',
+        jobId,
+        url,
+        model: { key: 'fake', id: 'fake/whisper', dtype: 'q8' },
+        targetLanguage: 'de',
+        sourceLanguage: 'auto',
+        vad: false,
+        providers: [{ id: 'local', type: 'local', enabled: true, model: 'opus-mt' }],
+        glossaries: [],
+        ...options
+      });
+      if (!wait) return null;
+      const finished = () =>
+        world
+          .fileMessages(jobId)
+          .find((m) => m.type === 'FILE_STATUS' && ['done', 'error'].includes(m.status));
+      await world.until(finished, 5000);
+      return finished();
+    },
+
+    cancelFile(jobId) {
+      return world.deliver({ type: 'OFFSCREEN_FILE_CANCEL', jobId });
+    },
+
+    media(tabId, event) {
+      return world.deliver({ type: 'OFFSCREEN_MEDIA', tabId, ...event });
+    },
+
+    /**
+     * Feed `samples` to the tab's worklet in batches. Unless `burst` is
+     * set, the pipeline gets a turn after every batch, as it would while
+     * real audio trickles in.
+     */
+    async play(tabId, samples, { burst = false } = {}) {
+      const recorder = world.recorders.get(tabId);
+      for (let offset = 0; offset < samples.length; offset += BATCH_SIZE) {
+        recorder.port.onmessage({ data: samples.slice(offset, offset + BATCH_SIZE) });
+        if (!burst) await new Promise((resolve) => setImmediate(resolve));
+      }
+    },
+
+    /** Wait for `condition()`, failing after a (real) second. */
+    async until(condition, ms = 1000) {
+      const deadline = Date.now() + ms;
+      while (!condition()) {
+        if (Date.now() > deadline) throw new Error('Timed out waiting for the pipeline');
+        await new Promise((resolve) => setTimeout(resolve, 1));
+      }
+    },
+
+    /** Wait until the pipeline has been quiet for a few turns. */
+    async settle() {
+      let quiet = 0;
+      let seen = -1;
+      while (quiet < 10) {
+        await new Promise((resolve) => setTimeout(resolve, 1));
+        const busy = fakeModels.busy > 0 || world.messages.length !== seen;
+        quiet = busy ? 0 : quiet + 1;
+        seen = world.messages.length;
+      }
+    }
+  };
+
+  const onMessage = createEvent();
+  globalThis.chrome = {
+    runtime: {
+      id: 'test-extension',
+      onMessage,
+      getURL: (path) => `chrome-extension://test-extension/${path}`,
+      async sendMessage(message) {
+        world.messages.push(structuredClone(message));
+      }
+    }
+  };
+  installMediaFakes(world);
+
+  fakeModels.reset();
+  generation++;
+  await import(`../../offscreen/offscreen.js?world=${generation}`);
+  // No IndexedDB in Node: translations are only cached in memory.
+  setPersistentCache(null);
+  return world;
+}
+
+function installMediaFakes(world) {
+  const stream = (opened) => {
+    const track = new EventTarget();
+    const result = { ...opened, stopped: false };
+    track.stop = () => {
+      result.stopped = true;
+    };
+    world.streams.push(result);
+    return Object.assign(result, { getTracks: () => [track], getAudioTracks: () => [track] });
+  };
+  const getUserMedia = async ({ audio }) => {
+    if (audio.mandatory) return stream({ kind: 'tab', id: audio.mandatory.chromeMediaSourceId });
+    if (world.micError) throw new DOMException('Fake failure', world.micError);
+    return stream({ kind: 'mic', constraints: audio });
+  };
+  Object.defineProperty(globalThis, 'navigator', {
+    value: { mediaDevices: { getUserMedia } },
+    configurable: true,
+    writable: true
+  });
+
+  globalThis.AudioWorkletNode = class {
+    port = { onmessage: null };
+    constructor() {
+      world.lastRecorder = this;
+    }
+  };
+
+  globalThis.fetch = async (url) => {
+    const data = world.files.get(url);
+    return { ok: Boolean(data), arrayBuffer: async () => data };
+  };
+
+  globalThis.OfflineAudioContext = class {
+    async decodeAudioData(data) {
+      if (data.byteLength % Float32Array.BYTES_PER_ELEMENT !== 0) {
+        throw new DOMException('Unable to decode audio data', 'EncodingError');
+      }
+      const samples = new Float32Array(data);
+      return { numberOfChannels: 1, length: samples.length, getChannelData: () => samples };
+    }
+  };
+
+  globalThis.AudioContext = class {
+    sampleRate = SAMPLE_RATE;
+    destination = {};
+    audioWorklet = { addModule: async () => {} };
+    async resume() {}
+    async close() {}
+    createMediaStreamSource(stream) {
+      return {
+        connect: (node) => {
+          const to = node === this.destination ? 'speakers' : 'recorder';
+          world.connections.push({ stream, to });
+        }
+      };
+    }
+  };
+}
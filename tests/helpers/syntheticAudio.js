@@ -0,0 +1,170 @@
+/**
+ * Synthetic 16 kHz PCM for pipeline tests, and the fake recognizer that
+ * "hears" it.
+ *
+ * speech() turns text into speech-like bursts: one short Hann-shaped tone
+ * per word, with brief gaps between words, so the audio has the energy
+ * contour of speech (pauses between sentences are up to the caller).
+ * Each word in WORDS has its own pitch, which is how hearWords() decodes
+ * the audio back into text. music() is a sustained chord: no gaps, so the
+ * fake recognizer hears it as one long note and emits "♪", like Whisper.
+ * hearSegments() also times what it hears, sentence by sentence, like
+ * Whisper's timestamps.
+ */
+
+export const SAMPLE_RATE = 16000;
+
+export const WORDS = [
+  'Hello',
+  'everyone.',
+  'Welcome',
+  'back',
+  'to',
+  'the',
+  'show.',
+  'Today',
+  'we',
+  'talk',
+  'about',
+  'weather.',
+  'It',
+  'is',
+  'sunny.',
+  'Bonjour',
+  'tout',
+  'le',
+  'monde.'
+];
+
+const BASE_HZ = 500;
+const STEP_HZ = 60; // WORDS[i] is a tone at BASE_HZ + i * STEP_HZ
+const WORD_SECONDS = 0.3;
+const GAP_SECONDS = 0.12;
+const LEVEL = 0.3;
+
+const FRAME = SAMPLE_RATE / 100; // 10 ms
+const SOUNDING_RMS = 0.01;
+const MIN_WORD_SECONDS = 0.15; // shorter bursts were cut off by a chunk boundary
+const MAX_WORD_SECONDS = 1; // longer sounds are music
+
+export function silence(seconds) {
+  return new Float32Array(Math.round(seconds * SAMPLE_RATE));
+}
+
+export function speech(text) {
+  const words = text.split(/\s+/).filter(Boolean);
+  const wordLength = Math.round(WORD_SECONDS * SAMPLE_RATE);
+  const gapLength = Math.round(GAP_SECONDS * SAMPLE_RATE);
+  const out = new Float32Array(words.length * (wordLength + gapLength));
+  words.forEach((word, n) => {
+    const index = WORDS.indexOf(word);
+    if (index === -1) throw new Error(`No synthetic sound for "${word}"`);
+    const hz = BASE_HZ + index * STEP_HZ;
+    const offset = n * (wordLength + gapLength);
+    for (let i = 0; i < wordLength; i++) {
+      const envelope = 0.5 - 0.5 * Math.cos((2 * Math.PI * i) / (wordLength - 1));
+      out[offset + i] = LEVEL * envelope * Math.sin((2 * Math.PI * hz * i) / SAMPLE_RATE);
+    }
+  });
+  return out;
+}
+
+export function music(seconds) {
+  const out = new Float32Array(Math.round(seconds * SAMPLE_RATE));
+  const chord = [220, 277.18, 329.63];
+  for (let i = 0; i < out.length; i++) {
+    const t = i / SAMPLE_RATE;
+    out[i] = chord.reduce((sum, hz) => sum + 0.1 * Math.sin(2 * Math.PI * hz * t), 0);
+  }
+  return out;
+}
+
+export function concat(...parts) {
+  const out = new Float32Array(parts.reduce((sum, part) => sum + part.length, 0));
+  let offset = 0;
+  for (const part of parts) {
+    out.set(part, offset);
+    offset += part.length;
+  }
+  return out;
+}
+
+function frameRms(audio, start) {
+  let sum = 0;
+  const end = Math.min(start + FRAME, audio.length);
+  for (let i = start; i < end; i++) sum += audio[i] * audio[i];
+  return Math.sqrt(sum / Math.max(1, end - start));
+}
+
+/** Runs of sounding 10 ms frames: [{ start, end }] in samples. */
+function soundingRuns(audio) {
+  const runs = [];
+  let run = null;
+  for (let start = 0; start < audio.length; start += FRAME) {
+    if (frameRms(audio, start) >= SOUNDING_RMS) {
+      run ??= { start, end: start };
+      run.end = Math.min(start + FRAME, audio.length);
+    } else if (run) {
+      runs.push(run);
+      run = null;
+    }
+  }
+  if (run) runs.push(run);
+  return runs;
+}
+
+/** Pitch of a run from its zero crossings. */
+function pitch(audio, { start, end }) {
+  let crossings = 0;
+  for (let i = start + 1; i < end; i++) {
+    if (audio[i - 1] < 0 !== audio[i] < 0) crossings++;
+  }
+  return (crossings / 2) * (SAMPLE_RATE / (end - start));
+}
+
+/** The words heard in 16 kHz `audio`: [{ word, start, end }], times in seconds. */
+function timedWords(audio) {
+  const words = [];
+  for (const run of soundingRuns(audio)) {
+    const timing = { start: run.start / SAMPLE_RATE, end: run.end / SAMPLE_RATE };
+    const seconds = timing.end - timing.start;
+    if (seconds > MAX_WORD_SECONDS) words.push({ word: '♪', ...timing });
+    else if (seconds >= MIN_WORD_SECONDS) {
+      const index = Math.round((pitch(audio, run) - BASE_HZ) / STEP_HZ);
+      if (WORDS[index]) words.push({ word: WORDS[index], ...timing });
+    }
+  }
+  return words;
+}
+
+/** What the fake recognizer hears in 16 kHz `audio`. */
+export function hearWords(audio) {
+  return timedWords(audio)
+    .map((w) => w.word)
+    .join(' ');
+}
+
+/**
+ * What it hears as timed segments, one per sentence (or note of music):
+ * [{ text, timestamp: [start, end] }], in seconds rounded to 0.02 like
+ * Whisper's timestamp tokens.
+ */
+export function hearSegments(audio) {
+  const round = (seconds) => Math.round(seconds * 50) / 50;
+  const segments = [];
+  let open = null;
+  for (const { word, start, end } of timedWords(audio)) {
+    open ??= { words: [], start };
+    open.words.push(word);
+    open.end = end;
+    if (/[.♪]$/.test(word)) {
+      segments.push(open);
+      open = null;
+    }
+  }
+  if (open) segments.push(open);
+  return segments.map(({ words, start, end }) => ({
+    text: ` ${words.join(' ')}`,
+    timestamp: [round(start), round(end)]
+  }));
+}
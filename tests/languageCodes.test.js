@@ -0,0 +1,25 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { toNllbCode, opusMtModelId } from '../offscreen/languageCodes.js';
+
+test('toNllbCode maps popup and Whisper codes to FLORES-200', () => {
+  assert.equal(toNllbCode('en'), 'eng_Latn');
+  assert.equal(toNllbCode('zh-CN'), 'zho_Hans');
+  assert.equal(toNllbCode('zh-TW'), 'zho_Hant');
+  assert.equal(toNllbCode('zh'), 'zho_Hans');
+  assert.equal(toNllbCode('pt-BR'), 'por_Latn');
+  assert.equal(toNllbCode('iw'), 'heb_Hebr');
+  assert.equal(toNllbCode('fil'), 'tgl_Latn');
+});
+
+test('toNllbCode returns null for unknown or missing codes', () => {
+  assert.equal(toNllbCode('auto'), null);
+  assert.equal(toNllbCode('xx'), null);
+  assert.equal(toNllbCode(undefined), null);
+});
+
+test('opusMtModelId names the per-pair model with plain codes', () => {
+  assert.equal(opusMtModelId('ja', 'en'), 'Xenova/opus-mt-ja-en');
+  assert.equal(opusMtModelId('en', 'zh-CN'), 'Xenova/opus-mt-en-zh');
+  assert.equal(opusMtModelId('auto', 'en'), null);
+});
@@ -0,0 +1,46 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  createLanguageVote,
+  needsDetection,
+  recordDetection,
+  detectionFailed
+} from '../offscreen/languageVote.js';
+
+test('a chosen language is locked from the start', () => {
+  const state = createLanguageVote('ja');
+  assert.equal(state.language, 'ja');
+  assert.equal(needsDetection(state), false);
+});
+
+test('auto-detection locks once two consecutive chunks agree', () => {
+  const state = createLanguageVote('auto');
+  assert.equal(state.language, null);
+  assert.equal(recordDetection(state, 'en'), false, 'the first detection is no change');
+  assert.equal(recordDetection(state, 'fr'), true);
+  assert.equal(needsDetection(state), true);
+  assert.equal(recordDetection(state, 'fr'), false);
+  assert.equal(state.locked, true);
+  assert.equal(needsDetection(state), false);
+});
+
+test('partial decodes detect only while there is no language, and do not vote', () => {
+  const state = createLanguageVote();
+  assert.equal(needsDetection(state, false), true);
+  recordDetection(state, 'de', false);
+  recordDetection(state, 'de', false);
+  assert.deepEqual(state.votes, []);
+  assert.equal(needsDetection(state, false), false);
+  assert.equal(needsDetection(state, true), true);
+});
+
+test('failed detection falls back to English, or keeps the language it had', () => {
+  const fresh = createLanguageVote();
+  detectionFailed(fresh);
+  assert.deepEqual([fresh.language, fresh.locked], ['en', true]);
+
+  const voting = createLanguageVote();
+  recordDetection(voting, 'es');
+  detectionFailed(voting);
+  assert.equal(voting.language, 'es');
+});
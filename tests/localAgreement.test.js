@@ -0,0 +1,62 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { tokenize, joinTokens, tokenKey } from '../offscreen/textTokens.js';
+import {
+  createAgreementState,
+  updateAgreement,
+  flushAgreement
+} from '../offscreen/localAgreement.js';
+
+test('tokenize splits words, and CJK/Thai into characters, losslessly', () => {
+  assert.deepEqual(tokenize('Hello, world!'), ['Hello,', ' world!']);
+  assert.deepEqual(tokenize('今日は晴れ'), ['今', '日', 'は', '晴', 'れ']);
+  assert.deepEqual(tokenize('iPhone を買った'), ['iPhone', ' を', '買', 'っ', 'た']);
+  assert.equal(joinTokens(tokenize('  Hola  amigo ')), 'Hola  amigo');
+  assert.deepEqual(tokenize(''), []);
+});
+
+test('tokenKey ignores case and surrounding punctuation', () => {
+  assert.equal(tokenKey(' Hello,'), 'hello');
+  assert.equal(tokenKey('"don\'t"'), "don't");
+  assert.equal(tokenKey('。'), '');
+});
+
+test('words are committed once two consecutive decodes agree', () => {
+  const state = createAgreementState();
+  assert.deepEqual(updateAgreement(state, 'The president'), {
+    committed: '',
+    interim: 'The president',
+    share: 0
+  });
+  assert.deepEqual(updateAgreement(state, 'The president said that'), {
+    committed: 'The president',
+    interim: 'said that',
+    share: 13 / 23
+  });
+  // "that" changed to "the"; only "said" is newly stable.
+  assert.deepEqual(updateAgreement(state, 'The President said the economy'), {
+    committed: 'said',
+    interim: 'the economy',
+    share: 18 / 30
+  });
+});
+
+test('committed text is never repeated or taken back', () => {
+  const state = createAgreementState();
+  updateAgreement(state, 'one two three');
+  updateAgreement(state, 'one two three four');
+  assert.deepEqual(updateAgreement(state, 'one two'), { committed: '', interim: '', share: 1 });
+  assert.equal(flushAgreement(state, 'one two three four five.'), 'four five.');
+  assert.deepEqual(state, createAgreementState());
+});
+
+test('agreement works character by character for Japanese', () => {
+  const state = createAgreementState();
+  updateAgreement(state, '今日は');
+  assert.deepEqual(updateAgreement(state, '今日は晴れ'), {
+    committed: '今日は',
+    interim: '晴れ',
+    share: 3 / 5
+  });
+  assert.equal(flushAgreement(state, '今日は晴れです。'), '晴れです。');
+});
@@ -0,0 +1,75 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  listModels,
+  findModel,
+  dtypeFor,
+  parseModelId,
+  cachedRepos,
+  isRepoFile,
+  formatBytes
+} from '../shared/modelRegistry.js';
+
+const turbo = { id: 'onnx-community/whisper-large-v3-turbo', dtype: 'q4' };
+
+test('listModels puts the built-in sizes before custom models', () => {
+  const models = listModels([turbo, { id: 'not a repo', dtype: 'q8' }]);
+  assert.deepEqual(
+    models.map((m) => m.key),
+    ['tiny', 'base', 'small', 'onnx-community/whisper-large-v3-turbo']
+  );
+  const custom = models.at(-1);
+  assert.equal(custom.name, 'whisper-large-v3-turbo');
+  assert.equal(custom.dtype, 'q4');
+  assert.ok(custom.custom);
+  assert.equal(listModels([{ id: 'a/b', dtype: 'int3' }]).at(-1).dtype, 'auto');
+});
+
+test('findModel falls back to the default for removed models', () => {
+  assert.equal(findModel([turbo], turbo.id).id, turbo.id);
+  assert.equal(findModel([], 'small').id, 'onnx-community/whisper-small');
+  assert.equal(findModel([], turbo.id).key, 'base');
+  assert.equal(findModel(undefined, undefined).key, 'base');
+});
+
+test('dtypeFor keeps the per-backend default unless a quantization was chosen', () => {
+  const base = findModel([], 'base');
+  assert.deepEqual(dtypeFor(base, 'webgpu'), { encoder_model: 'fp32', decoder_model_merged: 'q4' });
+  assert.equal(dtypeFor(base, 'wasm'), 'q8');
+  assert.equal(dtypeFor(findModel([turbo], turbo.id), 'webgpu'), 'q4');
+});
+
+test('parseModelId accepts repo ids and Hub links', () => {
+  assert.equal(parseModelId(' distil-whisper/distil-large-v3 '), 'distil-whisper/distil-large-v3');
+  assert.equal(
+    parseModelId('https://huggingface.co/onnx-community/whisper-large-v3-turbo/tree/main'),
+    'onnx-community/whisper-large-v3-turbo'
+  );
+  assert.equal(parseModelId('whisper-small'), null);
+  assert.equal(parseModelId('a/b/c'), null);
+  assert.equal(parseModelId('../etc'), null);
+  assert.equal(parseModelId(''), null);
+});
+
+test('cachedRepos groups Cache Storage entries by repo', () => {
+  const hub = 'https://huggingface.co';
+  const repos = cachedRepos([
+    { url: `${hub}/onnx-community/whisper-base/resolve/main/config.json`, size: 2000 },
+    { url: `${hub}/onnx-community/whisper-base/resolve/main/onnx/encoder_model.onnx`, size: 80e6 },
+    { url: `${hub}/onnx-community/silero-vad/resolve/main/onnx/model.onnx`, size: 2e6 },
+    { url: 'https://example.com/other', size: 5 }
+  ]);
+  assert.deepEqual(repos, [
+    { id: 'onnx-community/whisper-base', bytes: 80002000, files: 2 },
+    { id: 'onnx-community/silero-vad', bytes: 2e6, files: 1 }
+  ]);
+  const config = `${hub}/onnx-community/whisper-base/resolve/main/config.json`;
+  assert.ok(isRepoFile(config, 'onnx-community/whisper-base'));
+  assert.ok(!isRepoFile(config, 'onnx-community/whisper-tiny'));
+});
+
+test('formatBytes', () => {
+  assert.equal(formatBytes(512), '512 B');
+  assert.equal(formatBytes(80 * 1024 * 1024), '80 MB');
+  assert.equal(formatBytes(1.5 * 1024 ** 3), '1.5 GB');
+});
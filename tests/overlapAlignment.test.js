@@ -0,0 +1,39 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { keySimilarity, overlapLength, removeOverlap } from '../offscreen/overlapAlignment.js';
+
+test('keySimilarity scales with character edits', () => {
+  assert.equal(keySimilarity('store', 'store'), 1);
+  assert.ok(keySimilarity('colour', 'color') > 0.8);
+  assert.ok(keySimilarity('store', 'meeting') < 0.5);
+  assert.equal(keySimilarity('東', '京'), 0);
+});
+
+test('words repeated from the end of the previous transcript are removed', () => {
+  assert.equal(removeOverlap('we went to the', 'to the store is open'), 'store is open');
+  assert.equal(removeOverlap('one two three', 'one two three four'), 'four');
+  assert.equal(removeOverlap('Hello there.', 'Hello there.'), '', 'an exact repeat adds nothing');
+});
+
+test('the repeat may differ in spelling, case and punctuation', () => {
+  assert.equal(removeOverlap('I love the color red', 'the Colour red, and blue'), 'and blue');
+  assert.equal(removeOverlap('I love the colour red.', 'colour red. And blue'), 'And blue');
+  // Whisper dropped a word of the repeat the second time.
+  assert.equal(removeOverlap('she said that we should go', 'that should go home now'), 'home now');
+});
+
+test('a word cut in half at the boundary is kept whole', () => {
+  assert.equal(removeOverlap('in the meet', 'the meeting we discussed'), 'meeting we discussed');
+});
+
+test('unrelated text and short coincidences are left alone', () => {
+  assert.equal(removeOverlap('It was great', 'Then we left'), 'Then we left');
+  assert.equal(removeOverlap('It was no', 'No way'), 'No way', 'too short to be sure');
+  assert.equal(removeOverlap('', 'anything'), 'anything');
+  assert.equal(overlapLength('the end of it', 'it'), 0);
+});
+
+test('Chinese and Japanese align by character', () => {
+  assert.equal(removeOverlap('今日は天気がいいです', 'いいですね。明日は'), 'ね。明日は');
+  assert.equal(removeOverlap('我们明天去北京', '去北京看朋友'), '看朋友');
+});
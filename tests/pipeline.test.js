@@ -0,0 +1,376 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createOffscreenWorld } from './helpers/offscreenMock.js';
+import { speech, silence, music, concat } from './helpers/syntheticAudio.js';
+import { MIC_SESSION_ID } from '../shared/captureSources.js';
+
+const TAB = 7;
+
+function originals(world, tabId = TAB) {
+  return world.subtitles(tabId).map((m) => m.original);
+}
+
+test('speech is cut at pauses, transcribed and translated; silence and music are not', async () => {
+  const world = await createOffscreenWorld();
+  await world.start(TAB);
+  await world.play(
+    TAB,
+    concat(
+      speech('Hello everyone. Welcome back to the show.'),
+      silence(1),
+      music(4),
+      silence(1),
+      speech('Today we talk about the weather.'),
+      silence(1)
+    )
+  );
+  await world.settle();
+
+  assert.deepEqual(originals(world), [
+    'Hello everyone.',
+    'Welcome back to the show.',
+    'Today we talk about the weather.'
+  ]);
+  const [first, second, third] = world.subtitles(TAB);
+  assert.equal(first.text, '[de] Hello everyone.');
+  assert.equal(first.speaker, null);
+  assert.equal(first.mediaStart, null, 'no playback reported');
+  assert.ok(first.start === 0 && first.end <= second.start && second.end <= third.start);
+  // The music went to Whisper, came back as "♪" and was dropped.
+  assert.ok(world.models.transcriptions.some((t) => t.text.includes('♪')));
+  await world.stop(TAB);
+});
+
+test('auto-detection votes until two chunks agree, then stops detecting', async () => {
+  const world = await createOffscreenWorld();
+  const votes = ['fr', 'en', 'en', 'de'];
+  world.models.detect = () => votes.shift();
+  await world.start(TAB);
+  const lines = ['Hello everyone.', 'Welcome back to the show.', 'It is sunny.', 'Hello everyone.'];
+  for (const line of lines) await world.play(TAB, concat(speech(line), silence(3)));
+  await world.settle();
+
+  assert.equal(world.models.detections, 3);
+  assert.deepEqual(world.models.transcriptions.map((t) => t.language), ['fr', 'en', 'en', 'en']);
+  const detected = world.statuses(TAB).map((m) => m.detail?.detectedLanguage).filter(Boolean);
+  assert.deepEqual([...new Set(detected)], ['fr', 'en']);
+  await world.stop(TAB);
+});
+
+test('a chosen source language is used without detection', async () => {
+  const world = await createOffscreenWorld();
+  await world.start(TAB, { sourceLanguage: 'fr', targetLanguage: 'en' });
+  await world.play(TAB, concat(speech('Bonjour tout le monde.'), silence(2)));
+  await world.settle();
+
+  assert.equal(world.models.detections, 0);
+  assert.deepEqual(world.subtitles(TAB).map((m) => m.text), ['[en] Bonjour tout le monde.']);
+  await world.stop(TAB);
+});
+
+test('with VAD, each speech segment becomes a chunk and the silence between is dropped', async () => {
+  const world = await createOffscreenWorld();
+  await world.start(TAB, { vad: true });
+  await world.play(
+    TAB,
+    concat(silence(2), speech('Hello everyone.'), silence(2), speech('It is sunny.'), silence(1))
+  );
+  await world.settle();
+
+  assert.deepEqual(originals(world), ['Hello everyone.', 'It is sunny.']);
+  assert.deepEqual(
+    world.models.transcriptions.map((t) => t.text),
+    ['Hello everyone.', 'It is sunny.']
+  );
+  const [first] = world.subtitles(TAB);
+  assert.ok(first.start >= 1.5, 'timed from the start of the session');
+  await world.stop(TAB);
+});
+
+test('overlapping chunks do not repeat the words they share', async () => {
+  const world = await createOffscreenWorld();
+  await world.start(TAB, { chunkOverlap: 1, mergeSentences: false });
+  // Continuous speech: no pause long enough to cut at, so chunks are
+  // forced at the maximum length and overlap by a second.
+  const talk =
+    'Hello everyone. Welcome back to the show. Today we talk about the weather. ' +
+    'It is sunny. Bonjour tout le monde.';
+  await world.play(TAB, concat(speech(talk), silence(3)));
+  await world.settle();
+
+  assert.ok(world.subtitles(TAB).length > 1, 'more than one chunk');
+  assert.equal(originals(world).join(' '), talk);
+  await world.stop(TAB);
+});
+
+test('pausing the video cuts the chunk there and maps subtitles to media time', async () => {
+  const world = await createOffscreenWorld();
+  await world.start(TAB);
+  await world.media(TAB, { event: 'play', currentTime: 120, playbackRate: 1, paused: false });
+  // No trailing pause: only the pause event ends this chunk.
+  await world.play(TAB, speech('It is sunny.'));
+  await world.media(TAB, { event: 'pause', currentTime: 121.3, playbackRate: 1, paused: true });
+  await world.settle();
+
+  const [subtitle] = world.subtitles(TAB);
+  assert.equal(subtitle.original, 'It is sunny.');
+  assert.equal(subtitle.mediaStart, 120);
+  assert.equal(subtitle.mediaEnd, 121.3);
+
+  // Audio while paused is ignored.
+  await world.play(TAB, concat(speech('Hello everyone.'), silence(1)));
+  await world.settle();
+  assert.equal(world.subtitles(TAB).length, 1);
+  await world.stop(TAB);
+});
+
+test('a held sentence released by a pause stays ahead of later subtitles', async () => {
+  const world = await createOffscreenWorld();
+  let finishSlow;
+  world.models.beforeTranslating = (text) =>
+    text === 'Today we talk about the'
+      ? new Promise((resolve) => {
+          finishSlow = resolve;
+        })
+      : Promise.resolve();
+  await world.start(TAB, { sourceLanguage: 'en' });
+  await world.media(TAB, { event: 'play', currentTime: 0, playbackRate: 1, paused: false });
+  // Not the end of a sentence: held until the pause releases it.
+  await world.play(TAB, concat(speech('Today we talk about the'), silence(1)));
+  await world.settle();
+  await world.media(TAB, { event: 'pause', currentTime: 3, playbackRate: 1, paused: true });
+  await world.media(TAB, { event: 'play', currentTime: 3, playbackRate: 1, paused: false });
+  await world.play(TAB, concat(speech('It is sunny.'), silence(3)));
+  await world.settle();
+  assert.equal(world.models.transcriptions.length, 2);
+  assert.deepEqual(world.subtitles(TAB), [], 'waiting for the held sentence');
+
+  finishSlow();
+  await world.settle();
+  assert.deepEqual(originals(world), ['Today we talk about the', 'It is sunny.']);
+  await world.stop(TAB);
+});
+
+test('streaming keeps committed words on screen while their sentence is held', async () => {
+  const world = await createOffscreenWorld();
+  await world.start(TAB, { sourceLanguage: 'en', streaming: true });
+  await world.play(TAB, speech('Today we talk about the weather. It is sunny.'));
+  await world.settle();
+  const partials = () =>
+    world.messages.filter((m) => m.type === 'SUBTITLE_PARTIAL').map((m) => m.text);
+
+  // "Today we talk" is agreed on early but waits for the end of its sentence.
+  assert.deepEqual(partials(), [
+    'Today we talk',
+    'Today we talk about the',
+    'Today we talk about the weather. It'
+  ]);
+  assert.deepEqual(world.subtitles(TAB), []);
+
+  await world.play(TAB, silence(3));
+  await world.settle();
+  assert.deepEqual(originals(world), ['Today we talk about the weather.', 'It is sunny.']);
+  assert.equal(partials().at(-1), '');
+  await world.stop(TAB);
+});
+
+test('streaming commits are timed by the words they hold, not the whole decode', async () => {
+  const world = await createOffscreenWorld();
+  await world.start(TAB, { sourceLanguage: 'en', streaming: true, mergeSentences: false });
+  // Words every 0.42 s: "about" starts at 1.26 s, "weather." at 2.1 s.
+  const talk = speech('Today we talk about the weather. It is sunny.');
+  await world.play(TAB, concat(talk, silence(3)));
+  await world.settle();
+
+  const cues = world.subtitles(TAB);
+  assert.deepEqual(
+    cues.map((m) => m.original),
+    ['Today we talk', 'about the', 'weather. It is sunny.']
+  );
+  const starts = [1.26, 2.1];
+  cues.slice(1).forEach((cue, i) => {
+    assert.ok(Math.abs(cue.start - starts[i]) < 0.25, `"${cue.original}" at ${cue.start}`);
+  });
+  cues.slice(1).forEach((cue, i) => assert.equal(cue.start, cues[i].end, 'back to back'));
+  await world.stop(TAB);
+});
+
+test('tabs share the model one chunk at a time, taking turns', async () => {
+  const world = await createOffscreenWorld();
+  await world.start(1);
+  await world.start(2);
+  // Both tabs' audio arrives at once: the queue, not the audio, sets the pace.
+  const first = concat(speech('Hello everyone.'), silence(1), speech('It is sunny.'), silence(1));
+  await world.play(1, first, { burst: true });
+  await world.play(2, concat(speech('Bonjour tout le monde.'), silence(2)), { burst: true });
+  await world.settle();
+
+  assert.equal(world.models.maxBusy, 1, 'never two Whisper runs at once');
+  assert.deepEqual(originals(world, 1), ['Hello everyone.', 'It is sunny.']);
+  assert.deepEqual(originals(world, 2), ['Bonjour tout le monde.']);
+  await world.stop(1);
+  await world.stop(2);
+});
+
+test('stopping a session drops what it had not delivered yet', async () => {
+  const world = await createOffscreenWorld();
+  await world.start(TAB, { sourceLanguage: 'en' });
+  await world.play(TAB, concat(speech('Hello everyone.'), silence(3)), { burst: true });
+  // The chunk is being transcribed.
+  assert.equal(world.models.busy, 1);
+  await world.stop(TAB);
+  await world.settle();
+
+  assert.equal(world.models.transcriptions.length, 1);
+  assert.deepEqual(world.subtitles(TAB), []);
+});
+
+test('a restarted service worker can list the running sessions', async () => {
+  const world = await createOffscreenWorld();
+  await world.start(TAB);
+  await world.start(MIC_SESSION_ID, { source: 'mic', streamId: null });
+
+  const { sessions } = await world.deliver({ type: 'OFFSCREEN_LIST' });
+  assert.deepEqual(
+    sessions.map(({ tabId, status }) => [tabId, status]),
+    [
+      [TAB, 'listening'],
+      [MIC_SESSION_ID, 'listening']
+    ]
+  );
+
+  await world.stop(TAB);
+  const after = await world.deliver({ type: 'OFFSCREEN_LIST' });
+  assert.deepEqual(after.sessions.map((m) => m.tabId), [MIC_SESSION_ID]);
+  await world.stop(MIC_SESSION_ID);
+});
+
+test('stopping a tab while it starts leaves nothing captured', async () => {
+  const world = await createOffscreenWorld();
+  const { getUserMedia } = navigator.mediaDevices;
+  // The stop arrives while the tab stream is being opened.
+  navigator.mediaDevices.getUserMedia = async (constraints) => {
+    world.stop(TAB);
+    return getUserMedia(constraints);
+  };
+  await world.deliver({
+    type: 'OFFSCREEN_START',
+    tabId: TAB,
+    streamId: `stream-${TAB}`,
+    model: { key: 'fake', id: 'fake/whisper', dtype: 'q8' },
+    source: 'tab+mic',
+    vad: false
+  });
+  await world.settle();
+
+  assert.equal(world.streams.length, 1, 'the microphone is not opened');
+  assert.ok(world.streams[0].stopped);
+  assert.deepEqual(world.connections, []);
+  assert.ok(!world.statuses(TAB).some((m) => m.status === 'listening'));
+  const { sessions } = await world.deliver({ type: 'OFFSCREEN_LIST' });
+  assert.deepEqual(sessions, []);
+});
+
+test('a microphone session captions the chosen device without playing it back', async () => {
+  const world = await createOffscreenWorld();
+  await world.start(MIC_SESSION_ID, { source: 'mic', micDeviceId: 'usb-1', streamId: null });
+  await world.play(MIC_SESSION_ID, concat(speech('Hello everyone.'), silence(3)));
+  await world.settle();
+
+  assert.deepEqual(
+    world.connections.map(({ stream, to }) => [stream.kind, to]),
+    [['mic', 'recorder']]
+  );
+  assert.deepEqual(world.connections[0].stream.constraints.deviceId, { exact: 'usb-1' });
+  assert.deepEqual(originals(world, MIC_SESSION_ID), ['Hello everyone.']);
+  await world.stop(MIC_SESSION_ID);
+});
+
+test('tab and microphone are mixed for calls; only the tab is played back', async () => {
+  const world = await createOffscreenWorld();
+  await world.start(TAB, { source: 'tab+mic' });
+
+  assert.deepEqual(
+    world.connections.map(({ stream, to }) => [stream.kind, to]),
+    [
+      ['tab', 'speakers'],
+      ['tab', 'recorder'],
+      ['mic', 'recorder']
+    ]
+  );
+  await world.stop(TAB);
+});
+
+test('a blocked microphone fails the session with a way out', async () => {
+  const world = await createOffscreenWorld();
+  world.micError = 'NotAllowedError';
+  await assert.rejects(world.start(MIC_SESSION_ID, { source: 'mic' }), /Allow it from the popup/);
+});
+
+test('a media file is transcribed in one go, cues timed by Whisper segments', async () => {
+  const world = await createOffscreenWorld();
+  const file = concat(
+    silence(2),
+    speech('Hello everyone. Welcome back to the show.'),
+    silence(1),
+    music(4),
+    silence(1),
+    speech('Today we talk about the weather.'),
+    silence(1)
+  );
+  const done = await world.transcribeFile('job-1', file);
+
+  assert.equal(done.status, 'done');
+  const cues = world.fileCues('job-1');
+  assert.deepEqual(
+    cues.map((cue) => cue.original),
+    ['Hello everyone.', 'Welcome back to the show.', 'Today we talk about the weather.']
+  );
+  assert.equal(cues[0].text, '[de] Hello everyone.');
+  // Timed by the speech, not by the chunks: the file starts with silence,
+  // and the first chunk holds both sentences.
+  assert.ok(Math.abs(cues[0].start - 2) < 0.05, `starts at ${cues[0].start}`);
+  assert.ok(cues[0].end <= cues[1].start && cues[1].end < 5);
+  assert.ok(Math.abs(cues[2].start - 10.94) < 0.05, `starts at ${cues[2].start}`);
+  assert.ok(cues[2].end <= file.length / 16000);
+  const progress = world.fileMessages('job-1').filter((m) => m.type === 'FILE_CUES');
+  assert.equal(progress.at(-1).progress, 100);
+});
+
+test('a file takes turns on the model with live captions', async () => {
+  const world = await createOffscreenWorld();
+  await world.start(TAB, { sourceLanguage: 'en' });
+  const file = concat(speech('Bonjour tout le monde.'), silence(12), speech('It is sunny.'));
+  const job = world.transcribeFile('job-2', file, { sourceLanguage: 'fr' });
+  await world.play(TAB, concat(speech('Hello everyone.'), silence(3)));
+  await job;
+  await world.settle();
+
+  assert.equal(world.models.maxBusy, 1, 'never two Whisper runs at once');
+  assert.deepEqual(originals(world), ['Hello everyone.']);
+  assert.deepEqual(
+    world.fileCues('job-2').map((cue) => cue.original),
+    ['Bonjour tout le monde.', 'It is sunny.']
+  );
+  await world.stop(TAB);
+});
+
+test('cancelling a file job stops it after the chunk in progress', async () => {
+  const world = await createOffscreenWorld();
+  const sentence = concat(speech('Hello everyone.'), silence(10));
+  await world.transcribeFile('job-3', concat(sentence, sentence, sentence), { wait: false });
+  await world.until(() => world.models.busy > 0);
+  await world.cancelFile('job-3');
+  await world.settle();
+
+  assert.equal(world.models.transcriptions.length, 1);
+  assert.deepEqual(world.fileCues('job-3'), []);
+  assert.ok(!world.fileMessages('job-3').some((m) => m.status === 'done'));
+});
+
+test('a file without decodable audio fails the job', async () => {
+  const world = await createOffscreenWorld();
+  const done = await world.transcribeFile('job-4', new Uint8Array(3));
+  assert.equal(done.status, 'error');
+  assert.match(done.detail, /cannot decode/);
+});
@@ -0,0 +1,93 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  endsSentence,
+  splitSentences,
+  createMerger,
+  pushFragment,
+  holdExpired,
+  flushMerger
+} from '../offscreen/sentenceMerger.js';
+
+const near = (actual, expected) =>
+  assert.ok(Math.abs(actual - expected) < 1e-6, `${actual} ≉ ${expected}`);
+
+test('endsSentence knows punctuation, abbreviations and language rules', () => {
+  assert.ok(endsSentence('He left.', 'en'));
+  assert.ok(endsSentence('Really?"', 'en'));
+  assert.ok(endsSentence('¿Dónde está?', 'es'));
+  assert.ok(endsSentence('今日は晴れです。', 'ja'));
+  assert.ok(endsSentence('今日は晴れです', 'ja'), 'polite final form');
+  assert.ok(!endsSentence('今日は晴れで', 'ja'));
+  assert.ok(endsSentence('감사합니다', 'ko'));
+  assert.ok(endsSentence('สวัสดีครับ', 'th'), 'Thai has no sentence punctuation');
+  assert.ok(!endsSentence('I spoke to Dr.', 'en'));
+  assert.ok(!endsSentence('written by J.', 'en'));
+  assert.ok(!endsSentence('and then we', 'en'));
+  assert.ok(!endsSentence('   ', 'en'));
+});
+
+test('splitSentences returns complete sentences and the unfinished rest', () => {
+  const { sentences, rest } = splitSentences('Hi there. Mr. Smith is here! And then', 'en');
+  assert.deepEqual(sentences.map((s) => s.text), ['Hi there.', 'Mr. Smith is here!']);
+  assert.equal(rest.text.trim(), 'And then');
+
+  const ja = splitSentences('雨です。明日は「晴れ」？それから', 'ja');
+  assert.deepEqual(ja.sentences.map((s) => s.text), ['雨です。', '明日は「晴れ」？']);
+  assert.equal(ja.rest.text, 'それから');
+});
+
+test('an unfinished fragment is held and joined with the next one', () => {
+  const merger = createMerger();
+  assert.deepEqual(pushFragment(merger, { text: 'I went to the', start: 0, end: 2 }, 'en', 100), []);
+  const ready = pushFragment(merger, { text: 'store. Then I', start: 2, end: 4 }, 'en', 103);
+  assert.equal(ready.length, 1);
+  assert.equal(ready[0].text, 'I went to the store.');
+  near(ready[0].start, 0);
+  assert.ok(ready[0].end > 2 && ready[0].end < 4);
+  assert.equal(merger.text, 'Then I');
+  assert.equal(merger.since, 103, 'the new tail waits from when it arrived');
+});
+
+test('unspaced scripts are joined without a space', () => {
+  const merger = createMerger();
+  pushFragment(merger, { text: '私は昨日', start: 0, end: 1 }, 'ja', 0);
+  const [sentence] = pushFragment(merger, { text: '学校に行きました', start: 1, end: 2 }, 'ja', 1);
+  assert.equal(sentence.text, '私は昨日学校に行きました');
+  near(sentence.start, 0);
+  near(sentence.end, 2);
+});
+
+test('a held tail expires after the max hold time and flushes as is', () => {
+  const merger = createMerger();
+  pushFragment(merger, { text: 'and so', start: 5, end: 6 }, 'en', 10);
+  assert.ok(!holdExpired(merger, 15));
+  // Still unfinished: keeps waiting from the first arrival.
+  pushFragment(merger, { text: 'we', start: 6, end: 7 }, 'en', 13);
+  assert.ok(holdExpired(merger, 16));
+  assert.ok(!holdExpired(merger, 16, { maxHoldSeconds: 10 }));
+
+  const [sentence] = flushMerger(merger);
+  assert.equal(sentence.text, 'and so we');
+  near(sentence.start, 5);
+  near(sentence.end, 7);
+  assert.deepEqual(flushMerger(merger), []);
+  assert.ok(!holdExpired(merger, 100));
+});
+
+test('a tail longer than maxChars is released right away', () => {
+  const merger = createMerger();
+  const long = 'word '.repeat(20).trim();
+  const ready = pushFragment(merger, { text: long, start: 0, end: 8 }, 'en', 0, { maxChars: 50 });
+  assert.equal(ready.length, 1);
+  assert.equal(merger.text, '');
+});
+
+test('each sentence carries the previous one as context', () => {
+  const merger = createMerger();
+  const fragment = { text: 'First one. Second one. Third', start: 0, end: 3 };
+  const ready = pushFragment(merger, fragment, 'en', 0);
+  assert.deepEqual(ready.map((s) => s.context), ['', 'First one.']);
+  const [last] = flushMerger(merger);
+  assert.equal(last.context, 'Second one.');
+});
@@ -0,0 +1,89 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  patternMatches,
+  findSiteRule,
+  sitePattern,
+  upsertSiteRule,
+  saveSiteRules
+} from '../shared/siteRules.js';
+
+test('a bare host matches itself and its subdomains on any scheme or path', () => {
+  assert.ok(patternMatches('nhk.or.jp', 'https://www3.nhk.or.jp/news/'));
+  assert.ok(patternMatches('nhk.or.jp', 'http://nhk.or.jp/'));
+  assert.ok(!patternMatches('nhk.or.jp', 'https://notnhk.or.jp/'));
+  assert.ok(!patternMatches('nhk.or.jp', 'https://nhk.or.jp.example.com/'));
+});
+
+test('an origin matches only that exact origin', () => {
+  assert.ok(patternMatches('https://www.youtube.com', 'https://www.youtube.com/watch?v=1'));
+  assert.ok(patternMatches('https://www.youtube.com/', 'https://www.youtube.com/'));
+  assert.ok(!patternMatches('https://www.youtube.com', 'https://m.youtube.com/watch?v=1'));
+  assert.ok(!patternMatches('https://www.youtube.com', 'http://www.youtube.com/'));
+});
+
+test('URL patterns are prefixes with * wildcards, with or without a scheme', () => {
+  assert.ok(patternMatches('https://www.youtube.com/@canal/*', 'https://www.youtube.com/@canal/videos'));
+  assert.ok(!patternMatches('https://www.youtube.com/@canal/*', 'https://www.youtube.com/@other/videos'));
+  assert.ok(patternMatches('youtube.com/watch*', 'https://youtube.com/watch?v=abc'));
+  assert.ok(patternMatches('*.youtube.com/watch', 'https://www.youtube.com/watch?v=abc'));
+  assert.ok(patternMatches('https://example.com/news', 'https://example.com/news/today'));
+  // Regex characters in patterns are literal.
+  assert.ok(!patternMatches('example.com/a.b', 'https://example.com/axb'));
+});
+
+test('patterns are case-insensitive and bad input never matches', () => {
+  assert.ok(patternMatches('YouTube.com', 'https://www.youtube.com/'));
+  assert.ok(!patternMatches('', 'https://example.com/'));
+  assert.ok(!patternMatches('example.com', 'not a url'));
+});
+
+test('findSiteRule prefers the most specific matching pattern', () => {
+  const rules = [
+    { id: 'a', pattern: 'youtube.com', targetLanguage: 'en' },
+    { id: 'b', pattern: 'https://www.youtube.com/@canal/*', targetLanguage: 'fr' },
+    { id: 'c', pattern: 'nhk.or.jp', targetLanguage: 'en' }
+  ];
+  assert.equal(findSiteRule(rules, 'https://www.youtube.com/@canal/live').id, 'b');
+  assert.equal(findSiteRule(rules, 'https://www.youtube.com/watch?v=1').id, 'a');
+  assert.equal(findSiteRule(rules, 'https://example.com/'), null);
+  assert.equal(findSiteRule(undefined, 'https://example.com/'), null);
+});
+
+test('sitePattern is the origin of http(s) pages only', () => {
+  assert.equal(sitePattern('https://www3.nhk.or.jp/news/?a=1'), 'https://www3.nhk.or.jp');
+  assert.equal(sitePattern('chrome://extensions'), null);
+  assert.equal(sitePattern('garbage'), null);
+});
+
+test('upsertSiteRule replaces a rule with the same pattern and keeps its id', () => {
+  const rules = [{ id: 'x', pattern: 'https://a.com', targetLanguage: 'en' }];
+  const replaced = upsertSiteRule(rules, { id: 'y', pattern: 'https://A.com', targetLanguage: 'de' });
+  assert.deepEqual(replaced, [{ id: 'x', pattern: 'https://A.com', targetLanguage: 'de' }]);
+  assert.equal(rules[0].targetLanguage, 'en');
+  const added = upsertSiteRule(rules, { id: 'z', pattern: 'b.com' });
+  assert.equal(added.length, 2);
+});
+
+test('saving rules says why sync storage refused them', async () => {
+  const rules = [{ id: 'site-1', pattern: 'nhk.or.jp', vocabulary: '' }];
+  const saved = {};
+  const storage = { set: async (items) => Object.assign(saved, items) };
+  assert.equal(await saveSiteRules(storage, rules), null);
+  assert.deepEqual(saved.siteRules, rules);
+
+  const refusing = (message) => ({
+    set: async () => {
+      throw new Error(message);
+    }
+  });
+  assert.match(
+    await saveSiteRules(refusing('QUOTA_BYTES_PER_ITEM quota exceeded'), rules),
+    /Too much to sync/
+  );
+  assert.match(
+    await saveSiteRules(refusing('MAX_WRITE_OPERATIONS_PER_MINUTE quota exceeded'), rules),
+    /Wait a minute/
+  );
+  assert.equal(await saveSiteRules(refusing('Boom'), rules), 'Could not save: Boom');
+});
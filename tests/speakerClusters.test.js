@@ -0,0 +1,49 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  createSpeakerClusters,
+  assignSpeaker,
+  cosineSimilarity
+} from '../offscreen/speakerClusters.js';
+
+// Two clearly different voices, and small variations of each.
+const ALICE = [1, 0, 0, 0];
+const BOB = [0, 1, 0, 0];
+const nudge = (vector, i, by) => vector.map((x, j) => (j === i ? x + by : x));
+
+test('cosineSimilarity ignores length', () => {
+  assert.equal(cosineSimilarity([1, 2], [2, 4]), 1);
+  assert.equal(cosineSimilarity([1, 0], [0, 3]), 0);
+  assert.equal(cosineSimilarity([0, 0], [1, 0]), 0);
+});
+
+test('voices are numbered in order of first appearance', () => {
+  const clusters = createSpeakerClusters();
+  assert.equal(assignSpeaker(clusters, ALICE), 1);
+  assert.equal(assignSpeaker(clusters, BOB), 2);
+  assert.equal(assignSpeaker(clusters, nudge(ALICE, 2, 0.2)), 1);
+  assert.equal(assignSpeaker(clusters, nudge(BOB, 3, 0.2)), 2);
+  assert.equal(clusters.speakers.length, 2);
+});
+
+test('the previous speaker wins a borderline chunk', () => {
+  // About 0.78 similar to Alice: just under the threshold.
+  const borderline = [1, 0, 0.8, 0];
+  const afterAlice = createSpeakerClusters();
+  assignSpeaker(afterAlice, ALICE);
+  assert.equal(assignSpeaker(afterAlice, borderline), 1);
+
+  const afterBob = createSpeakerClusters();
+  assignSpeaker(afterBob, ALICE);
+  assignSpeaker(afterBob, BOB);
+  assert.equal(assignSpeaker(afterBob, borderline), 3, 'no bonus once someone else spoke');
+});
+
+test('past maxSpeakers, new voices join the closest speaker', () => {
+  const clusters = createSpeakerClusters();
+  const options = { maxSpeakers: 2 };
+  assignSpeaker(clusters, ALICE, options);
+  assignSpeaker(clusters, BOB, options);
+  assert.equal(assignSpeaker(clusters, [0.2, 1, 1, 1], options), 2);
+  assert.equal(clusters.speakers.length, 2);
+});
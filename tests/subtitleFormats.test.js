@@ -0,0 +1,95 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  formatTimestamp,
+  parseTimestamp,
+  cueLines,
+  toSrt,
+  toVtt,
+  toText,
+  speakerLabel,
+  buildSubtitleFile
+} from '../shared/subtitleFormats.js';
+
+const cues = [
+  { start: 0.5, end: 4.25, text: 'Hello, how are you?', original: 'Hola, ¿cómo estás?' },
+  { start: 3723.5, end: 3726, text: 'Fine.', original: 'Fine.' }
+];
+
+test('formatTimestamp pads hours, minutes, seconds and milliseconds', () => {
+  assert.equal(formatTimestamp(0), '00:00:00,000');
+  assert.equal(formatTimestamp(3723.5), '01:02:03,500');
+  assert.equal(formatTimestamp(61.0456, '.'), '00:01:01.046');
+  assert.equal(formatTimestamp(-1), '00:00:00,000');
+});
+
+test('parseTimestamp reads back formatted times and shorter forms', () => {
+  assert.equal(parseTimestamp(formatTimestamp(3723.5)), 3723.5);
+  assert.equal(parseTimestamp(formatTimestamp(61.25, '.')), 61.25);
+  assert.equal(parseTimestamp('1:02.5'), 62.5);
+  assert.equal(parseTimestamp(' 62.5 '), 62.5);
+  assert.equal(parseTimestamp('soon'), null);
+  assert.equal(parseTimestamp(''), null);
+});
+
+test('cueLines picks the requested language and never repeats identical text', () => {
+  assert.deepEqual(cueLines(cues[0], 'translated'), ['Hello, how are you?']);
+  assert.deepEqual(cueLines(cues[0], 'original'), ['Hola, ¿cómo estás?']);
+  assert.deepEqual(cueLines(cues[0], 'both'), ['Hello, how are you?', 'Hola, ¿cómo estás?']);
+  assert.deepEqual(cueLines(cues[1], 'both'), ['Fine.']);
+});
+
+test('toSrt numbers cues and uses comma milliseconds', () => {
+  assert.equal(
+    toSrt(cues, 'both'),
+    '1\n00:00:00,500 --> 00:00:04,250\nHello, how are you?\nHola, ¿cómo estás?\n\n' +
+      '2\n01:02:03,500 --> 01:02:06,000\nFine.\n'
+  );
+});
+
+test('toVtt writes the header and dot milliseconds', () => {
+  assert.equal(
+    toVtt(cues.slice(0, 1), 'original'),
+    'WEBVTT\n\n00:00:00.500 --> 00:00:04.250\nHola, ¿cómo estás?\n'
+  );
+});
+
+test('toVtt escapes markup in cue text but keeps voice tags', () => {
+  const cue = { start: 0, end: 1, text: 'Fish & chips <3 -> x --> y', speaker: 1 };
+  assert.equal(
+    toVtt([cue]),
+    'WEBVTT\n\n00:00:00.000 --> 00:00:01.000\n' +
+      '<v Speaker 1>Fish &amp; chips &lt;3 -&gt; x --&gt; y\n'
+  );
+  assert.match(toSrt([cue]), /Speaker 1: Fish & chips <3 -> x --> y\n$/, 'only WebVTT is markup');
+});
+
+test('toText joins cue text without timings', () => {
+  assert.equal(toText(cues), 'Hello, how are you?\n\nFine.\n');
+});
+
+test('buildSubtitleFile skips empty cues and rejects unknown formats', () => {
+  const file = buildSubtitleFile([{ start: 0, end: 1, text: '', original: '' }, ...cues], 'srt');
+  assert.equal(file.extension, 'srt');
+  assert.match(file.text, /^1\n00:00:00,500/);
+  assert.throws(() => buildSubtitleFile(cues, 'ass'));
+});
+
+test('cues with a speaker are labelled in every format', () => {
+  const spoken = [
+    { start: 0, end: 2, text: 'Ready?', original: '¿Listo?', speaker: 1 },
+    { start: 2, end: 3, text: 'Yes.', original: 'Sí.', speaker: 2 }
+  ];
+  assert.equal(speakerLabel(spoken[1]), 'Speaker 2');
+  assert.equal(speakerLabel(cues[0]), '');
+  assert.equal(
+    toSrt(spoken, 'both'),
+    '1\n00:00:00,000 --> 00:00:02,000\nSpeaker 1: Ready?\n¿Listo?\n\n' +
+      '2\n00:00:02,000 --> 00:00:03,000\nSpeaker 2: Yes.\nSí.\n'
+  );
+  assert.equal(
+    toVtt(spoken.slice(1)),
+    'WEBVTT\n\n00:00:02.000 --> 00:00:03.000\n<v Speaker 2>Yes.\n'
+  );
+  assert.equal(toText(spoken), 'Speaker 1: Ready?\n\nSpeaker 2: Yes.\n');
+});
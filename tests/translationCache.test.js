@@ -0,0 +1,51 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  normalizeCacheText,
+  translationCacheKey,
+  planEviction
+} from '../shared/translationCache.js';
+
+const DAY = 24 * 3600 * 1000;
+
+test('keys ignore spacing differences but not case or punctuation', () => {
+  const google = { id: 'google', type: 'google' };
+  assert.equal(normalizeCacheText('  Good   evening,\nand welcome '), 'Good evening, and welcome');
+  assert.equal(
+    translationCacheKey(google, 'en', 'de', 'Good  evening.'),
+    translationCacheKey(google, 'en', 'de', ' Good evening. ')
+  );
+  assert.notEqual(
+    translationCacheKey(google, 'en', 'de', 'Good evening.'),
+    translationCacheKey(google, 'en', 'de', 'Good evening?')
+  );
+  assert.notEqual(
+    translationCacheKey(google, 'en', 'de', 'Hello'),
+    translationCacheKey({ id: 'deepl-1', type: 'deepl' }, 'en', 'de', 'Hello')
+  );
+  assert.notEqual(
+    translationCacheKey(google, 'en', 'de', 'Hello'),
+    translationCacheKey(google, 'en', 'fr', 'Hello')
+  );
+});
+
+test('entries past the age limit are evicted', () => {
+  const now = 100 * DAY;
+  const entries = [
+    { key: 'old', bytes: 10, storedAt: now - 91 * DAY, usedAt: now },
+    { key: 'new', bytes: 10, storedAt: now - 89 * DAY, usedAt: now - 89 * DAY }
+  ];
+  assert.deepEqual(planEviction(entries, { now }), ['old']);
+});
+
+test('the least recently used entries go first when over the size limit', () => {
+  const now = 10 * DAY;
+  const entries = [
+    { key: 'a', bytes: 40, storedAt: now, usedAt: now - 3 },
+    { key: 'b', bytes: 40, storedAt: now, usedAt: now - 1 },
+    { key: 'c', bytes: 40, storedAt: now, usedAt: now - 2 }
+  ];
+  assert.deepEqual(planEviction(entries, { now, maxBytes: 100 }), ['a']);
+  assert.deepEqual(planEviction(entries, { now, maxBytes: 40 }), ['a', 'c']);
+  assert.deepEqual(planEviction(entries, { now, maxBytes: 120 }), []);
+});
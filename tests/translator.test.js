@@ -1,6 +1,19 @@
 import { test } from 'node:test';
 import assert from 'node:assert/strict';
-import { parseGoogleTranslateResponse } from '../offscreen/translator.js';
+import {
+  parseGoogleTranslateResponse,
+  renderTemplate,
+  jsonEscape,
+  getPath,
+  translate,
+  clearTranslationCache,
+  providerOrigins,
+  setLocalBackend,
+  setHealthListener,
+  resetProviderHealth,
+  setPersistentCache,
+  DEFAULT_PROVIDERS
+} from '../offscreen/translator.js';
 
 test('joins all translated segments, not just the first', () => {
   const response = [
@@ -19,3 +32,287 @@ test('throws on unexpected response shapes', () => {
   assert.throws(() => parseGoogleTranslateResponse({}));
   assert.throws(() => parseGoogleTranslateResponse(['nope']));
 });
+
+function stubFetch(handler) {
+  const calls = [];
+  const original = globalThis.fetch;
+  globalThis.fetch = async (url, init = {}) => {
+    calls.push({ url: String(url), init });
+    const { status = 200, body } = await handler(String(url), init);
+    return { ok: status >= 200 && status < 300, status, json: async () => body };
+  };
+  return { calls, restore: () => (globalThis.fetch = original) };
+}
+
+test('renderTemplate escapes values for where they are used', () => {
+  const values = { text: 'say "hi" & bye', source: 'en', target: 'fr' };
+  assert.equal(
+    renderTemplate('{"q":"{{text}}","to":"{{ target }}"}', values, jsonEscape),
+    '{"q":"say \\"hi\\" & bye","to":"fr"}'
+  );
+  assert.equal(
+    renderTemplate('https://mt.local/t?q={{text}}&sl={{source}}', values, encodeURIComponent),
+    'https://mt.local/t?q=say%20%22hi%22%20%26%20bye&sl=en'
+  );
+  assert.equal(renderTemplate('{{unknown}}', values), '{{unknown}}');
+});
+
+test('getPath follows dotted and indexed paths', () => {
+  const data = { data: { translations: [{ translatedText: 'Bonjour' }] } };
+  assert.equal(getPath(data, 'data.translations[0].translatedText'), 'Bonjour');
+  assert.equal(getPath(data, 'data.translations.0.translatedText'), 'Bonjour');
+  assert.equal(getPath(data, 'data.missing.text'), undefined);
+});
+
+test('falls back along the chain and skips disabled providers', async () => {
+  clearTranslationCache();
+  const { calls, restore } = stubFetch((url) =>
+    url.startsWith('https://mt.internal')
+      ? { body: { translatedText: 'Bonjour' } }
+      : { status: 403 }
+  );
+  try {
+    const providers = [
+      { id: 'a', type: 'google', enabled: true },
+      { id: 'b', type: 'deepl', enabled: false, apiKey: 'k' },
+      { id: 'c', type: 'libre', enabled: true, url: 'https://mt.internal/' }
+    ];
+    assert.equal(await translate('Hello', 'fr', 'en', { providers }), 'Bonjour');
+    assert.equal(calls.length, 2);
+    assert.equal(calls[1].url, 'https://mt.internal/translate');
+  } finally {
+    restore();
+  }
+});
+
+test('an empty translation falls through to the next provider', async () => {
+  clearTranslationCache();
+  const { calls, restore } = stubFetch((url) =>
+    url.startsWith('https://mt.internal')
+      ? { body: { translatedText: 'Bonjour' } }
+      : { body: [[['  ', 'Hello']]] }
+  );
+  try {
+    const providers = [
+      { id: 'a', type: 'google', enabled: true },
+      { id: 'c', type: 'libre', enabled: true, url: 'https://mt.internal/' }
+    ];
+    assert.equal(await translate('Hello', 'fr', 'en', { providers }), 'Bonjour');
+    assert.equal(calls.length, 2);
+    await assert.rejects(
+      translate('Hello there', 'fr', 'en', { providers: providers.slice(0, 1) }),
+      /google: Empty translation/
+    );
+  } finally {
+    restore();
+  }
+});
+
+test('DeepL uses the free host for :fx keys and regional target codes', async () => {
+  clearTranslationCache();
+  const { calls, restore } = stubFetch(() => ({ body: { translations: [{ text: 'Hallo' }] } }));
+  try {
+    const providers = [{ id: 'd', type: 'deepl', enabled: true, apiKey: 'abc:fx' }];
+    assert.equal(await translate('Hi there', 'en', 'de', { providers }), 'Hallo');
+    assert.equal(calls[0].url, 'https://api-free.deepl.com/v2/translate');
+    assert.equal(calls[0].init.headers.Authorization, 'DeepL-Auth-Key abc:fx');
+    assert.deepEqual(JSON.parse(calls[0].init.body), {
+      text: ['Hi there'],
+      target_lang: 'EN-US',
+      source_lang: 'DE'
+    });
+  } finally {
+    restore();
+  }
+});
+
+test('DeepL receives the previous sentence as context', async () => {
+  clearTranslationCache();
+  const { calls, restore } = stubFetch(() => ({ body: { translations: [{ text: 'Er kam.' }] } }));
+  try {
+    const providers = [{ id: 'd', type: 'deepl', enabled: true, apiKey: 'k' }];
+    await translate('He came.', 'de', 'en', { providers, context: 'Tom was late.' });
+    assert.equal(JSON.parse(calls[0].init.body).context, 'Tom was late.');
+  } finally {
+    restore();
+  }
+});
+
+test('the HTTP provider renders its template and reads the response path', async () => {
+  clearTranslationCache();
+  const { calls, restore } = stubFetch(() => ({ body: { result: { text: ' Hola ' } } }));
+  try {
+    const providers = [
+      {
+        id: 'h',
+        type: 'http',
+        enabled: true,
+        url: 'https://mt.example.com/api',
+        method: 'POST',
+        headers: '{"X-Key": "secret"}',
+        body: '{"input":"{{text}}","lang":"{{target}}"}',
+        responsePath: 'result.text'
+      }
+    ];
+    assert.equal(await translate('Hello', 'es', 'en', { providers }), 'Hola');
+    assert.deepEqual(JSON.parse(calls[0].init.body), { input: 'Hello', lang: 'es' });
+    assert.equal(calls[0].init.headers['X-Key'], 'secret');
+    assert.equal(calls[0].init.headers['Content-Type'], 'application/json');
+  } finally {
+    restore();
+  }
+});
+
+test('throws with every failure when the whole chain fails', async () => {
+  clearTranslationCache();
+  const { restore } = stubFetch(() => ({ status: 500 }));
+  try {
+    await assert.rejects(
+      translate('Hello again', 'fr', 'en', { providers: DEFAULT_PROVIDERS }),
+      /google: .*500.*libre: .*500/
+    );
+  } finally {
+    restore();
+  }
+});
+
+test('a provider that keeps failing is skipped and reported as paused', async () => {
+  clearTranslationCache();
+  resetProviderHealth();
+  const reports = [];
+  setHealthListener((health) => reports.push(health));
+  const { calls, restore } = stubFetch((url) =>
+    url.startsWith('https://api.deepl.com')
+      ? { body: { translations: [{ text: 'Salut' }] } }
+      : { status: 403 }
+  );
+  try {
+    const providers = [
+      { id: 'g', type: 'google', enabled: true },
+      { id: 'd', type: 'deepl', enabled: true, apiKey: 'k' }
+    ];
+    for (const text of ['One', 'Two', 'Three']) await translate(text, 'fr', 'en', { providers });
+    assert.equal(calls.length, 6);
+
+    calls.length = 0;
+    assert.equal(await translate('Four', 'fr', 'en', { providers }), 'Salut');
+    assert.deepEqual(
+      calls.map((call) => call.url),
+      ['https://api.deepl.com/v2/translate'],
+      'Google is not asked again'
+    );
+    const google = reports.at(-1).find((h) => h.id === 'g');
+    assert.equal(google.label, 'Google Translate (free)');
+    assert.equal(google.status, 'paused');
+    assert.equal(google.error, 'Google Translate HTTP 403');
+  } finally {
+    setHealthListener(null);
+    resetProviderHealth();
+    restore();
+  }
+});
+
+test('the persistent cache answers before any provider is asked', async () => {
+  clearTranslationCache();
+  const stored = new Map();
+  setPersistentCache({
+    get: async (keys) => keys.map((key) => stored.get(key)).find((v) => v !== undefined),
+    put: async (key, value) => stored.set(key, value)
+  });
+  const { calls, restore } = stubFetch(() => ({
+    body: { translations: [{ text: 'Guten Abend' }] }
+  }));
+  const providers = [
+    { id: 'g', type: 'google', enabled: false },
+    { id: 'd', type: 'deepl', enabled: true, apiKey: 'k' }
+  ];
+  try {
+    assert.equal(await translate('Good evening', 'de', 'en', { providers }), 'Guten Abend');
+    assert.equal(calls.length, 1);
+    assert.equal(stored.size, 1);
+
+    // A new document: the memory cache is gone, the disk cache is not.
+    clearTranslationCache();
+    const withGoogle = [{ ...providers[0], enabled: true }, providers[1]];
+    assert.equal(
+      await translate('Good  evening', 'de', 'en', { providers: withGoogle }),
+      'Guten Abend'
+    );
+    assert.equal(calls.length, 1, 'DeepL\'s cached line beats asking Google');
+  } finally {
+    setPersistentCache(null);
+    restore();
+  }
+});
+
+test('providerOrigins lists the hosts enabled providers need', () => {
+  assert.deepEqual(
+    providerOrigins([
+      { type: 'google', enabled: true },
+      { type: 'libre', enabled: true, url: 'http://10.0.0.5:5000' },
+      { type: 'deepl', enabled: true, apiKey: 'pro-key' },
+      { type: 'http', enabled: false, url: 'https://skipped.example.com' },
+      { type: 'http', enabled: true, url: 'https://mt.example.com/x?q={{text}}' }
+    ]),
+    [
+      'https://translate.googleapis.com/*',
+      'http://10.0.0.5:5000/*',
+      'https://api.deepl.com/*',
+      'https://mt.example.com/*'
+    ]
+  );
+});
+
+test('the local provider fails over until a backend is plugged in', async () => {
+  clearTranslationCache();
+  const { restore } = stubFetch(() => ({ body: [[['Bonjour', 'Hello']]] }));
+  const providers = [
+    { id: 'l', type: 'local', enabled: true, model: 'opus-mt' },
+    { id: 'g', type: 'google', enabled: true }
+  ];
+  try {
+    assert.equal(await translate('Hello', 'fr', 'en', { providers }), 'Bonjour');
+
+    clearTranslationCache();
+    const seen = [];
+    setLocalBackend(async (text, source, target, config) => {
+      seen.push([text, source, target, config.model]);
+      return 'Salut';
+    });
+    assert.equal(await translate('Hello', 'fr', 'en', { providers }), 'Salut');
+    assert.deepEqual(seen, [['Hello', 'en', 'fr', 'opus-mt']]);
+  } finally {
+    setLocalBackend(null);
+    restore();
+  }
+});
+
+test('glossary terms are masked from the provider and restored afterwards', async () => {
+  clearTranslationCache();
+  const { calls, restore } = stubFetch((url, init) => {
+    const { q } = JSON.parse(init.body);
+    // A translator that passes placeholders through, with a stray space.
+    return { body: { translatedText: q.replace('Hola', 'Hello').replace('⟦0⟧', '⟦ 0 ⟧') } };
+  });
+  try {
+    const providers = [{ id: 'l', type: 'libre', enabled: true, url: 'https://mt.internal' }];
+    const glossaries = [
+      {
+        id: 'g',
+        source: 'es',
+        target: 'en',
+        entries: [
+          { type: 'keep', from: 'Manzana', to: '' },
+          { type: 'map', from: 'Oso Feliz', to: 'Happy Bear' },
+          { type: 'replace', from: '/hello/i', to: 'Hi' }
+        ]
+      }
+    ];
+    const options = { providers, glossaries };
+    const result = await translate('Hola Manzana y Oso Feliz', 'en', 'es', options);
+    assert.equal(JSON.parse(calls[0].init.body).q, 'Hola ⟦0⟧ y ⟦1⟧');
+    assert.equal(result, 'Hi Manzana y Happy Bear');
+  } finally {
+    restore();
+  }
+});
@@ -0,0 +1,158 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createTransport, backoffDelay, isRetryable, httpError } from '../offscreen/transport.js';
+
+/** A transport on a fake clock that sleep() moves forward. */
+function fakeTransport() {
+  const world = { clock: 0, sleeps: [], health: [] };
+  world.transport = createTransport({
+    now: () => world.clock,
+    sleep: async (ms) => {
+      world.sleeps.push(ms);
+      world.clock += ms;
+    },
+    random: () => 0.5,
+    onHealth: (health) => world.health.push(health)
+  });
+  return world;
+}
+
+function status(code, retryAfter) {
+  const headers = new Map(retryAfter ? [['retry-after', String(retryAfter)]] : []);
+  return httpError(`HTTP ${code}`, { status: code, headers });
+}
+
+function deferred() {
+  let resolve;
+  const promise = new Promise((r) => (resolve = r));
+  return { promise, resolve };
+}
+
+test('backoff doubles per attempt, with jitter and a cap', () => {
+  const options = { baseDelayMs: 100, maxDelayMs: 1000 };
+  assert.equal(backoffDelay(0, options, () => 1), 100);
+  assert.equal(backoffDelay(3, options, () => 1), 800);
+  assert.equal(backoffDelay(6, options, () => 1), 1000);
+  assert.equal(backoffDelay(3, options, () => 0.5), 400);
+  assert.equal(backoffDelay(3, options, () => 0), 0);
+});
+
+test('rate limits, server and network errors are retryable; others are not', () => {
+  assert.ok(isRetryable(status(429)));
+  assert.ok(isRetryable(status(503)));
+  assert.ok(isRetryable(new TypeError('Failed to fetch')));
+  assert.ok(!isRetryable(status(403)));
+  assert.ok(!isRetryable(new Error('Unexpected DeepL response')));
+  assert.equal(status(429, 30).retryAfter, 30);
+});
+
+test('requests beyond the concurrency limit wait their turn', async () => {
+  const { transport } = fakeTransport();
+  const gates = [deferred(), deferred(), deferred()];
+  const started = [];
+  const options = { concurrency: 2, perSecond: 1000 };
+  const runs = gates.map((gate, i) =>
+    transport.run('p', () => (started.push(i), gate.promise), options)
+  );
+  await new Promise((r) => setTimeout(r, 0));
+  assert.deepEqual(started, [0, 1]);
+  gates[0].resolve('a');
+  await runs[0];
+  await new Promise((r) => setTimeout(r, 0));
+  assert.deepEqual(started, [0, 1, 2]);
+  gates[1].resolve('b');
+  gates[2].resolve('c');
+  assert.deepEqual(await Promise.all(runs), ['a', 'b', 'c']);
+});
+
+test('request starts are spaced to the rate limit', async () => {
+  const world = fakeTransport();
+  const starts = [];
+  const options = { concurrency: 5, perSecond: 2 };
+  await Promise.all(
+    [1, 2, 3].map(() => world.transport.run('p', async () => starts.push(world.clock), options))
+  );
+  assert.deepEqual(starts, [0, 500, 1000]);
+});
+
+test('a rate-limited request is retried after a backoff', async () => {
+  const world = fakeTransport();
+  let calls = 0;
+  const result = await world.transport.run('p', async () => {
+    if (++calls === 1) throw status(429);
+    return 'ok';
+  });
+  assert.equal(result, 'ok');
+  assert.equal(calls, 2);
+  assert.deepEqual(world.sleeps, [200]);
+  assert.equal(world.transport.health()[0].status, 'ok');
+});
+
+test('repeated failures open the circuit until the cooldown ends', async () => {
+  const world = fakeTransport();
+  const options = {
+    retries: 0,
+    failureThreshold: 2,
+    cooldownMs: 10000,
+    perSecond: 1000,
+    label: 'Google'
+  };
+  let calls = 0;
+  const failing = async () => {
+    calls++;
+    throw status(503);
+  };
+  await assert.rejects(world.transport.run('g', failing, options), /503/);
+  assert.equal(world.transport.health()[0].status, 'failing');
+  await assert.rejects(world.transport.run('g', failing, options), /503/);
+
+  await assert.rejects(world.transport.run('g', failing, options), (error) => error.circuitOpen);
+  assert.equal(calls, 2, 'skipped without a request');
+  assert.deepEqual(world.transport.health(), [
+    { id: 'g', label: 'Google', status: 'paused', failures: 2, error: 'HTTP 503', retryAt: 10001 }
+  ]);
+
+  // One trial after the cooldown; it works, so the provider is back.
+  world.clock = 10001;
+  assert.equal(await world.transport.run('g', async () => 'back', options), 'back');
+  assert.equal(world.transport.health()[0].status, 'ok');
+  assert.deepEqual(world.health.map((h) => h[0].status), ['failing', 'paused', 'ok']);
+});
+
+test('a failed trial reopens the circuit at once', async () => {
+  const world = fakeTransport();
+  const options = { failureThreshold: 1, cooldownMs: 1000 };
+  await assert.rejects(world.transport.run('p', async () => Promise.reject(status(400)), options));
+  world.clock = 1000;
+  let calls = 0;
+  const failing = async () => {
+    calls++;
+    throw status(503);
+  };
+  await assert.rejects(world.transport.run('p', failing, options), /503/);
+  assert.equal(calls, 1, 'no retries for a trial');
+  assert.equal(world.transport.health()[0].retryAt, 2000);
+});
+
+test('a long Retry-After pauses the provider for that long', async () => {
+  const world = fakeTransport();
+  await assert.rejects(world.transport.run('p', async () => Promise.reject(status(429, 120))));
+  assert.deepEqual(world.sleeps, [], 'too long to wait for');
+  const [health] = world.transport.health();
+  assert.equal(health.status, 'paused');
+  assert.equal(health.retryAt, 120000);
+});
+
+test('slow requests are aborted after the timeout', async () => {
+  const { transport } = fakeTransport();
+  let signal;
+  const hanging = (s) => {
+    signal = s;
+    return new Promise(() => {});
+  };
+  await assert.rejects(
+    transport.run('p', hanging, { timeoutMs: 10, retries: 0 }),
+    (error) => error.timeout && /timed out/.test(error.message)
+  );
+  assert.equal(signal.aborted, true);
+});
@@ -0,0 +1,103 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  createSegmenter,
+  pushProbability,
+  flushSegmenter,
+  createFramer,
+  VAD_FRAME_SIZE
+} from '../offscreen/vadSegmenter.js';
+
+const FRAME = VAD_FRAME_SIZE / 16000; // 32 ms
+
+/** Feed a run of frames with the same probability; collect segments. */
+function feed(state, probability, seconds, out = []) {
+  for (let i = 0; i < Math.round(seconds / FRAME); i++) {
+    const segment = pushProbability(state, probability);
+    if (segment) out.push(segment);
+  }
+  return out;
+}
+
+function near(actual, expected) {
+  assert.ok(Math.abs(actual - expected) < 0.05, `${actual} ≉ ${expected}`);
+}
+
+test('emits a padded segment after enough silence', () => {
+  const state = createSegmenter();
+  const segments = [];
+  feed(state, 0.05, 1, segments);
+  feed(state, 0.9, 2, segments);
+  assert.equal(segments.length, 0);
+  feed(state, 0.05, 0.5, segments);
+  assert.equal(segments.length, 1);
+  near(segments[0].start, 0.9);
+  near(segments[0].end, 3.1);
+});
+
+test('short dips and mid-range frames do not end speech', () => {
+  const state = createSegmenter();
+  const segments = [];
+  feed(state, 0.9, 1, segments);
+  feed(state, 0.1, 0.16, segments); // shorter than minSilence
+  feed(state, 0.4, 0.5, segments); // between the two thresholds
+  feed(state, 0.9, 1, segments);
+  assert.equal(segments.length, 0);
+  assert.equal(state.triggered, true);
+});
+
+test('drops blips shorter than minSpeech', () => {
+  const state = createSegmenter();
+  const segments = feed(state, 0.9, 0.1);
+  feed(state, 0.05, 1, segments);
+  assert.deepEqual(segments, []);
+});
+
+test('splits continuous speech at maxSpeech', () => {
+  const state = createSegmenter({ maxSpeechSeconds: 3 });
+  const segments = feed(state, 0.9, 7);
+  assert.equal(segments.length, 2);
+  near(segments[0].end, 3.1);
+  near(segments[1].start, 2.9);
+  const last = flushSegmenter(state);
+  assert.ok(last && last.end > 6.9);
+  assert.equal(flushSegmenter(state), null);
+});
+
+test('framer resamples 48 kHz batches into 16 kHz frames', () => {
+  const push = createFramer(48000);
+  const ramp = (from, n) => Float32Array.from({ length: n }, (_, i) => (from + i) / 1e5);
+  const frames = [];
+  // Uneven batch sizes, as the worklet may deliver.
+  let offset = 0;
+  for (const n of [2048, 1000, 3000, 2048]) {
+    frames.push(...push(ramp(offset, n)));
+    offset += n;
+  }
+  assert.equal(frames.length, Math.floor(offset / 3 / VAD_FRAME_SIZE));
+  // Every third input sample, without gaps across batch boundaries.
+  const flat = frames.flatMap((f) => Array.from(f));
+  flat.forEach((v, i) => assert.ok(Math.abs(v - (3 * i) / 1e5) < 1e-6, `sample ${i}`));
+});
+
+test('framer interpolates between samples for non-integer ratios', () => {
+  const push = createFramer(44100);
+  const input = Float32Array.from({ length: 44100 }, (_, i) => i / 44100);
+  const frames = push(input);
+  assert.equal(frames.length, Math.floor(16000 / VAD_FRAME_SIZE));
+  near(frames[10][100], ((10 * VAD_FRAME_SIZE + 100) * 44100) / 16000 / 44100);
+});
+
+test('framer output does not depend on how the input is batched', () => {
+  const input = Float32Array.from({ length: 20000 }, (_, i) => Math.sin(i / 7) * 0.5);
+  for (const rate of [44100, 48000, 22050]) {
+    const whole = createFramer(rate)(input);
+    const push = createFramer(rate);
+    const batched = [];
+    for (let offset = 0, n = 1; offset < input.length; offset += n, n = (n * 7 + 3) % 997) {
+      batched.push(...push(input.subarray(offset, offset + n)));
+    }
+    assert.ok(whole.length > 0);
+    assert.deepEqual(batched, whole, `${rate} Hz`);
+  }
+});
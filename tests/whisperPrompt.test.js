@@ -0,0 +1,87 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  MAX_PROMPT_TOKENS,
+  parseVocabulary,
+  trimContext,
+  buildPromptIds
+} from '../offscreen/whisperPrompt.js';
+
+// One token per word (with its leading space), so counts are easy to check.
+const vocab = new Map();
+function encode(text) {
+  return (text.match(/\s*\S+/g) || []).map((word) => {
+    if (!vocab.has(word)) vocab.set(word, vocab.size);
+    return vocab.get(word);
+  });
+}
+function decode(ids) {
+  const words = [...vocab.keys()];
+  return ids.map((id) => words[id]).join('');
+}
+
+test('parseVocabulary splits on commas, newlines and semicolons, dropping repeats', () => {
+  assert.deepEqual(parseVocabulary('Kubernetes, kubectl\nGrafana;  ;KUBERNETES'), [
+    'Kubernetes',
+    'kubectl',
+    'Grafana'
+  ]);
+  assert.deepEqual(parseVocabulary('東京、大阪'), ['東京', '大阪']);
+  assert.deepEqual(parseVocabulary(undefined), []);
+});
+
+test('the prompt lists the vocabulary, then the recent transcript', () => {
+  const ids = buildPromptIds({
+    vocabulary: ['Kubernetes', 'Grafana'],
+    context: 'and then we deployed it.',
+    encode
+  });
+  assert.equal(decode(ids), ' Kubernetes, Grafana. and then we deployed it.');
+});
+
+test('an empty prompt has no tokens', () => {
+  assert.deepEqual(buildPromptIds({ vocabulary: [], context: '  ', encode }), []);
+});
+
+test('context is cut from its start to stay within the token limit', () => {
+  const words = Array.from({ length: 400 }, (_, i) => `w${i}`);
+  const ids = buildPromptIds({
+    vocabulary: ['Alpha', 'Beta'],
+    context: words.join(' '),
+    encode,
+    maxTokens: 50
+  });
+  assert.equal(ids.length, 50);
+  const text = decode(ids);
+  assert.ok(text.startsWith(' Alpha, Beta.'));
+  assert.ok(text.endsWith(' w399'), 'keeps the most recent words');
+
+  // One token per character: far more tokens than Whisper's limit.
+  const perChar = (t) => [...t].map((c) => c.charCodeAt(0));
+  const full = buildPromptIds({ vocabulary: ['Alpha'], context: words.join(' '), encode: perChar });
+  assert.equal(full.length, MAX_PROMPT_TOKENS);
+});
+
+test('an oversized vocabulary drops terms from the end and leaves no room for context', () => {
+  const terms = Array.from({ length: 300 }, (_, i) => `term${i}`);
+  const ids = buildPromptIds({ vocabulary: terms, context: 'recent words', encode });
+  assert.ok(ids.length <= MAX_PROMPT_TOKENS);
+  const text = decode(ids);
+  assert.ok(text.startsWith(' term0, term1,'));
+  assert.ok(text.endsWith('.'), 'the list is still a complete sentence');
+  assert.ok(!text.includes('recent'));
+});
+
+test('a custom limit is respected', () => {
+  const ids = buildPromptIds({ vocabulary: ['a', 'b', 'c'], context: 'x y z', encode, maxTokens: 5 });
+  assert.equal(decode(ids), ' a, b, c. y z');
+});
+
+test('trimContext keeps the tail of long transcripts, starting at a word', () => {
+  assert.equal(trimContext('  one   two\nthree '), 'one two three');
+  const long = `${'start '.repeat(200)}the very end`;
+  const trimmed = trimContext(long, 30);
+  assert.ok(trimmed.length <= 30);
+  assert.ok(trimmed.endsWith('the very end'));
+  assert.ok(!trimmed.startsWith('tart'));
+});
@@ -0,0 +1,268 @@
+/**
+ * Transcription page: a media file in, a subtitle file out.
+ *
+ * The offscreen document does the work, as a file job on the same Whisper
+ * model and translation providers as live captions (and taking turns with
+ * any that are running). It reads the file through a blob: URL of this
+ * page, so the file never leaves the browser, and the URL only lives as
+ * long as the page. Cues come back a chunk at a time (FILE_CUES) and can
+ * be corrected here before they are downloaded.
+ */
+import { buildSubtitleFile, formatTimestamp, parseTimestamp } from '../shared/subtitleFormats.js';
+import { listModels, findModel } from '../shared/modelRegistry.js';
+
+const dropEl = document.getElementById('drop');
+const fileEl = document.getElementById('file');
+const fileNameEl = document.getElementById('fileName');
+const targetLanguageEl = document.getElementById('targetLanguage');
+const sourceLanguageEl = document.getElementById('sourceLanguage');
+const modelEl = document.getElementById('model');
+const startEl = document.getElementById('start');
+const cancelEl = document.getElementById('cancel');
+const statusTextEl = document.getElementById('statusText');
+const progressBarEl = document.getElementById('progressBar');
+const progressFillEl = document.getElementById('progressFill');
+const cuesEl = document.getElementById('cues');
+const exportEl = document.getElementById('export');
+const exportFormatEl = document.getElementById('exportFormat');
+const exportContentEl = document.getElementById('exportContent');
+const downloadEl = document.getElementById('download');
+
+let file = null;
+let fileUrl = null; // blob: URL the offscreen document reads the file from
+let jobId = null; // the running job, if any
+let cues = []; // { start, end, text, original, speaker }, as edited
+// Of the latest job: FILE_STATUS status and detail, and how much of the
+// file is done (%).
+let status = null;
+let detail = null;
+let progress = 0;
+
+function languageName(code) {
+  try {
+    return new Intl.DisplayNames(['en'], { type: 'language' }).of(code);
+  } catch (e) {
+    return `"${code}"`;
+  }
+}
+
+function describe() {
+  switch (status) {
+    case 'loading': {
+      const pct = detail?.progress;
+      const what = detail?.kind === 'translation' ? 'translation model' : 'model';
+      return pct ? `Downloading ${what}… ${pct}%` : `Loading ${what}…`;
+    }
+    case 'decoding':
+      return 'Reading the audio…';
+    case 'transcribing': {
+      const heard = detail?.detectedLanguage
+        ? ` — ${languageName(detail.detectedLanguage)} detected`
+        : '';
+      return `Transcribing${heard}… ${progress}%`;
+    }
+    case 'done': {
+      const lines = `${cues.length} line${cues.length === 1 ? '' : 's'}`;
+      return cues.length
+        ? `Done: ${lines}. Correct them below, then download.`
+        : 'Done, but no speech was found in this file.';
+    }
+    case 'cancelled':
+      return cues.length ? 'Cancelled. The lines so far are kept.' : 'Cancelled.';
+    case 'error':
+      return detail || 'Something went wrong';
+    default:
+      return status ? 'Starting…' : '';
+  }
+}
+
+function render() {
+  const running = Boolean(jobId);
+  statusTextEl.textContent = describe();
+  statusTextEl.classList.toggle('error', status === 'error');
+  // Model download progress while loading, then how much of the file is done.
+  const pct = status === 'loading' ? detail?.progress || 0 : progress;
+  progressBarEl.hidden = !running;
+  progressFillEl.style.width = `${pct}%`;
+  startEl.disabled = running || !file;
+  cancelEl.hidden = !running;
+  dropEl.classList.toggle('disabled', running);
+  fileEl.disabled = running;
+  exportEl.hidden = cues.length === 0;
+}
+
+function finish(finalStatus, finalDetail = null) {
+  jobId = null;
+  status = finalStatus;
+  detail = finalDetail;
+  releaseFileUrl();
+  render();
+}
+
+function releaseFileUrl() {
+  if (fileUrl) URL.revokeObjectURL(fileUrl);
+  fileUrl = null;
+}
+
+function timeInput(cue, key, label) {
+  const input = document.createElement('input');
+  input.type = 'text';
+  input.className = 'time';
+  input.setAttribute('aria-label', label);
+  input.value = formatTimestamp(cue[key], '.');
+  input.addEventListener('change', () => {
+    const seconds = parseTimestamp(input.value);
+    input.classList.toggle('invalid', seconds === null);
+    if (seconds === null) return;
+    cue[key] = seconds;
+    input.value = formatTimestamp(seconds, '.');
+  });
+  return input;
+}
+
+function textInput(cue, key, label) {
+  const input = document.createElement('textarea');
+  input.rows = 1;
+  input.setAttribute('aria-label', label);
+  input.value = cue[key];
+  input.addEventListener('input', () => {
+    cue[key] = input.value;
+  });
+  return input;
+}
+
+function cueItem(cue) {
+  const item = document.createElement('li');
+  const times = document.createElement('div');
+  times.className = 'times';
+  times.append(timeInput(cue, 'start', 'Start'), timeInput(cue, 'end', 'End'));
+  const remove = document.createElement('button');
+  remove.className = 'link';
+  remove.textContent = 'Remove';
+  remove.addEventListener('click', () => {
+    cues = cues.filter((c) => c !== cue);
+    item.remove();
+    render();
+  });
+  item.append(
+    times,
+    textInput(cue, 'text', 'Translation'),
+    textInput(cue, 'original', 'Original'),
+    remove
+  );
+  return item;
+}
+
+function chooseFile(chosen) {
+  if (!chosen || jobId) return;
+  file = chosen;
+  fileNameEl.textContent = file.name;
+  render();
+}
+
+startEl.addEventListener('click', async () => {
+  if (!file || jobId) return;
+  releaseFileUrl();
+  fileUrl = URL.createObjectURL(file);
+  jobId = `file-${Date.now().toString(36)}`;
+  cues = [];
+  cuesEl.replaceChildren();
+  status = 'starting';
+  detail = null;
+  progress = 0;
+  render();
+
+  const response = await chrome.runtime.sendMessage({
+    target: 'background',
+    type: 'TRANSCRIBE_FILE',
+    jobId,
+    url: fileUrl,
+    targetLanguage: targetLanguageEl.value,
+    sourceLanguage: sourceLanguageEl.value,
+    model: modelEl.value
+  });
+  if (!response?.ok) finish('error', response?.error || 'Failed to start');
+});
+
+cancelEl.addEventListener('click', async () => {
+  const cancelled = jobId;
+  if (!cancelled) return;
+  finish('cancelled');
+  await chrome.runtime.sendMessage({ target: 'background', type: 'CANCEL_FILE', jobId: cancelled });
+});
+
+downloadEl.addEventListener('click', () => {
+  const sorted = [...cues].sort((a, b) => a.start - b.start);
+  const subtitles = buildSubtitleFile(sorted, exportFormatEl.value, exportContentEl.value);
+  const url = URL.createObjectURL(
+    new Blob([subtitles.text], { type: `${subtitles.mime};charset=utf-8` })
+  );
+  const language = exportContentEl.value === 'translated' ? `.${targetLanguageEl.value}` : '';
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = `${file.name.replace(/\.[^.]+$/, '')}${language}.${subtitles.extension}`;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+
+  chrome.storage.sync.set({
+    exportFormat: exportFormatEl.value,
+    exportContent: exportContentEl.value
+  });
+});
+
+fileEl.addEventListener('change', () => chooseFile(fileEl.files[0]));
+
+dropEl.addEventListener('dragover', (event) => {
+  event.preventDefault();
+  dropEl.classList.add('over');
+});
+
+dropEl.addEventListener('dragleave', () => dropEl.classList.remove('over'));
+
+dropEl.addEventListener('drop', (event) => {
+  event.preventDefault();
+  dropEl.classList.remove('over');
+  chooseFile(event.dataTransfer.files[0]);
+});
+
+chrome.runtime.onMessage.addListener((message) => {
+  if (message?.target !== 'transcribe' || !jobId || message.jobId !== jobId) return;
+  if (message.type === 'FILE_CUES') {
+    cues.push(...message.cues);
+    cuesEl.append(...message.cues.map(cueItem));
+    progress = message.progress;
+    render();
+  } else if (message.type === 'FILE_STATUS') {
+    if (message.status === 'done' || message.status === 'error') {
+      finish(message.status, message.detail);
+      return;
+    }
+    // Keep the detected language once it's known.
+    const known = status === 'transcribing' && message.status === 'transcribing' ? detail : null;
+    status = message.status;
+    detail = { ...known, ...message.detail };
+    render();
+  }
+});
+
+// The file can't be read once the page is gone; don't leave the job running.
+window.addEventListener('pagehide', () => {
+  if (jobId) chrome.runtime.sendMessage({ target: 'background', type: 'CANCEL_FILE', jobId });
+});
+
+(async function init() {
+  const saved = await chrome.storage.sync.get({
+    targetLanguage: 'en',
+    sourceLanguage: 'auto',
+    model: 'base',
+    exportFormat: 'srt',
+    exportContent: 'translated',
+    customModels: []
+  });
+  modelEl.replaceChildren(...listModels(saved.customModels).map((m) => new Option(m.name, m.key)));
+  targetLanguageEl.value = saved.targetLanguage;
+  sourceLanguageEl.value = saved.sourceLanguage;
+  modelEl.value = findModel(saved.customModels, saved.model).key;
+  exportFormatEl.value = saved.exportFormat;
+  exportContentEl.value = saved.exportContent;
+})();